@@ -0,0 +1,435 @@
+/**
+ * Universal Blog Theme - Rich post content
+ * Shared by the browser (loaded before main.js on post pages) and the Node
+ * build scripts. Instead of the plain `paragraphs` / `ingredients` / `steps`
+ * arrays, a post's `content` may hold a list of typed blocks:
+ *
+ *   content: {
+ *       blocks: [
+ *           { type: 'paragraph', text: 'Inline **bold**, _italic_, `code` and [links](https://example.com)' },
+ *           { type: 'heading', text: 'Why it works', level: 2 },               // level 2-4
+ *           { type: 'image', src: 'images/posts/x.jpg', alt: 'Noodles in a wok', caption: 'Toss fast.' },
+ *           { type: 'callout', variant: 'tip', title: 'Make ahead', text: '...' }, // tip, note or warning
+ *           { type: 'ingredients', groups: [                                   // or `items` without groups
+ *               { title: 'For the sauce', items: ['2 tbsp soy sauce', '1 tsp sugar'] }
+ *           ] },
+ *           { type: 'steps', items: ['Boil the noodles.', { text: 'Toss.', image: 'images/posts/toss.jpg', alt: '' }] },
+ *           { type: 'video', url: 'https://www.youtube.com/watch?v=...', title: 'Watch it' }, // YouTube or Vimeo
+ *           { type: 'html', html: '<p>Pasted <em>markup</em></p>' }               // see SANITIZE_ALLOWLIST
+ *       ]
+ *   }
+ *
+ * Text fields take inline Markdown, applied after escaping; `html` blocks go
+ * through an allowlist sanitizer. Posts with blocks also get the plain arrays
+ * (flattenContentBlocks) for search, excerpts, JSON-LD and cook mode. Posts
+ * without blocks keep their original markup.
+ */
+
+// ============================================
+// SANITIZER
+// ============================================
+// Tag -> allowed attributes. Other tags are dropped but keep their text,
+// except SANITIZE_DROPPED_TAGS, whose content goes too.
+const SANITIZE_ALLOWLIST = {
+    p: [], br: [], hr: [], blockquote: [],
+    h2: [], h3: [], h4: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], mark: [], small: [], sub: [], sup: [], code: [], kbd: [],
+    a: ['href', 'title'],
+    ul: [], ol: ['start'], li: [],
+    figure: [], figcaption: [],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    table: [], thead: [], tbody: [], tr: [], th: ['scope', 'colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+
+const SANITIZE_VOID_TAGS = new Set(['br', 'hr', 'img']);
+const SANITIZE_DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript',
+    'textarea', 'select', 'svg', 'math', 'title', 'head'
+]);
+const SANITIZE_URL_ATTRIBUTES = new Set(['href', 'src']);
+const SANITIZE_NUMBER_ATTRIBUTES = new Set(['width', 'height', 'start', 'colspan', 'rowspan']);
+
+// A comment, a start/end tag (quoted attribute values may contain ">"), a lone "<" or text
+const SANITIZE_TOKEN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|<|[^<]+/gi;
+const SANITIZE_ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const CONTENT_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function escapeContentHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Like escapeContentHtml, but entities the author typed (&eacute; &#8217;) survive
+function escapeContentText(text) {
+    return String(text)
+        .replace(/&(?!(?:#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function decodeContentEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]{1,6}|#\d{1,7}|[a-z]+);/gi, (entity, code) => {
+        if (code[0] !== '#') return CONTENT_ENTITIES[code.toLowerCase()] ?? entity;
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : '';
+    });
+}
+
+// http(s), mailto and relative URLs. Browsers ignore tabs, newlines and other
+// control characters inside a scheme ("java\tscript:"), so those go before the check.
+function isSafeContentUrl(url) {
+    const value = String(url || '').replace(/[\u0000- \u007f]+/g, '');
+    if (!value) return false;
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Keep only SANITIZE_ALLOWLIST tags and attributes from `html`. Unsafe URLs
+ * are removed, unclosed tags are closed and stray end tags dropped, so the
+ * result can't break the markup around it.
+ */
+function sanitizeHtml(html) {
+    const output = [];
+    const open = [];
+    let dropping = null; // the dropped tag whose content is being skipped
+
+    for (const [token, closing, rawName, rawAttributes] of String(html || '').matchAll(SANITIZE_TOKEN)) {
+        const name = rawName && rawName.toLowerCase();
+
+        if (dropping) {
+            if (closing && name === dropping) dropping = null;
+        } else if (token.startsWith('<!--')) {
+            continue;
+        } else if (!name) {
+            output.push(escapeContentText(token));
+        } else if (SANITIZE_DROPPED_TAGS.has(name)) {
+            if (!closing && !/\/\s*$/.test(rawAttributes)) dropping = name;
+        } else if (!SANITIZE_ALLOWLIST[name]) {
+            continue;
+        } else if (closing) {
+            const index = open.lastIndexOf(name);
+            if (index !== -1) output.push(...open.splice(index).reverse().map(tag => `</${tag}>`));
+        } else {
+            const attributes = sanitizeAttributes(name, rawAttributes);
+            if (name === 'img' && !attributes.includes(' src=')) continue;
+            // <li> and <p> end the previous one, as they do in a browser
+            if ((name === 'li' || name === 'p') && open[open.length - 1] === name) output.push(`</${open.pop()}>`);
+            output.push(`<${name}${attributes}>`);
+            if (!SANITIZE_VOID_TAGS.has(name)) open.push(name);
+        }
+    }
+
+    output.push(...open.reverse().map(tag => `</${tag}>`));
+    return output.join('');
+}
+
+function sanitizeAttributes(tag, rawAttributes) {
+    const allowed = SANITIZE_ALLOWLIST[tag];
+    const kept = new Map();
+
+    for (const [, rawName, double, single, bare] of String(rawAttributes || '').matchAll(SANITIZE_ATTRIBUTE)) {
+        const name = rawName.toLowerCase();
+        if (!allowed.includes(name) || kept.has(name)) continue;
+
+        const value = decodeContentEntities(double ?? single ?? bare ?? '').trim();
+        if (SANITIZE_URL_ATTRIBUTES.has(name) && !isSafeContentUrl(value)) continue;
+        if (SANITIZE_NUMBER_ATTRIBUTES.has(name) && !/^\d{1,5}$/.test(value)) continue;
+        kept.set(name, value);
+    }
+
+    if (tag === 'img') kept.set('loading', 'lazy');
+    return [...kept].map(([name, value]) => ` ${name}="${escapeContentHtml(value)}"`).join('');
+}
+
+
+// ============================================
+// INLINE MARKDOWN
+// ============================================
+const INLINE_LINK = /\[([^\]\n]+)\]\(([^()\s]+)\)/g;
+
+// **bold**, *italic* / _italic_, `code` and [text](url). The text is escaped
+// first; links to unsafe URLs are reduced to their text.
+function renderInlineMarkdown(text) {
+    const emphasis = (html) => html
+        .replace(/\*\*(\S(?:[^*\n]*\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])[*_](\S(?:[^*_\n]*\S)?)[*_](?![\w*])/g, '$1<em>$2</em>');
+
+    // Links are cut out before emphasis so "_" in a URL stays put
+    const links = (html) => {
+        let result = '';
+        let last = 0;
+        for (const match of html.matchAll(INLINE_LINK)) {
+            const url = decodeContentEntities(match[2]);
+            result += emphasis(html.slice(last, match.index));
+            result += isSafeContentUrl(url)
+                ? `<a href="${escapeContentHtml(url)}">${emphasis(match[1])}</a>`
+                : emphasis(match[1]);
+            last = match.index + match[0].length;
+        }
+        return result + emphasis(html.slice(last));
+    };
+
+    // Code spans are left as typed
+    return escapeContentHtml(text)
+        .split(/(`[^`\n]+`)/)
+        .map((part, i) => (i % 2 ? `<code>${part.slice(1, -1)}</code>` : links(part)))
+        .join('');
+}
+
+function stripInlineMarkdown(text) {
+    return String(text || '')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(.+?)\1/g, '$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+
+// ============================================
+// BLOCKS
+// ============================================
+const CONTENT_CALLOUTS = {
+    tip: 'Tip',
+    note: 'Note',
+    warning: 'Heads up'
+};
+
+// English labels; renderContentBlocks takes options.t to translate them
+// (js/i18n.js has the same keys)
+const CONTENT_LABELS = {
+    'post.ingredients': 'Ingredients',
+    'post.instructions': 'Instructions',
+    'video.title': '{provider} video',
+    'video.play': 'Play video: {title}',
+    ...Object.fromEntries(Object.entries(CONTENT_CALLOUTS).map(([variant, label]) => [`callout.${variant}`, label]))
+};
+
+function translateContentLabel(key, params = {}) {
+    return String(CONTENT_LABELS[key] || key).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Embeds load only when the reader clicks the facade (see setupVideoFacades in
+// main.js); until then the page makes no request to the provider except for a
+// YouTube thumbnail when the block has no `poster`.
+const CONTENT_VIDEO_PROVIDERS = {
+    youtube: {
+        name: 'YouTube',
+        pattern: /^https?:\/\/(?:www\.|m\.)?(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:[^#]*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})(?![\w-])/i,
+        watchUrl: id => `https://www.youtube.com/watch?v=${id}`,
+        embedUrl: id => `https://www.youtube-nocookie.com/embed/${id}?autoplay=1`,
+        poster: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+    },
+    vimeo: {
+        name: 'Vimeo',
+        pattern: /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)(?!\w)/i,
+        watchUrl: id => `https://vimeo.com/${id}`,
+        embedUrl: id => `https://player.vimeo.com/video/${id}?autoplay=1&dnt=1`,
+        poster: () => null
+    }
+};
+
+const CONTENT_BLOCK_RENDERERS = {
+    paragraph: (block) => (block.text ? `<p>${renderInlineMarkdown(block.text)}</p>` : ''),
+    heading: (block) => {
+        const level = Math.min(4, Math.max(2, parseInt(block.level, 10) || 2));
+        return block.text ? `<h${level}>${renderInlineMarkdown(block.text)}</h${level}>` : '';
+    },
+    image: renderImageBlock,
+    callout: renderCalloutBlock,
+    ingredients: renderIngredientsBlock,
+    steps: renderStepsBlock,
+    video: renderVideoBlock,
+    html: (block) => sanitizeHtml(block.html)
+};
+
+/**
+ * HTML for `blocks`, one line per block. Options:
+ *   assetPath(src)  turns a site-root image path into one that works on the page
+ *   headingLevel    level of the "Ingredients" / "Instructions" headings (2 or 3)
+ *   t(key, params)  translates the labels in CONTENT_LABELS
+ */
+function renderContentBlocks(blocks, options = {}) {
+    const settings = { assetPath: src => src, headingLevel: 2, t: translateContentLabel, ...options };
+    return (Array.isArray(blocks) ? blocks : [])
+        .map(block => {
+            const render = block && CONTENT_BLOCK_RENDERERS[block.type];
+            return render ? render(block, settings) : '';
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+function renderContentImage(src, alt, className, settings) {
+    if (!src || !isSafeContentUrl(src)) return '';
+    return `<img class="${className}" src="${escapeContentHtml(settings.assetPath(src))}" ` +
+        `alt="${escapeContentHtml(alt || '')}" loading="lazy">`;
+}
+
+function renderImageBlock(block, settings) {
+    const image = renderContentImage(block.src, block.alt, 'content-image', settings);
+    if (!image) return '';
+    const caption = block.caption ? `<figcaption>${renderInlineMarkdown(block.caption)}</figcaption>` : '';
+    return `<figure class="content-figure">${image}${caption}</figure>`;
+}
+
+// Blank lines in `text` start new paragraphs
+function renderCalloutBlock(block, settings) {
+    const variant = CONTENT_CALLOUTS[block.variant] ? block.variant : 'note';
+    const paragraphs = String(block.text || '').split(/\n\s*\n/).map(text => text.trim()).filter(Boolean);
+    if (paragraphs.length === 0) return '';
+    return `<aside class="callout callout-${variant}" role="note">` +
+        `<p class="callout-title">${escapeContentHtml(block.title || settings.t(`callout.${variant}`))}</p>` +
+        paragraphs.map(text => `<p>${renderInlineMarkdown(text)}</p>`).join('') +
+        '</aside>';
+}
+
+// [{ title, items }]; a block without groups is one untitled group
+function getIngredientGroups(block) {
+    const groups = Array.isArray(block.groups) ? block.groups : [{ title: null, items: block.items }];
+    return groups
+        .map(group => ({
+            title: group && group.title ? String(group.title) : null,
+            items: (Array.isArray(group && group.items) ? group.items : []).map(String).filter(Boolean)
+        }))
+        .filter(group => group.items.length > 0);
+}
+
+// One list, so the scaler, cook mode and the print card still find every item.
+// Group titles sit in li.ingredient-group wrappers around nested lists.
+function renderIngredientsBlock(block, settings) {
+    const groups = getIngredientGroups(block);
+    if (groups.length === 0) return '';
+
+    const level = settings.headingLevel;
+    const items = (group) => group.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('');
+    const list = groups.map(group => (group.title
+        ? `<li class="ingredient-group"><h${level + 1} class="ingredient-group-title">${escapeContentHtml(group.title)}</h${level + 1}><ul>${items(group)}</ul></li>`
+        : items(group))).join('');
+
+    return `<h${level}>${escapeContentHtml(block.title || settings.t('post.ingredients'))}</h${level}><ul class="ingredients-list">${list}</ul>`;
+}
+
+function getStepText(step) {
+    return step && typeof step === 'object' ? String(step.text || '') : String(step || '');
+}
+
+function renderStepsBlock(block, settings) {
+    const steps = (Array.isArray(block.items) ? block.items : []).filter(step => getStepText(step).trim());
+    if (steps.length === 0) return '';
+
+    const level = settings.headingLevel;
+    const items = steps.map(step => {
+        const photo = step && typeof step === 'object'
+            ? renderContentImage(step.image, step.alt, 'step-photo', settings)
+            : '';
+        return `<li>${renderInlineMarkdown(getStepText(step))}${photo}</li>`;
+    }).join('');
+
+    return `<h${level}>${escapeContentHtml(block.title || settings.t('post.instructions'))}</h${level}><ol class="steps-list">${items}</ol>`;
+}
+
+// { provider, id } for a YouTube or Vimeo URL, otherwise null
+function parseVideoUrl(url) {
+    for (const [provider, settings] of Object.entries(CONTENT_VIDEO_PROVIDERS)) {
+        const match = String(url || '').trim().match(settings.pattern);
+        if (match) return { provider, id: match[1] };
+    }
+    return null;
+}
+
+// Without JavaScript the facade is a plain link to the video
+function renderVideoBlock(block, settings) {
+    const video = parseVideoUrl(block.url);
+    if (!video) return '';
+
+    const provider = CONTENT_VIDEO_PROVIDERS[video.provider];
+    const title = block.title ? String(block.title) : settings.t('video.title', { provider: provider.name });
+    const poster = block.poster && isSafeContentUrl(block.poster)
+        ? settings.assetPath(block.poster)
+        : provider.poster(video.id);
+
+    return '<figure class="content-video">' +
+        `<a class="video-facade" href="${escapeContentHtml(provider.watchUrl(video.id))}" ` +
+        `data-embed="${escapeContentHtml(provider.embedUrl(video.id))}" data-title="${escapeContentHtml(title)}" ` +
+        `aria-label="${escapeContentHtml(settings.t('video.play', { title }))}">` +
+        (poster ? `<img src="${escapeContentHtml(poster)}" alt="" loading="lazy">` : '') +
+        '<span class="video-facade-play" aria-hidden="true"></span></a>' +
+        (block.title ? `<figcaption>${renderInlineMarkdown(block.title)}</figcaption>` : '') +
+        '</figure>';
+}
+
+
+// ============================================
+// PLAIN TEXT & VALIDATION
+// ============================================
+// The plain arrays every other feature reads: story paragraphs, every
+// ingredient across groups and the step texts
+function flattenContentBlocks(blocks) {
+    const content = { paragraphs: [], ingredients: [], steps: [] };
+    (Array.isArray(blocks) ? blocks : []).forEach(block => {
+        if (!block) return;
+        if (block.type === 'paragraph' && block.text) {
+            content.paragraphs.push(stripInlineMarkdown(block.text));
+        } else if (block.type === 'ingredients') {
+            getIngredientGroups(block).forEach(group => content.ingredients.push(...group.items.map(stripInlineMarkdown)));
+        } else if (block.type === 'steps' && Array.isArray(block.items)) {
+            block.items.forEach(step => {
+                const text = stripInlineMarkdown(getStepText(step));
+                if (text) content.steps.push(text);
+            });
+        }
+    });
+    return content;
+}
+
+// Problems a writer should fix, as "block 3 (image): ..." messages
+function validateContentBlocks(blocks) {
+    if (!Array.isArray(blocks)) return ['content.blocks must be a list'];
+
+    const errors = [];
+    blocks.forEach((block, index) => {
+        const where = `block ${index + 1}${block && block.type ? ` (${block.type})` : ''}`;
+        if (!block || !CONTENT_BLOCK_RENDERERS[block.type]) {
+            errors.push(`${where}: unknown type, expected one of ${Object.keys(CONTENT_BLOCK_RENDERERS).join(', ')}`);
+        } else if (block.type === 'image' && !isSafeContentUrl(block.src)) {
+            errors.push(`${where}: missing or unsafe "src"`);
+        } else if (block.type === 'video' && !parseVideoUrl(block.url)) {
+            errors.push(`${where}: "url" is not a YouTube or Vimeo link`);
+        } else if (block.type === 'ingredients' && getIngredientGroups(block).length === 0) {
+            errors.push(`${where}: no items`);
+        } else if (block.type === 'steps' && flattenContentBlocks([block]).steps.length === 0) {
+            errors.push(`${where}: no items`);
+        }
+    });
+    return errors;
+}
+
+
+// ============================================
+// EXPORT FOR NODE SCRIPTS / TESTING
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SANITIZE_ALLOWLIST,
+        CONTENT_CALLOUTS,
+        CONTENT_VIDEO_PROVIDERS,
+        sanitizeHtml,
+        isSafeContentUrl,
+        renderInlineMarkdown,
+        stripInlineMarkdown,
+        renderContentBlocks,
+        parseVideoUrl,
+        flattenContentBlocks,
+        validateContentBlocks
+    };
+}
@@ -0,0 +1,477 @@
+/**
+ * Universal Blog Theme - Internationalization
+ * Message catalogs, the site locale with a reader override, locale-aware
+ * dates ("Jan 13, 2026" or "3 days ago") and right-to-left layouts.
+ *
+ * Load this synchronously in <head>, right after js/theme.js: it sets lang
+ * and dir on <html> before the first paint, so RTL pages never flash in
+ * the wrong direction. English messages are built in; other locales live in
+ * data/i18n/<locale>.json, fetched by js/main.js (I18N) and cached for the
+ * next page load. scripts/build-site.js uses the same catalogs.
+ */
+
+const I18N_CONFIG = {
+    defaultLocale: 'en',              // the site's language, also used by the build scripts
+    locales: {                        // offered in the footer language picker
+        en: { name: 'English', catalog: false }, // the built-in messages below
+        es: { name: 'Español' },
+        ar: { name: 'العربية', dir: 'rtl' }
+    },
+    storageKey: 'locale',             // the reader's pick, which wins over defaultLocale
+    messagesStorageKey: 'localeMessages', // last catalog fetched, used on the next load before it's re-fetched
+    catalogPath: 'data/i18n/{locale}.json', // relative to the site root
+    dates: {
+        relative: false,              // "3 days ago" instead of the date for recent posts
+        relativeDays: 7               // ...up to this many days either side of today
+    }
+};
+
+// Built-in catalog, and the fallback for keys a translation hasn't covered yet.
+// A message may be an object of Intl.PluralRules categories, picked by `count`.
+const I18N_MESSAGES = {
+    'nav.home': 'Home',
+    'nav.myRecipes': 'My Recipes',
+    'nav.shoppingList': 'Shopping List',
+    'nav.about': 'About',
+    'nav.contact': 'Contact',
+    'nav.toggleMenu': 'Toggle menu',
+    'footer.privacy': 'Privacy Policy',
+    'footer.terms': 'Terms of Service',
+    'search.label': 'Search recipes',
+    'search.placeholder': 'Search recipes or ingredients...',
+    'sidebar.categories': 'Categories',
+    'sidebar.recentPosts': 'Recent Posts',
+    'sidebar.popular': 'Popular Recipes',
+    'locale.label': 'Language',
+
+    'theme.system': 'System',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.label': 'Theme: {mode}',
+    'theme.labelResolved': 'Theme: {mode} ({resolved})',
+    'theme.change': '{label}. Click to change.',
+
+    'posts.empty': 'No posts yet. Create your first post!',
+    'posts.noMatches': 'No posts match your filters.',
+    'posts.loadError': 'Unable to load posts',
+    'posts.loadErrorHint': 'Please check browser console for details.',
+    'posts.readMore': 'Read More',
+    'posts.count': { one: '{count} post', other: '{count} posts' },
+
+    'carousel.readArticle': 'Read Article',
+    'carousel.slides': 'Slides',
+    'carousel.position': '{index} of {total}',
+    'carousel.slide': 'Slide {index}: {title}',
+    'carousel.start': 'Start automatic slide show',
+    'carousel.stop': 'Stop automatic slide show',
+
+    'pagination.label': 'Pagination',
+    'pagination.previous': 'Previous',
+    'pagination.next': 'Next',
+    'pagination.loadMore': 'Load more recipes',
+    'pagination.showing': 'Showing {shown} of {total} recipes',
+    'pagination.loaded': {
+        one: 'Loaded {count} more recipe, showing {shown} of {total}.',
+        other: 'Loaded {count} more recipes, showing {shown} of {total}.'
+    },
+
+    'filters.showing': 'Showing: {filters} ({posts})',
+    'filters.results': 'results for “{query}”',
+    'filters.count': { one: '{count} filter', other: '{count} filters' },
+    'filters.clear': 'clear',
+    'filters.shoppingList': 'Build a shopping list',
+    'filters.savedEmpty': 'You have not saved any recipes yet. Tap "Save" on a recipe to keep it here.',
+    'facets.toggle': 'Filter recipes',
+    'facets.active': 'Active filters',
+    'facets.remove': 'Remove filter: {label}',
+    'facets.clearAll': 'Clear all filters',
+    'facets.quick': 'Quick: under 30 min',
+    // Facet names and the fixed values of RECIPE_FACETS (js/recipe.js), by slug
+    'facets.time': 'Total time',
+    'facets.diet': 'Diet',
+    'facets.cuisine': 'Cuisine',
+    'facets.ingredient': 'Main ingredient',
+    'facets.tag': 'Tags',
+    'facets.time.under-30-min': 'Under 30 min',
+    'facets.time.30-to-60-min': '30 to 60 min',
+    'facets.time.over-1-hour': 'Over 1 hour',
+    'facets.diet.vegetarian': 'Vegetarian',
+    'facets.diet.vegan': 'Vegan',
+    'facets.diet.gluten-free': 'Gluten-free',
+    'facets.diet.dairy-free': 'Dairy-free',
+    'facets.diet.low-calorie': 'Low-calorie',
+    'facets.diet.low-fat': 'Low-fat',
+    'facets.diet.halal': 'Halal',
+    'facets.diet.kosher': 'Kosher',
+
+    'save.save': 'Save',
+    'save.saved': 'Saved',
+    'save.add': 'Save to My Recipes',
+    'save.remove': 'Remove from My Recipes',
+
+    'post.ingredients': 'Ingredients',
+    'post.instructions': 'Instructions',
+    'post.translations': 'Also available in:',
+    'callout.tip': 'Tip',
+    'callout.note': 'Note',
+    'callout.warning': 'Heads up',
+    'video.title': '{provider} video',
+    'video.play': 'Play video: {title}',
+    'video.embed': 'Video',
+    'related.title': 'More like this',
+    'redirect.moved': 'This recipe has moved to',
+
+    'recipe.adjust': 'Adjust recipe',
+    'recipe.servings': 'Servings',
+    'recipe.batch': 'Batch',
+    'recipe.decrease': 'Decrease {label}',
+    'recipe.increase': 'Increase {label}',
+    'recipe.units': 'Units',
+    'recipe.us': 'US',
+    'recipe.metric': 'Metric',
+
+    'cook.start': 'Start cooking',
+    'cook.exit': 'Exit cook mode',
+    'cook.previous': 'Previous',
+    'cook.next': 'Next',
+    'cook.finish': 'Finish',
+    'cook.gather': 'Gather your ingredients',
+    'cook.step': 'Step {index} of {total}',
+    'cook.position': '{index} / {total}',
+    'cook.timerStart': 'Start a {label} timer',
+    'cook.timerDone': '{label} - done!',
+    'cook.timerDismiss': '{label} timer finished. Dismiss',
+    'cook.timerPause': '{time} left. Pause timer',
+    'cook.timerResume': '{time} left. Resume timer',
+    'cook.timerFinished': 'Timer finished: {label}',
+
+    'print.title': 'Print recipe',
+    'print.intro': 'A one-page card with the ingredients, the steps and a QR code back to this page.',
+    'print.include': 'Include on the card',
+    'print.photo': 'Include photo',
+    'print.story': 'Include story',
+    'print.print': 'Print',
+    'print.pdf': 'Download PDF',
+    'print.close': 'Close',
+    'print.prep': 'Prep',
+    'print.cook': 'Cook',
+    'print.total': 'Total',
+    'print.yield': 'Yield',
+    'print.qr': 'QR code linking to this recipe online',
+    'print.source': 'Full recipe, photos and comments:',
+    'print.preparing': 'Preparing your PDF...',
+    'print.downloading': 'Your PDF is downloading.',
+    'print.pdfFailed': 'Sorry, the PDF could not be created. Try Print and "Save as PDF" instead.',
+
+    'shopping.savedRecipes': 'Saved Recipes',
+    'shopping.loading': 'Loading saved recipes...',
+    'shopping.yourList': 'Your List',
+    'shopping.print': 'Print',
+    'shopping.copy': 'Copy as text',
+    'shopping.export': 'Export JSON',
+    'shopping.import': 'Import JSON',
+    'shopping.empty': 'No saved recipes yet. Tap "Save" on any recipe, or import a list you exported earlier.',
+    'shopping.view': 'View',
+    'shopping.selectRecipe': 'Select at least one recipe to build your list.',
+    'shopping.sources': { one: '{count} recipe', other: '{count} recipes' },
+    'shopping.listTitle': 'Shopping list',
+    'shopping.copied': 'Shopping list copied to clipboard.',
+    'shopping.copyFailed': 'Unable to copy. Select the list and copy it manually.',
+    'shopping.exported': { one: 'Exported {count} saved recipe.', other: 'Exported {count} saved recipes.' },
+    'shopping.imported': { one: 'Imported {count} recipe.', other: 'Imported {count} recipes.' },
+    'shopping.importInvalid': 'File does not contain savedRecipes',
+    'shopping.importFailed': 'Import failed: {error}',
+    // Aisles from js/recipe.js, by slug
+    'aisle.frozen': 'Frozen',
+    'aisle.spices-seasonings': 'Spices & Seasonings',
+    'aisle.pantry': 'Pantry',
+    'aisle.oils-sauces-condiments': 'Oils, Sauces & Condiments',
+    'aisle.meat-seafood': 'Meat & Seafood',
+    'aisle.dairy-eggs': 'Dairy & Eggs',
+    'aisle.produce': 'Produce',
+    'aisle.other': 'Other',
+
+    'form.name': 'Name',
+    'form.optional': '(optional)',
+    'form.honeypot': 'Leave this field empty',
+    'form.nameRequired': 'Please enter your name.',
+    'form.fieldsInvalid': 'Some fields need attention.',
+
+    'contact.email': 'Email',
+    'contact.topic': 'Topic',
+    'contact.topicRecipe': 'A question about a recipe',
+    'contact.topicFeedback': 'Feedback or suggestion',
+    'contact.topicBusiness': 'Advertising or partnership',
+    'contact.topicOther': 'Something else',
+    'contact.recipe': 'Recipe',
+    'contact.message': 'Message',
+    'contact.draftHint': "Your draft is kept in this browser until it's sent.",
+    'contact.send': 'Send message',
+    'contact.emailRequired': 'Please enter your email address.',
+    'contact.emailInvalid': 'Please enter a valid email address, like name@example.com.',
+    'contact.messageRequired': 'Please enter a message.',
+    'contact.messageShort': 'Please write at least 10 characters.',
+    'contact.messageLong': 'Please keep your message under 5000 characters.',
+    'contact.fix': { one: 'Please fix the highlighted field.', other: 'Please fix the {count} highlighted fields.' },
+    'contact.tooQuick': 'That was quick! Please check your message, then send it again.',
+    'contact.notSetUp': 'The contact form is not set up yet. Please email us instead.',
+    'contact.offline': "You're offline. Your message is saved here, so you can send it once you're back online.",
+    'contact.sent': 'Thanks! Your message was sent.',
+    'contact.sentTo': 'Thanks, {name}! Your message was sent. We usually reply within 24-48 hours.',
+    'contact.mailto': 'Your email app should open with your message filled in. Send it from there to reach us.',
+    'contact.failed': 'Sorry, your message could not be sent. {error} Your draft is saved, so you can try again.',
+
+    'comments.title': 'Ratings & Comments',
+    'comments.label': 'Comments',
+    'comments.loading': 'Loading ratings…',
+    'comments.offline': "You're offline, so ratings and comments can't load right now.",
+    'comments.loadError': 'Ratings and comments could not be loaded right now.',
+    'comments.empty': 'No comments yet. Made this recipe? Tell us how it went!',
+    'comments.noRatings': 'No ratings yet. Be the first to rate this recipe!',
+    'comments.ratingCount': { one: '{count} rating', other: '{count} ratings' },
+    'comments.ratedFrom': 'Rated {value} out of 5 from {count}',
+    'comments.rated': 'Rated {value} out of 5',
+    'comments.stars': { one: '{count} star', other: '{count} stars' },
+    'comments.hidden': 'This comment was hidden after readers reported it.',
+    'comments.reply': 'Reply',
+    'comments.report': 'Report',
+    'comments.reported': 'Reported',
+    'comments.yourRating': 'Your rating',
+    'comments.body': 'Comment',
+    'comments.bodyOptional': '(optional with a rating)',
+    'comments.yourReply': 'Your reply',
+    'comments.hint': 'Use **bold**, *italic*, `code` and [links](https://example.com).',
+    'comments.post': 'Post',
+    'comments.postReply': 'Post Reply',
+    'comments.cancel': 'Cancel',
+    'comments.nameLong': 'Please keep your name under 60 characters.',
+    'comments.bodyLong': 'Please keep your comment under {max} characters.',
+    'comments.replyRequired': 'Please write a reply.',
+    'comments.required': 'Please add a rating or a comment.',
+    'comments.ratingInvalid': 'Ratings are whole stars from 1 to 5.',
+    'comments.posted': 'Thanks! Your comment was posted.',
+    'comments.pending': 'Thanks! Your comment will appear once a moderator approves it.',
+    'comments.failed': 'Sorry, your comment could not be posted. {error}',
+    'comments.confirmReport': 'Report this comment to the moderators?',
+    'comments.reportThanks': 'Thanks for reporting. Our moderators will take a look.',
+    'comments.reportFailed': 'Sorry, the report could not be sent. {error}',
+
+    'ads.label': 'Advertisement',
+    'consent.region': 'Cookie consent',
+    'consent.message': 'We show ads to keep these recipes free. Our ad partners may use cookies to personalise them. Is that OK?',
+    'consent.deny': 'No thanks',
+    'consent.accept': 'Accept',
+
+    'offline.title': "You're offline",
+    'offline.notSaved': "This page hasn't been saved for offline reading yet.",
+    'offline.available': 'Recipes you have opened or saved are still available.',
+    'offline.openSaved': 'Open My Recipes',
+    'offline.indicator': 'You are offline. Showing saved copies.',
+
+    'errors.offline': "You're offline.",
+    'errors.status': 'The server answered {status}.',
+    'errors.timeout': 'The server took too long to answer.'
+};
+
+let i18nLocale = I18N_CONFIG.defaultLocale;
+let i18nMessages = {}; // the active locale's catalog; I18N_MESSAGES fills the gaps
+
+
+// ============================================
+// LOCALE
+// ============================================
+function readI18nStorage(key) {
+    try {
+        const value = window.localStorage.getItem(key);
+        return value === null ? null : JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// The reader's pick when it's still offered, otherwise the site locale
+function getPreferredLocale() {
+    const stored = readI18nStorage(I18N_CONFIG.storageKey);
+    return I18N_CONFIG.locales[stored] ? stored : I18N_CONFIG.defaultLocale;
+}
+
+function getLocale() {
+    return i18nLocale;
+}
+
+// "ar" and "ar-EG" are right-to-left; so is any locale configured with dir: 'rtl'
+function getLocaleDir(locale) {
+    const settings = I18N_CONFIG.locales[locale];
+    if (settings && settings.dir) return settings.dir;
+    return /^(ar|fa|he|ps|ur|yi)\b/i.test(locale || '') ? 'rtl' : 'ltr';
+}
+
+// Sets lang and dir on <html> and switches the catalog. `messages` defaults
+// to the cached catalog when it is for this locale.
+function applyLocale(locale, messages) {
+    if (messages === undefined) {
+        const cached = readI18nStorage(I18N_CONFIG.messagesStorageKey);
+        messages = cached && cached.locale === locale ? cached.messages : null;
+    }
+    i18nLocale = locale;
+    i18nMessages = messages && typeof messages === 'object' ? messages : {};
+
+    const root = document.documentElement;
+    root.lang = locale;
+    root.dir = getLocaleDir(locale);
+    return locale;
+}
+
+
+// ============================================
+// MESSAGES
+// ============================================
+function escapeI18nHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Fills "{name}" placeholders from `params`; numbers are formatted for the
+ * locale. Plural messages ({ one, other, ... }) are picked by params.count.
+ * `escape` is applied to the message's own text but not to the params, so
+ * HTML callers can pass markup in (see tHtml).
+ */
+function formatMessage(message, params = {}, locale = i18nLocale, escape = String) {
+    let text = message;
+    if (message && typeof message === 'object') {
+        const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+        text = message[category] ?? message.other ?? '';
+    }
+
+    return String(text).split(/(\{\w+\})/).map((part, i) => {
+        if (i % 2 === 0) return escape(part);
+        const name = part.slice(1, -1);
+        if (!(name in params)) return escape(part);
+        const value = params[name];
+        return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+    }).join('');
+}
+
+// Active catalog, then English, then the key itself (so a missing message shows up)
+function lookupMessage(key, messages = i18nMessages) {
+    if (messages && key in messages) return messages[key];
+    return key in I18N_MESSAGES ? I18N_MESSAGES[key] : key;
+}
+
+// Plain text: t('pagination.showing', { shown: 12, total: 40 })
+function t(key, params) {
+    return formatMessage(lookupMessage(key), params);
+}
+
+// HTML: the message is escaped, params are inserted as given (escape them first)
+function tHtml(key, params) {
+    return formatMessage(lookupMessage(key), params, i18nLocale, escapeI18nHtml);
+}
+
+// Node (build scripts): a t() bound to a locale and its catalog
+function createTranslator(locale, messages = {}) {
+    return (key, params) => formatMessage(lookupMessage(key, messages), params, locale);
+}
+
+/**
+ * Static markup names its strings with data attributes, so the build and the
+ * browser can both translate it:
+ *
+ *   <h3 data-i18n="sidebar.categories">Categories</h3>
+ *   <input data-i18n-placeholder="search.placeholder" placeholder="...">
+ *
+ * translateMarkup() does this for an HTML string (build time); js/main.js
+ * applies it to the live page.
+ */
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+function translateMarkup(html, translate) {
+    return html
+        .replace(/(<(\w+)\b[^>]*\sdata-i18n="([\w.]+)"[^>]*>)[^<]*(<\/\2>)/g,
+            (match, open, tag, key, close) => open + escapeI18nHtml(translate(key)) + close)
+        .replace(/<\w+\b[^>]*\sdata-i18n-[\w-]+="[\w.]+"[^>]*>/g, tagHtml => {
+            let result = tagHtml;
+            I18N_ATTRIBUTES.forEach(attribute => {
+                const key = (tagHtml.match(new RegExp(`\\sdata-i18n-${attribute}="([\\w.]+)"`)) || [])[1];
+                if (!key) return;
+                result = result.replace(new RegExp(`(\\s${attribute}=")[^"]*(")`),
+                    (m, before, after) => before + escapeI18nHtml(translate(key)) + after);
+            });
+            return result;
+        });
+}
+
+
+// ============================================
+// DATES
+// ============================================
+// "2026-01-13" is a calendar day, the same everywhere; full timestamps are
+// shown in the reader's time zone
+function parseI18nDate(value) {
+    if (value instanceof Date) return { date: value, dateOnly: false };
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        return { date: new Date(Date.UTC(year, month - 1, day)), dateOnly: true };
+    }
+    return { date: new Date(value), dateOnly: false };
+}
+
+// Whole calendar days from `now` to the date (negative in the past)
+function getDayDifference(date, dateOnly, now) {
+    const day = dateOnly
+        ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+        : Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    return Math.round((day - today) / 86400000);
+}
+
+/**
+ * "Jan 13, 2026" / "13 ene 2026" for the locale. With `relative`, dates within
+ * `relativeDays` of `now` read "today", "yesterday" or "3 days ago".
+ * Returns '' for missing or unparseable dates.
+ */
+function formatLocaleDate(value, locale = i18nLocale, options = {}) {
+    if (!value) return '';
+    const { date, dateOnly } = parseI18nDate(value);
+    if (isNaN(date)) return '';
+
+    const { relative = false, relativeDays = I18N_CONFIG.dates.relativeDays, now = new Date() } = options;
+    if (relative && typeof Intl.RelativeTimeFormat === 'function') {
+        const days = getDayDifference(date, dateOnly, now);
+        if (Math.abs(days) <= relativeDays) {
+            return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(days, 'day');
+        }
+    }
+
+    return new Intl.DateTimeFormat(locale, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        ...(dateOnly ? { timeZone: 'UTC' } : {})
+    }).format(date);
+}
+
+
+// Before the first paint
+if (typeof document !== 'undefined') {
+    applyLocale(getPreferredLocale());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        I18N_CONFIG,
+        I18N_MESSAGES,
+        I18N_ATTRIBUTES,
+        getLocaleDir,
+        formatMessage,
+        createTranslator,
+        translateMarkup,
+        formatLocaleDate
+    };
+}
@@ -17,7 +17,125 @@ const CONFIG = {
         ? '../data/posts.json'
         : 'data/posts.json',
     postsPerPage: 8, // Changed to 8 per page
-    excerptLength: 150
+    // 'numbered' (page links), 'loadMore' (a button appends the next page) or
+    // 'infinite' (appends as the reader nears the end; the button stays as a fallback)
+    paginationMode: 'numbered',
+    infiniteScrollMargin: '600px 0px', // start fetching this far before the end of the grid
+    // Paged index written by build-index.js ('{n}' = shard number). The homepage
+    // fetches shards as it needs them; null always downloads the whole index.
+    indexShardPath: 'data/posts-index-{n}.json',
+    excerptLength: 150,
+    // Hero carousel. Posts with "featured": true come first; the other slots are
+    // filled by a shuffle seeded with `seed` ('daily' = a new pick each day,
+    // any other value = the same pick on every visit)
+    carousel: {
+        slides: 5,
+        interval: 5000, // ms per slide; nothing rotates under prefers-reduced-motion
+        seed: 'daily'
+    },
+    // Related recipes ranking; any RELATED_DEFAULTS key in js/recipe.js
+    // (weights, nearDuplicate, duplicatePenalty, diversity) can be overridden here
+    related: {
+        limit: 4
+    },
+    // "Popular Recipes" sidebar widget, read from the counts scripts/build-popular.js
+    // writes. The widget stays hidden while the file is missing.
+    popular: {
+        path: 'data/popular.json',
+        limit: 5
+    },
+    // Reading analytics: page views, scroll depth through the recipe, related and
+    // carousel clicks, searches, print and cook mode. No cookies or identifiers
+    // are used. `sink` picks an ANALYTICS_SINKS adapter: 'http' beacons batches to
+    // http.endpoint, and nothing is recorded until that is set (scripts/mock-api.js
+    // serves http://localhost:8787/api/events locally). 'console' logs them while
+    // debugging, 'memory' keeps them in analyticsSink.events for tests.
+    analytics: {
+        enabled: true,
+        sink: 'http',
+        respectDoNotTrack: true,     // Do-Not-Track or Global Privacy Control turns it off
+        requireConsent: false,       // true waits for 'granted'; 'denied' always turns it off
+        batchSize: 10,               // events per beacon
+        flushInterval: 15000,        // ms before a smaller batch goes out
+        searchDelay: 1500,           // ms of no typing before a search counts
+        scrollDepths: [25, 50, 75, 100], // % of .post-body; 100 counts as read
+        http: { endpoint: '' }
+    },
+    // Contact form (contact.html). `provider` picks a CONTACT_PROVIDERS adapter:
+    // 'json' POSTs to json.endpoint, 'mailto' opens the reader's email app with
+    // the message filled in, 'mock' POSTs to scripts/mock-api.js running locally.
+    contact: {
+        provider: 'mailto',
+        minSeconds: 3,               // sooner than this after the page loads looks like a bot (time trap)
+        timeout: 10000,              // ms to wait for the server
+        json: { endpoint: '/api/contact' },
+        mailto: { to: 'contact@blog-1768572882405-recipes.pages.dev' },
+        mock: { endpoint: 'http://localhost:8787/api/contact' }
+    },
+    // Star ratings and threaded comments under each recipe. `provider` picks a
+    // COMMENT_STORES adapter: 'rest' talks to rest.baseUrl, and the section stays
+    // hidden until that is set ('http://localhost:8787/api' for scripts/mock-api.js).
+    // 'local' keeps comments in this browser only, for demos.
+    comments: {
+        enabled: true,
+        provider: 'rest',
+        maxDepth: 3,                 // reply levels; the deepest comments get no Reply button
+        maxLength: 2000,
+        rest: { baseUrl: '', timeout: 10000 }
+    },
+    // Homepage filter panel; the facets themselves are RECIPE_FACETS in js/recipe.js.
+    // Presets are one-click filter sets ({ facet: [value slugs] }) shown above it,
+    // hidden while no recipe has those values (e.g. no post gives its times yet).
+    // A preset's label is a message key (js/i18n.js) or plain text.
+    facets: {
+        enabled: true,
+        presets: [
+            { label: 'facets.quick', filters: { time: ['under-30-min'] } }
+        ]
+    },
+    // "Print recipe" card and its PDF export. `photo` and `story` are the
+    // defaults for the checkboxes; readers' choices are remembered.
+    print: {
+        pageSize: 'letter',          // PDF page: 'letter' or 'a4'
+        photo: true,
+        story: false
+    },
+    // Responsive images (scripts/build-images.js). `sizes` is how wide each kind
+    // of image is drawn, so the browser can pick a variant before the CSS loads.
+    images: {
+        fallback: 'images/placeholder.svg', // for posts without a photo and photos that fail to load
+        sizes: {
+            card: '(max-width: 640px) 100vw, (max-width: 968px) 50vw, 440px',
+            hero: '100vw',
+            related: '80px',
+            post: '(max-width: 968px) 100vw, 860px'
+        }
+    },
+    // Ad slots: only the names listed under `slots` are filled; the others collapse.
+    // Off until there is an AdSense account: set `enabled`, adsense.client and each
+    // slot's `unit`, the numeric ad unit ID AdSense gives it ('1234567890'). Slots
+    // without one are skipped. Provider 'mock' fills the slots with placeholders for local testing.
+    ads: {
+        enabled: false,
+        provider: 'adsense',
+        requireConsent: true,        // nothing loads until the reader accepts
+        rootMargin: '200px 0px',     // start loading just before a slot scrolls into view
+        slots: {
+            header: { unit: '', format: 'horizontal', height: 90 },
+            sidebar: { unit: '', format: 'rectangle', height: 250 },
+            midContent: { unit: '', format: 'fluid', everyParagraphs: 3, max: 2 },
+            endContent: { unit: '', format: 'auto' },
+            grid: { unit: '', format: 'fluid', everyCards: 4 }
+        },
+        adsense: {
+            client: '',              // 'ca-pub-...'; no ads are requested without it
+            fillTimeout: 8000        // ms to wait for data-ad-status before judging the slot
+        },
+        mock: {
+            fillRate: 1,             // lower it to exercise collapsing of unfilled slots
+            delay: 300
+        }
+    }
 };
 
 
@@ -27,22 +145,39 @@ const CONFIG = {
 let postsData = [];
 let currentPost = null;
 let currentPage = 1; // Track current page
+let activeCategory = null; // Category name selected via location.hash (null = all)
+let searchQuery = ''; // Active ?q= search query
+let activeFacets = {}; // ?diet=vegetarian&time=under-30-min -> { diet: ['vegetarian'], time: ['under-30-min'] }
+let savedView = false; // index.html#my-recipes shows saved recipes
 
 
 // ============================================
 // INITIALIZATION
 // ============================================
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     initializeTheme();
 
+    // The reader's language is in place before anything is rendered
+    await initializeI18n();
+
+    // Before the page loaders, which report views to it
+    setupAnalytics();
+
     // Determine which page we're on
     // Determine which page we're on based on elements present
     if (document.getElementById('postContent')) {
         loadSinglePost();
     } else if (document.getElementById('postsGrid')) {
         loadAllPosts();
+    } else if (document.getElementById('shoppingList')) {
+        loadShoppingListPage();
+    } else if (document.getElementById('contactForm')) {
+        setupContactForm();
     }
 
+    // Save buttons on cards and posts (delegated, so re-renders need no rebinding)
+    setupSaveButtons();
+
     // Set current year in footer
     const yearElement = document.getElementById('currentYear');
     if (yearElement) {
@@ -51,13 +186,197 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Mobile menu toggle
     setupMobileMenu();
+
+    // Offline support
+    registerServiceWorker();
+    setupOfflineIndicator();
+
+    // Ad slots (after the consent gate)
+    setupAds();
 });
 
 // ============================================
-// THEME INITIALIZATION
+// THEME (light / dark / system; see js/theme.js)
 // ============================================
+// js/theme.js has already applied the stored mode before the first paint;
+// this adds the header toggle, follows OS changes and fetches the brand preset.
+
 function initializeTheme() {
-    console.log('Universal Blog Theme initialized');
+    if (typeof applyTheme !== 'function') return; // page without js/theme.js
+
+    renderThemeToggle();
+
+    // System mode follows the OS setting as it changes
+    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)');
+    if (prefersDark && prefersDark.addEventListener) {
+        prefersDark.addEventListener('change', () => {
+            if (getThemeMode() === 'system') applyTheme('system');
+            updateThemeToggle();
+        });
+    }
+
+    // Keep other open tabs in step
+    window.addEventListener('storage', (e) => {
+        if (e.key === THEME_CONFIG.storageKey || e.key === THEME_CONFIG.presetStorageKey) {
+            applyTheme(getThemeMode());
+            updateThemeToggle();
+        }
+    });
+
+    loadThemePreset();
+}
+
+function setThemeMode(mode) {
+    storageSet(THEME_CONFIG.storageKey, mode);
+    applyTheme(mode);
+    updateThemeToggle();
+}
+
+function renderThemeToggle() {
+    const header = document.querySelector('.header-content');
+    if (!header || document.getElementById('themeToggle')) return;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.id = 'themeToggle';
+    toggle.className = 'theme-toggle';
+    toggle.addEventListener('click', () => {
+        const modes = THEME_CONFIG.modes;
+        setThemeMode(modes[(modes.indexOf(getThemeMode()) + 1) % modes.length]);
+    });
+
+    // Before the mobile menu button so it stays visible on small screens
+    header.insertBefore(toggle, header.querySelector('.mobile-menu-toggle'));
+    updateThemeToggle();
+}
+
+function updateThemeToggle() {
+    const toggle = document.getElementById('themeToggle');
+    if (!toggle) return;
+
+    const mode = getThemeMode();
+    const resolved = resolveThemeMode(mode);
+    const icons = {
+        system: '<rect x="3" y="4" width="18" height="12" rx="2"></rect><line x1="8" y1="20" x2="16" y2="20"></line><line x1="12" y1="16" x2="12" y2="20"></line>',
+        light: '<circle cx="12" cy="12" r="4"></circle><path d="M12 2v2M12 20v2M4.9 4.9l1.4 1.4M17.7 17.7l1.4 1.4M2 12h2M20 12h2M4.9 19.1l1.4-1.4M17.7 6.3l1.4-1.4"></path>',
+        dark: '<path d="M21 12.8A9 9 0 1 1 11.2 3a7 7 0 0 0 9.8 9.8z"></path>'
+    };
+    const label = mode === 'system'
+        ? t('theme.labelResolved', { mode: t('theme.system'), resolved: t(`theme.${resolved}`).toLocaleLowerCase(getLocale()) })
+        : t('theme.label', { mode: t(`theme.${mode}`) });
+
+    toggle.innerHTML = `
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${icons[mode]}</svg>
+        <span class="sr-only">${escapeHtml(label)}</span>
+    `;
+    toggle.title = t('theme.change', { label });
+}
+
+// Cached by js/theme.js for the next page load, so the preset never flashes in late
+async function loadThemePreset() {
+    if (!THEME_CONFIG.presetPath) {
+        try {
+            window.localStorage.removeItem(THEME_CONFIG.presetStorageKey);
+        } catch (error) {
+            // Storage unavailable: nothing was cached either
+        }
+        applyTheme(getThemeMode(), null);
+        return;
+    }
+
+    try {
+        const response = await fetch(getAssetPath(THEME_CONFIG.presetPath));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const preset = await response.json();
+        storageSet(THEME_CONFIG.presetStorageKey, preset);
+        applyTheme(getThemeMode(), preset);
+        console.log(`🎨 Theme preset: ${preset.name || THEME_CONFIG.presetPath}`);
+    } catch (error) {
+        console.warn('⚠️ Theme preset not loaded:', error.message);
+    }
+}
+
+// ============================================
+// I18N (messages, dates and direction; see js/i18n.js)
+// ============================================
+// js/i18n.js has already set lang/dir and applied the cached catalog before
+// the first paint; this fetches the catalog, translates the static markup
+// (data-i18n attributes) and adds the footer language picker.
+async function initializeI18n() {
+    await loadLocaleMessages(getLocale());
+    applyTranslations(document);
+    renderLocaleSwitcher();
+}
+
+// A cached catalog is used right away and refreshed for the next page load;
+// without one the page waits, and falls back to English if the fetch fails
+async function loadLocaleMessages(locale) {
+    const settings = I18N_CONFIG.locales[locale] || {};
+    if (settings.catalog === false) return;
+
+    const cached = storageGet(I18N_CONFIG.messagesStorageKey, null);
+    const request = fetch(getAssetPath(I18N_CONFIG.catalogPath.replace('{locale}', encodeURIComponent(locale))))
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(messages => {
+            storageSet(I18N_CONFIG.messagesStorageKey, { locale, messages });
+            applyLocale(locale, messages);
+            console.log(`🌐 Messages: ${locale}`);
+        })
+        .catch(error => console.warn(`⚠️ Messages for ${locale} not loaded:`, error.message));
+
+    if (!cached || cached.locale !== locale) await request;
+}
+
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+// A value from the data (a facet, diet or aisle name) in the reader's language:
+// the `prefix.slug` message when the catalogs have one, otherwise the value itself
+function translateValue(prefix, value, slug = slugify(value)) {
+    const key = `${prefix}.${slug}`;
+    const message = t(key);
+    return message === key ? value : message;
+}
+
+function renderLocaleSwitcher() {
+    // The simple pages (about, contact...) have a plain footer
+    const footer = document.querySelector('.footer-content') || document.querySelector('footer .container');
+    const locales = Object.keys(I18N_CONFIG.locales);
+    if (!footer || locales.length < 2 || document.getElementById('localeSelect')) return;
+
+    const switcher = document.createElement('div');
+    switcher.className = 'locale-switcher';
+    switcher.innerHTML = `
+        <label for="localeSelect">${escapeHtml(t('locale.label'))}</label>
+        <select id="localeSelect">
+            ${locales.map(code => `
+                <option value="${escapeHtml(code)}" lang="${escapeHtml(code)}"${code === getLocale() ? ' selected' : ''}>${escapeHtml(I18N_CONFIG.locales[code].name)}</option>
+            `).join('')}
+        </select>
+    `;
+    switcher.querySelector('select').addEventListener('change', (e) => setLocale(e.target.value));
+    footer.appendChild(switcher);
+}
+
+// Everything on the page was rendered in the old language, so start over
+function setLocale(locale) {
+    storageSet(I18N_CONFIG.storageKey, locale);
+    window.location.reload();
+}
+
+function isRtl() {
+    return document.documentElement.dir === 'rtl';
 }
 
 // ============================================
@@ -81,17 +400,15 @@ function setupMobileMenu() {
 // NEW: Load lightweight posts index for homepage (fast!)
 async function loadPostsIndex() {
     try {
-        console.log('📥 Loading lightweight index from:', CONFIG.indexPath);
         const response = await fetch(CONFIG.indexPath);
 
         if (!response.ok) {
             // Fallback to full posts.json if index doesn't exist
-            console.log('⚠️ Index not found, falling back to posts.json');
+            console.warn('⚠️ Index not found, falling back to posts.json');
             return await loadPostsData();
         }
 
         const data = await response.json();
-        console.log(`✅ Loaded posts index: ${data.count || data.posts?.length || 0} posts`);
         postsData = data.posts || [];
         return postsData;
     } catch (error) {
@@ -104,33 +421,35 @@ async function loadPostsIndex() {
 // LEGACY: Load full posts data (used for backward compatibility)
 async function loadPostsData() {
     try {
-        console.log('Loading posts from:', CONFIG.dataPath);
         const response = await fetch(CONFIG.dataPath);
 
-        console.log('Response status:', response.status);
-
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
 
         const data = await response.json();
-        console.log('Loaded data:', data);
         postsData = data.posts || [];
-        console.log('Posts count:', postsData.length);
         return postsData;
     } catch (error) {
         console.error('Error loading posts data:', error);
         console.error('Path attempted:', CONFIG.dataPath);
 
+        // Offline: explain instead of showing a fetch error
+        if (isOffline()) {
+            const target = document.getElementById('postsGrid') || document.getElementById('postContent');
+            if (target) target.innerHTML = renderOfflineNotice();
+            return [];
+        }
+
         // Show user-friendly error
         const grid = document.getElementById('postsGrid');
         if (grid) {
             grid.innerHTML = `
                 <div style="grid-column: 1/-1; text-align: center; padding: 40px;">
-                    <h3>Unable to load posts</h3>
+                    <h3>${escapeHtml(t('posts.loadError'))}</h3>
                     <p>Error: ${error.message}</p>
                     <p>Path: ${CONFIG.dataPath}</p>
-                    <p>Please check browser console for details.</p>
+                    <p>${escapeHtml(t('posts.loadErrorHint'))}</p>
                 </div>
             `;
         }
@@ -138,62 +457,147 @@ async function loadPostsData() {
     }
 }
 
+// ============================================
+// INDEX SHARDS (data/posts-index-N.json)
+// ============================================
+// postsData holds the shards loaded so far. Unfiltered lists page through
+// them; category filters and search fetch the rest first.
+let indexShards = null; // { pages, pageSize, count, categories, featured, facets, generatedAt, loaded }
+const indexShardRequests = new Map(); // shard number -> Promise<shard>
+
+// Resolves to postsData holding at least `postCount` posts (all of them by default)
+async function loadIndexShards(postCount = Infinity) {
+    try {
+        const first = await fetchIndexShard(1);
+        if (!indexShards) {
+            const { pages, pageSize, count, categories, featured, facets, generatedAt } = first;
+            indexShards = {
+                pages, pageSize, count, generatedAt, loaded: 0,
+                categories: categories || [],
+                featured: featured || [],
+                facets: facets || {}
+            };
+        }
+
+        const wanted = Math.min(indexShards.pages, Math.max(1, Math.ceil(postCount / indexShards.pageSize)));
+        const numbers = Array.from({ length: wanted }, (_, i) => i + 1);
+        const shards = await Promise.all(numbers.map(fetchIndexShard));
+
+        // A cached shard from an older build would duplicate or skip posts
+        if (shards.some(shard => shard.generatedAt !== indexShards.generatedAt)) {
+            throw new Error('shards come from different builds');
+        }
+
+        if (wanted > indexShards.loaded) {
+            postsData = shards.flatMap(shard => shard.posts || []);
+            indexShards.loaded = wanted;
+            searchIndex = null; // rebuilt with the new posts on the next search
+        }
+        return postsData;
+    } catch (error) {
+        console.warn(`⚠️ Index shards unavailable (${error.message}), loading the full index`);
+        indexShards = null;
+        return await loadPostsIndex();
+    }
+}
+
+function fetchIndexShard(number) {
+    if (!indexShardRequests.has(number)) {
+        const url = CONFIG.indexShardPath.replace('{n}', number);
+        const request = fetch(url).then(response => {
+            if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+            return response.json();
+        });
+        // Failed requests may be retried later
+        request.catch(() => indexShardRequests.delete(number));
+        indexShardRequests.set(number, request);
+    }
+    return indexShardRequests.get(number);
+}
+
+// False while some shards have not been fetched yet
+function isIndexComplete() {
+    return !indexShards || indexShards.loaded >= indexShards.pages;
+}
+
+
 // ============================================
 // HOMEPAGE - POSTS GRID
 // ============================================
 async function loadAllPosts() {
-    // Use lightweight index for homepage (MUCH faster!)
-    const posts = await loadPostsIndex();
+    // Use lightweight index for homepage (MUCH faster!), one shard at a time
+    // when the site has them: just enough for the page in the URL
+    const posts = CONFIG.indexShardPath
+        ? await loadIndexShards(getPageFromLocation() * CONFIG.postsPerPage)
+        : await loadPostsIndex();
 
     if (posts.length === 0) {
+        // Offline with no cached index: #my-recipes still works from localStorage
+        if (isOffline() && getSavedRecipes().length > 0) {
+            setupFilterRouting();
+            return;
+        }
+
         // Show empty state
         const carousel = document.getElementById('heroCarousel');
         if (carousel) {
-            carousel.innerHTML = '<div class="carousel-loading"><p style="color: white;">No posts yet. Create your first post!</p></div>';
+            carousel.innerHTML = `<div class="carousel-loading"><p style="color: white;">${escapeHtml(t('posts.empty'))}</p></div>`;
         }
         return;
     }
 
-    // Load hero carousel with random featured posts
+    // Load hero carousel with featured posts (CONFIG.carousel)
     renderHeroCarousel(posts);
 
-    // Initial render of paged posts
-    renderPagedPosts(1);
+    // Initial render of paged posts (honours #category-slug and ?q= in the URL)
+    setupSearch();
+    setupFilterRouting();
 }
 
 
 // ============================================
 // HERO CAROUSEL - AUTO-SLIDING
 // ============================================
+// WAI-ARIA carousel with tabbed slide picker: the dots are a tablist (roving
+// tabindex, arrow keys), the rotation button comes first in tab order, and
+// rotation stops while the carousel is hovered or focused, while the tab is
+// hidden, and by default under prefers-reduced-motion.
 let currentSlide = 0;
 let carouselInterval;
 let carouselPosts = [];
+const carouselState = {
+    stopped: false, // the reader pressed pause (or prefers reduced motion)
+    hovered: false,
+    focused: false
+};
 
 function renderHeroCarousel(posts) {
     const carousel = document.getElementById('heroCarousel');
     if (!carousel) return;
 
-    // Get 3-5 random posts for carousel
-    const featuredCount = Math.min(5, posts.length);
-    const shuffled = [...posts].sort(() => 0.5 - Math.random());
-    carouselPosts = shuffled.slice(0, featuredCount);
+    carouselPosts = pickFeaturedPosts(posts, CONFIG.carousel.slides, CONFIG.carousel.seed);
+    currentSlide = 0;
 
     // Render slides
+    carousel.setAttribute('aria-live', 'off');
     carousel.innerHTML = carouselPosts.map((post, index) => `
-        <div class="carousel-slide ${index === 0 ? 'active' : ''}" data-index="${index}" data-slug="${post.slug}">
+        <div class="carousel-slide ${index === 0 ? 'active' : ''}" id="carouselSlide${index}" data-index="${index}" data-slug="${escapeHtml(post.slug)}"
+             role="tabpanel" aria-roledescription="slide" aria-label="${escapeHtml(t('carousel.position', { index: index + 1, total: carouselPosts.length }))}"${index === 0 ? '' : ' aria-hidden="true" inert'}>
             <div class="carousel-image-wrapper">
-                <img src="${post.image || 'https://via.placeholder.com/1200x600?text=No+Image'}" 
-                     alt="${escapeHtml(post.title)}" 
-                     class="carousel-image"
-                     onerror="this.src='https://via.placeholder.com/1200x600?text=No+Image'">
+                ${renderPostImage(post, {
+                    className: 'carousel-image',
+                    sizes: CONFIG.images.sizes.hero,
+                    // The first slide is what the reader sees first
+                    ...(index === 0 ? { fetchPriority: 'high' } : { loading: 'lazy' })
+                })}
                 <div class="carousel-overlay"></div>
             </div>
             <div class="carousel-content">
                 <h2 class="carousel-title">${escapeHtml(post.title)}</h2>
 
                 <p class="carousel-excerpt">${escapeHtml(post.excerpt || '').substring(0, 150)}...</p>
-                <a href="posts/${post.slug}.html" class="carousel-btn-read" onclick="event.stopPropagation()">
-                    Read Article
+                <a href="${getLinkPath('post', post.slug)}" class="carousel-btn-read" onclick="event.stopPropagation()">
+                    ${escapeHtml(t('carousel.readArticle'))}
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="5" y1="12" x2="19" y2="12"></line>
                         <polyline points="12 5 19 12 12 19"></polyline>
@@ -204,7 +608,7 @@ function renderHeroCarousel(posts) {
     `).join('');
 
     // Add click handlers to slides
-    document.querySelectorAll('.carousel-slide').forEach(slide => {
+    carousel.querySelectorAll('.carousel-slide').forEach(slide => {
         slide.addEventListener('click', (e) => {
             // Don't navigate if clicking the button or navigation arrows
             if (e.target.closest('.carousel-btn-read') ||
@@ -214,37 +618,55 @@ function renderHeroCarousel(posts) {
             }
             const slug = slide.dataset.slug;
             if (slug) {
-                window.location.href = `posts/${slug}.html`;
+                window.location.href = getLinkPath('post', slug);
             }
         });
     });
 
-    // Render dots
+    // Render dots (the slide picker tabs)
     const dotsContainer = document.getElementById('carouselDots');
     if (dotsContainer) {
-        dotsContainer.innerHTML = carouselPosts.map((_, index) =>
-            `<button class="carousel-dot ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="Go to slide ${index + 1}"></button>`
+        dotsContainer.setAttribute('role', 'tablist');
+        dotsContainer.setAttribute('aria-label', t('carousel.slides'));
+        dotsContainer.innerHTML = carouselPosts.map((post, index) =>
+            `<button type="button" class="carousel-dot ${index === 0 ? 'active' : ''}" data-index="${index}" role="tab"
+                     aria-controls="carouselSlide${index}" aria-selected="${index === 0}" tabindex="${index === 0 ? 0 : -1}"
+                     aria-label="${escapeHtml(t('carousel.slide', { index: index + 1, title: post.title }))}"></button>`
         ).join('');
-
-        // Add dot click handlers
-        dotsContainer.querySelectorAll('.carousel-dot').forEach(dot => {
-            dot.addEventListener('click', (e) => {
-                const index = parseInt(e.target.dataset.index);
-                goToSlide(index);
-            });
-        });
     }
 
-    // Setup navigation
+    // Setup navigation (once; re-renders reuse the same controls)
     setupCarouselNavigation();
 
     // Start auto-slide
-    startAutoSlide();
+    updateAutoSlide();
+}
+
+// Featured posts first, then a seeded shuffle of the rest. The first index
+// shard lists every featured post, so they're eligible before the other shards load.
+function pickFeaturedPosts(posts, count, seed) {
+    const pool = [...posts];
+    if (indexShards && indexShards.featured) {
+        indexShards.featured
+            .filter(post => !pool.some(p => p.slug === post.slug))
+            .forEach(post => pool.push(post));
+    }
+
+    const random = seededRandom(seed === 'daily' ? new Date().toISOString().slice(0, 10) : seed);
+    const featured = shuffle(pool.filter(post => post.featured), random);
+    const others = shuffle(pool.filter(post => !post.featured), random);
+    return [...featured, ...others].slice(0, Math.max(0, count));
 }
 
 function setupCarouselNavigation() {
+    const carousel = document.querySelector('.hero-carousel');
+    if (!carousel || carousel.dataset.controlsReady) return;
+    carousel.dataset.controlsReady = 'true';
+
     const prevBtn = document.getElementById('carouselPrev');
     const nextBtn = document.getElementById('carouselNext');
+    const rotationBtn = document.getElementById('carouselRotation');
+    const dotsContainer = document.getElementById('carouselDots');
 
     if (prevBtn) {
         prevBtn.addEventListener('click', () => {
@@ -258,12 +680,83 @@ function setupCarouselNavigation() {
         });
     }
 
-    // Pause on hover
-    const carousel = document.querySelector('.hero-carousel');
-    if (carousel) {
-        carousel.addEventListener('mouseenter', stopAutoSlide);
-        carousel.addEventListener('mouseleave', startAutoSlide);
+    if (rotationBtn) {
+        rotationBtn.addEventListener('click', () => {
+            carouselState.stopped = !carouselState.stopped;
+            updateAutoSlide();
+        });
+    }
+
+    if (dotsContainer) {
+        dotsContainer.addEventListener('click', (e) => {
+            const dot = e.target.closest('.carousel-dot');
+            if (dot) goToSlide(parseInt(dot.dataset.index, 10));
+        });
+        dotsContainer.addEventListener('keydown', handleCarouselTabKeydown);
+    }
+
+    // Pause on hover and while anything inside has focus
+    carousel.addEventListener('mouseenter', () => setCarouselState('hovered', true));
+    carousel.addEventListener('mouseleave', () => setCarouselState('hovered', false));
+    carousel.addEventListener('focusin', () => setCarouselState('focused', true));
+    carousel.addEventListener('focusout', (e) => {
+        if (!carousel.contains(e.relatedTarget)) setCarouselState('focused', false);
+    });
+
+    document.addEventListener('visibilitychange', updateAutoSlide);
+
+    // Reduced motion starts out paused; the reader can still press play
+    const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+    if (reducedMotion) {
+        carouselState.stopped = reducedMotion.matches;
+        const onChange = () => {
+            carouselState.stopped = reducedMotion.matches;
+            updateAutoSlide();
+        };
+        if (reducedMotion.addEventListener) reducedMotion.addEventListener('change', onChange);
     }
+
+    setupCarouselSwipe(carousel);
+}
+
+// Arrow keys move between the dots (in reading direction) and show that
+// slide; Home/End jump to the ends
+function handleCarouselTabKeydown(e) {
+    const forward = isRtl() ? -1 : 1;
+    const moves = {
+        ArrowLeft: currentSlide - forward,
+        ArrowRight: currentSlide + forward,
+        Home: 0,
+        End: carouselPosts.length - 1
+    };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    goToSlide(moves[e.key]);
+
+    const dot = document.querySelector(`.carousel-dot[data-index="${currentSlide}"]`);
+    if (dot) dot.focus();
+}
+
+function setupCarouselSwipe(carousel) {
+    let startX = null;
+    let startY = null;
+
+    carousel.addEventListener('touchstart', (e) => {
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+    }, { passive: true });
+
+    carousel.addEventListener('touchend', (e) => {
+        if (startX === null) return;
+        const dx = e.changedTouches[0].clientX - startX;
+        const dy = e.changedTouches[0].clientY - startY;
+        startX = null;
+
+        // Horizontal swipes only, so the page still scrolls; right-to-left
+        // pages advance with a swipe to the right
+        if (Math.abs(dx) < 50 || Math.abs(dx) < Math.abs(dy)) return;
+        goToSlide(currentSlide + ((dx < 0) !== isRtl() ? 1 : -1));
+    }, { passive: true });
 }
 
 function goToSlide(index) {
@@ -276,22 +769,62 @@ function goToSlide(index) {
     if (index < 0) index = slides.length - 1;
     if (index >= slides.length) index = 0;
 
-    // Remove active class from all
-    slides.forEach(slide => slide.classList.remove('active'));
-    dots.forEach(dot => dot.classList.remove('active'));
-
-    // Add active class to current
-    slides[index].classList.add('active');
-    if (dots[index]) dots[index].classList.add('active');
+    // Hidden slides are inert so their links are skipped by Tab and screen readers
+    slides.forEach((slide, i) => {
+        const active = i === index;
+        slide.classList.toggle('active', active);
+        slide.toggleAttribute('inert', !active);
+        if (active) {
+            slide.removeAttribute('aria-hidden');
+        } else {
+            slide.setAttribute('aria-hidden', 'true');
+        }
+    });
+    dots.forEach((dot, i) => {
+        const active = i === index;
+        dot.classList.toggle('active', active);
+        dot.setAttribute('aria-selected', String(active));
+        dot.tabIndex = active ? 0 : -1;
+    });
 
     currentSlide = index;
+
+    // Manual moves restart the countdown so the new slide gets a full interval
+    if (carouselInterval) startAutoSlide();
+}
+
+function setCarouselState(key, value) {
+    carouselState[key] = value;
+    updateAutoSlide();
+}
+
+// Rotate only when nothing asks us to hold still
+function updateAutoSlide() {
+    const rotating = !carouselState.stopped && !carouselState.hovered &&
+        !carouselState.focused && !document.hidden && carouselPosts.length > 1;
+
+    if (rotating) {
+        if (!carouselInterval) startAutoSlide();
+    } else {
+        stopAutoSlide();
+    }
+
+    // Announce slide changes only when the reader makes them
+    const slides = document.getElementById('heroCarousel');
+    if (slides) slides.setAttribute('aria-live', rotating ? 'off' : 'polite');
+
+    const rotationBtn = document.getElementById('carouselRotation');
+    if (rotationBtn) {
+        rotationBtn.classList.toggle('paused', carouselState.stopped);
+        rotationBtn.setAttribute('aria-label', t(carouselState.stopped ? 'carousel.start' : 'carousel.stop'));
+    }
 }
 
 function startAutoSlide() {
     stopAutoSlide(); // Clear any existing interval
     carouselInterval = setInterval(() => {
         goToSlide(currentSlide + 1);
-    }, 5000); // Change slide every 5 seconds
+    }, CONFIG.carousel.interval);
 }
 
 function stopAutoSlide() {
@@ -301,190 +834,1003 @@ function stopAutoSlide() {
     }
 }
 
-function renderPostsGrid(posts) {
+function renderPostsGrid(posts, emptyMessage = t('posts.noMatches'), total = posts.length) {
     const grid = document.getElementById('postsGrid');
     if (!grid) return;
 
     grid.innerHTML = '';
 
-    posts.forEach(post => {
+    if (posts.length === 0) {
+        grid.innerHTML = `<div class="loading" style="grid-column: 1/-1;">${escapeHtml(emptyMessage)}</div>`;
+        return;
+    }
+
+    appendPostCards(grid, posts, 0, total);
+}
+
+// Cards for posts that sit at `offset` in a list `total` long. Returns the first new card.
+function appendPostCards(grid, posts, offset, total) {
+    const adEvery = CONFIG.ads && CONFIG.ads.slots.grid ? CONFIG.ads.slots.grid.everyCards : 0;
+    let firstCard = null;
+
+    posts.forEach((post, i) => {
+        const index = offset + i;
         const card = createPostCard(post);
         grid.appendChild(card);
+        if (!firstCard) firstCard = card;
+
+        // In-feed ad between rows of cards (never after the last card)
+        if (adEvery && (index + 1) % adEvery === 0 && index < total - 1) {
+            grid.insertAdjacentHTML('beforeend', renderAdSlot('grid', 'ad-grid'));
+        }
     });
+    activateAdSlots(grid);
+    return firstCard;
 }
 
 function renderPagedPosts(page) {
-    if (!postsData || postsData.length === 0) return;
+    if ((!postsData || postsData.length === 0) && !savedView) return;
 
-    currentPage = page;
-    const startIndex = (page - 1) * CONFIG.postsPerPage;
-    const endIndex = startIndex + CONFIG.postsPerPage;
-    const pagedPosts = postsData.slice(startIndex, endIndex);
+    const visibleCount = getVisibleCount();
+    currentPage = clampPage(page, visibleCount);
+    gridVersion++;
 
-    renderPostsGrid(pagedPosts);
-    renderPaginationControls();
+    // Fetch the shards this page needs, then come back
+    if (!savedView && !isIndexComplete() && postsData.length < currentPage * CONFIG.postsPerPage) {
+        const version = gridVersion;
+        loadIndexShards(currentPage * CONFIG.postsPerPage).then(() => {
+            if (version === gridVersion) renderPagedPosts(page);
+        });
+        return;
+    }
 
-    // Also render sidebar if on first load/page 1 (or always, keeping it static is fine)
-    if (page === 1) {
-        renderSidebar(postsData);
+    // Numbered pages show one page; loadMore/infinite show everything up to it
+    const visiblePosts = getVisiblePosts();
+    const startIndex = isAppendingMode() ? 0 : (currentPage - 1) * CONFIG.postsPerPage;
+    const endIndex = currentPage * CONFIG.postsPerPage;
+    const pagedPosts = visiblePosts.slice(startIndex, endIndex);
+
+    // ?page=99 on a 3-page list becomes ?page=3 (and ?page=abc goes away)
+    const pageParam = new URLSearchParams(window.location.search).get('page');
+    if (pageParam !== (currentPage > 1 ? String(currentPage) : null)) {
+        history.replaceState(null, '', getPageUrl(currentPage));
     }
 
-    // Scroll to top of grid
-    const hero = document.querySelector('.hero-carousel');
-    if (hero) {
-        // Scroll just past hero
-        // hero.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    renderPostsGrid(pagedPosts, savedView ? t('filters.savedEmpty') : undefined, visibleCount);
+    renderPaginationControls();
+    renderSidebar(postsData);
+}
+
+// Unfiltered lists also count the posts in shards not fetched yet
+function getVisibleCount() {
+    return savedView || isIndexComplete() ? getVisiblePosts().length : indexShards.count;
+}
+
+// ============================================
+// PAGINATION (index.html?page=N)
+// ============================================
+function getPageFromLocation() {
+    const page = parseInt(new URLSearchParams(window.location.search).get('page'), 10);
+    return page > 0 ? page : 1;
+}
+
+function clampPage(page, postCount) {
+    const totalPages = Math.max(1, Math.ceil(postCount / CONFIG.postsPerPage));
+    return Math.min(Math.max(1, Math.floor(page) || 1), totalPages);
+}
+
+// Current URL (search query and category hash included) with ?page= set; page 1 has none
+function getPageUrl(page) {
+    const params = new URLSearchParams(window.location.search);
+    if (page > 1) {
+        params.set('page', page);
     } else {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+        params.delete('page');
     }
+    const qs = params.toString();
+    return window.location.pathname + (qs ? `?${qs}` : '') + window.location.hash;
 }
 
 function renderPaginationControls() {
-    const totalPages = Math.ceil(postsData.length / CONFIG.postsPerPage);
+    const totalPages = Math.ceil(getVisibleCount() / CONFIG.postsPerPage);
     let paginationContainer = document.getElementById('pagination');
 
     // Create if doesn't exist (it should be in HTML, but fallback here)
     if (!paginationContainer) {
-        paginationContainer = document.createElement('div');
+        paginationContainer = document.createElement('nav');
         paginationContainer.id = 'pagination';
         paginationContainer.className = 'pagination';
+        paginationContainer.setAttribute('aria-label', t('pagination.label'));
         document.querySelector('.posts-section').appendChild(paginationContainer);
     }
+    setupPaginationLinks(paginationContainer);
+
+    if (isAppendingMode()) {
+        renderLoadMoreControls(paginationContainer);
+        return;
+    }
 
     if (totalPages <= 1) {
         paginationContainer.innerHTML = '';
         return;
     }
 
+    const pageLink = (page, label, className, rel) => `
+        <a href="${escapeHtml(getPageUrl(page))}" class="${className}" data-page="${page}"${rel ? ` rel="${rel}"` : ''}${page === currentPage && !rel ? ' aria-current="page"' : ''}>${escapeHtml(label)}</a>
+    `;
+
     let html = '';
 
-    // Prev Button
+    // Prev Link
     if (currentPage > 1) {
-        html += `<button class="page-btn prev" onclick="changePage(${currentPage - 1})">Previous</button>`;
+        html += pageLink(currentPage - 1, t('pagination.previous'), 'page-btn prev', 'prev');
     }
 
     // Page Numbers
     for (let i = 1; i <= totalPages; i++) {
         if (i === 1 || i === totalPages || (i >= currentPage - 1 && i <= currentPage + 1)) {
-            html += `<button class="page-num ${i === currentPage ? 'active' : ''}" onclick="changePage(${i})">${i}</button>`;
+            html += pageLink(i, new Intl.NumberFormat(getLocale()).format(i), `page-num${i === currentPage ? ' active' : ''}`);
         } else if (i === currentPage - 2 || i === currentPage + 2) {
             html += `<span class="page-dots">...</span>`;
         }
     }
 
-    // Next Button
+    // Next Link
     if (currentPage < totalPages) {
-        html += `<button class="page-btn next" onclick="changePage(${currentPage + 1})">Next</button>`;
+        html += pageLink(currentPage + 1, t('pagination.next'), 'page-btn next', 'next');
     }
 
     paginationContainer.innerHTML = html;
 }
 
-// Global function for onclick handlers
-window.changePage = function (page) {
-    renderPagedPosts(page);
-};
+// Links work without JavaScript (and for crawlers); with it, page changes
+// become history entries so Back returns to the previous page of results
+function setupPaginationLinks(container) {
+    if (container.dataset.linksReady) return;
+    container.dataset.linksReady = 'true';
 
+    container.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-page]');
+        if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || e.button !== 0) return;
+        e.preventDefault();
 
-function createPostCard(post) {
-    const card = document.createElement('article');
-    card.className = 'post-card';
+        // Keyboard and screen reader users continue from the first new card
+        if (link.classList.contains('load-more')) {
+            appendNextPage().then(card => {
+                const cardLink = card && card.querySelector('.post-card-title a');
+                if (cardLink) cardLink.focus();
+            });
+            return;
+        }
 
-    const imageHtml = post.image
-        ? `<div class="post-card-image">
-               <img src="${escapeHtml(post.image)}" alt="${escapeHtml(post.title)}" loading="lazy">
-           </div>`
-        : '';
+        const page = Number(link.dataset.page);
+        history.pushState(null, '', getPageUrl(page));
+        renderPagedPosts(page);
 
-    const excerpt = truncateText(post.excerpt, CONFIG.excerptLength);
-    const postUrl = getLinkPath('post', post.slug);
+        const section = document.querySelector('.posts-section');
+        if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
 
-    card.innerHTML = `
-        ${imageHtml}
-        <div class="post-card-content">
-            <div class="post-meta">
-                <span class="post-category">${escapeHtml(post.category)}</span>
-                <span class="post-date">${formatDate(post.date)}</span>
-            </div>
-            <h2 class="post-card-title">
-                <a href="${postUrl}">${escapeHtml(post.title)}</a>
-            </h2>
-            <p class="post-card-excerpt">${escapeHtml(excerpt)}</p>
-            <a href="${postUrl}" class="read-more">Read More</a>
-        </div>
-    `;
 
-    return card;
+// ============================================
+// LOAD MORE & INFINITE SCROLL (CONFIG.paginationMode)
+// ============================================
+// ?page=N still records how far the reader got, so reloading or coming back
+// shows the same cards; it's updated with replaceState to keep Back usable.
+let gridVersion = 0; // bumped by every full re-render of the grid
+let appendingPage = false;
+let infiniteScrollObserver = null;
+
+function isAppendingMode() {
+    return CONFIG.paginationMode === 'loadMore' || CONFIG.paginationMode === 'infinite';
 }
 
-// Helper for relative paths
-function getLinkPath(type, slugOrCat) {
-    const isPostPage = window.location.pathname.includes('/posts/');
+// The "Load more" link is a real ?page= link, so it also works without JavaScript
+function renderLoadMoreControls(container) {
+    if (infiniteScrollObserver) infiniteScrollObserver.disconnect();
 
-    if (type === 'home') {
-        return isPostPage ? '../index.html' : 'index.html';
-    }
-    if (type === 'post') {
-        // If we are in /posts/, sibling is just slug.html
-        // If we are in /, child is posts/slug.html
-        return isPostPage ? `${slugOrCat}.html` : `posts/${slugOrCat}.html`;
+    const total = getVisibleCount();
+    const shown = Math.min(currentPage * CONFIG.postsPerPage, total);
+    if (shown >= total) {
+        container.innerHTML = '';
+        return;
     }
-    if (type === 'category') {
-        const base = isPostPage ? '../index.html' : 'index.html';
-        return `${base}#${slugOrCat.toLowerCase()}`;
+
+    container.innerHTML = `
+        <p class="load-more-count">${escapeHtml(t('pagination.showing', { shown, total }))}</p>
+        <a href="${escapeHtml(getPageUrl(currentPage + 1))}" class="page-btn load-more" data-page="${currentPage + 1}">${escapeHtml(t('pagination.loadMore'))}</a>
+        ${CONFIG.paginationMode === 'infinite' ? '<div class="infinite-sentinel" aria-hidden="true"></div>' : ''}
+    `;
+
+    const sentinel = container.querySelector('.infinite-sentinel');
+    if (!sentinel || !('IntersectionObserver' in window)) return;
+
+    if (!infiniteScrollObserver) {
+        infiniteScrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) appendNextPage();
+        }, { rootMargin: CONFIG.infiniteScrollMargin });
     }
-    return '#';
+    // A sentinel that is still in view after a short batch fires again right away
+    infiniteScrollObserver.observe(sentinel);
 }
 
-// ============================================
-// SINGLE POST PAGE
-// ============================================
-async function loadSinglePost() {
-    // SSG CHECK: If the page already has content (static generation), don't fetch/render.
-    // However, we still might want to load sidebar data.
-    if (document.querySelector('.post-body') || window.preloadedPost) {
-        console.log('SSG/Static content detected. Skipping dynamic render.');
-        // Load lightweight index for sidebar and related posts (FAST!)
-        const posts = await loadPostsIndex();
-        renderSidebar(posts);
+// Add the next page of cards under the current ones. Resolves to the first new card.
+async function appendNextPage() {
+    const grid = document.getElementById('postsGrid');
+    const total = getVisibleCount();
+    const offset = currentPage * CONFIG.postsPerPage;
+    if (!grid || appendingPage || offset >= total) return null;
 
-        // Render related posts if we have current post data
-        if (window.preloadedPost) {
-            renderRelatedPosts(window.preloadedPost, posts);
+    appendingPage = true;
+    grid.setAttribute('aria-busy', 'true');
+    const version = gridVersion;
+    const nextPage = currentPage + 1;
+
+    try {
+        if (!savedView && !isIndexComplete()) {
+            await loadIndexShards(nextPage * CONFIG.postsPerPage);
         }
-        return;
+        // Filters changed while the shard was loading; that render wins
+        if (version !== gridVersion) return null;
+
+        const posts = getVisiblePosts().slice(offset, nextPage * CONFIG.postsPerPage);
+        const firstCard = appendPostCards(grid, posts, offset, total);
+        currentPage = nextPage;
+        history.replaceState(null, '', getPageUrl(currentPage));
+
+        announcePosts(t('pagination.loaded', { count: posts.length, shown: Math.min(offset + posts.length, total), total }));
+        return firstCard;
+    } finally {
+        appendingPage = false;
+        grid.removeAttribute('aria-busy');
+        if (version === gridVersion) renderPaginationControls();
     }
+}
 
-    const urlParams = new URLSearchParams(window.location.search);
-    const slug = urlParams.get('slug');
+// Polite live region next to the grid
+function announcePosts(message) {
+    const grid = document.getElementById('postsGrid');
+    if (!grid) return;
 
-    console.log('Loading single post for slug:', slug);
+    let status = document.getElementById('postsStatus');
+    if (!status) {
+        status = document.createElement('p');
+        status.id = 'postsStatus';
+        status.className = 'sr-only';
+        status.setAttribute('role', 'status');
+        grid.parentNode.insertBefore(status, grid.nextSibling);
+    }
+    status.textContent = message;
+}
 
-    if (!slug) {
-        showError('Post not found (No slug provided)');
+
+// ============================================
+// FILTER ROUTING (index.html?q=term&page=2#category-slug)
+// ============================================
+function setupFilterRouting() {
+    // hashchange covers link clicks; popstate covers back/forward over
+    // entries created by pushState (search submits, the "clear" link)
+    window.addEventListener('hashchange', () => applyFiltersFromLocation());
+    window.addEventListener('popstate', () => applyFiltersFromLocation());
+    applyFiltersFromLocation(true);
+}
+
+function applyFiltersFromLocation(force) {
+    const hashSlug = safeDecodeURIComponent(window.location.hash.replace(/^#/, ''));
+    const showSaved = hashSlug === SAVED_VIEW_HASH;
+    // Unknown hashes (#about, #contact...) simply show everything
+    const category = showSaved ? null : findCategoryBySlug(hashSlug);
+    const query = (new URLSearchParams(window.location.search).get('q') || '').trim();
+    const facets = getFacetsFromLocation();
+
+    // Filtering and search need every post, not just the shards loaded so far
+    if ((category || query || hasFacetFilters(facets)) && !isIndexComplete()) {
+        loadIndexShards().then(() => applyFiltersFromLocation(force));
         return;
     }
 
-    const posts = await loadPostsData();
-    console.log('Loaded posts:', posts.length);
-
-    const post = posts.find(p => p.slug === slug);
-    console.log('Found post:', post ? post.title : 'None');
+    const page = getPageFromLocation();
 
-    if (!post) {
-        showError('Post not found (Slug mismatch)');
+    const filtersChanged = category !== activeCategory || query !== searchQuery || showSaved !== savedView ||
+        JSON.stringify(facets) !== JSON.stringify(activeFacets);
+    if (force !== true && !filtersChanged) {
+        // Back/forward between pages of the same results
+        if (page !== currentPage) renderPagedPosts(page);
         return;
     }
+    activeCategory = category;
+    savedView = showSaved;
+    activeFacets = facets;
+    setSearchQuery(query);
 
-    currentPost = post;
-    try {
+    renderPagedPosts(page);
+    renderCategories(postsData);
+    renderFilterBanner();
+    renderFacetPanel();
+}
+
+function findCategoryBySlug(slug) {
+    if (!slug) return null;
+    const names = isIndexComplete()
+        ? postsData.map(p => p.category)
+        : indexShards.categories.map(c => c.name);
+    return names.find(name => name && slugify(name) === slug) || null;
+}
+
+function getVisiblePosts() {
+    const posts = getUnfacetedPosts();
+    return hasFacetFilters() ? posts.filter(post => postMatchesFacets(post, activeFacets)) : posts;
+}
+
+// Saved view, category and search applied; the facet panel counts within these
+function getUnfacetedPosts() {
+    let posts = savedView ? getSavedPosts() : postsData;
+
+    if (activeCategory) {
+        posts = posts.filter(p => p.category === activeCategory);
+    }
+
+    if (searchScores) {
+        posts = posts
+            .filter(p => searchScores.has(p.slug))
+            .sort((a, b) => searchScores.get(b.slug) - searchScores.get(a.slug));
+    }
+
+    return posts;
+}
+
+function clearFilters() {
+    history.pushState(null, '', window.location.pathname);
+    applyFiltersFromLocation();
+}
+
+function renderFilterBanner() {
+    const grid = document.getElementById('postsGrid');
+    if (!grid) return;
+
+    let banner = document.getElementById('filterBanner');
+    if (!activeCategory && !searchQuery && !savedView && !hasFacetFilters()) {
+        if (banner) banner.remove();
+        return;
+    }
+
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'filterBanner';
+        banner.className = 'filter-banner';
+        banner.setAttribute('role', 'status');
+        grid.parentNode.insertBefore(banner, grid);
+    }
+
+    const labels = [];
+    if (savedView) labels.push(`<strong>${escapeHtml(t('nav.myRecipes'))}</strong>`);
+    if (activeCategory) labels.push(`<strong>${escapeHtml(activeCategory)}</strong>`);
+    if (searchQuery) labels.push(tHtml('filters.results', { query: `<strong>${escapeHtml(searchQuery)}</strong>` }));
+    if (hasFacetFilters()) {
+        const filterCount = Object.values(activeFacets).reduce((sum, values) => sum + values.length, 0);
+        labels.push(`<strong>${escapeHtml(t('filters.count', { count: filterCount }))}</strong>`);
+    }
+
+    const count = getVisiblePosts().length;
+    banner.innerHTML = `
+        ${tHtml('filters.showing', { filters: labels.join(' &middot; '), posts: escapeHtml(t('posts.count', { count })) })} &middot;
+        <a href="${getLinkPath('home')}" class="filter-clear">${escapeHtml(t('filters.clear'))}</a>
+        ${savedView && count > 0 ? `&middot; <a href="shopping-list.html">${escapeHtml(t('filters.shoppingList'))}</a>` : ''}
+    `;
+    banner.querySelector('.filter-clear').addEventListener('click', (e) => {
+        e.preventDefault();
+        clearFilters();
+    });
+}
+
+// ============================================
+// FACETED FILTERS (index.html?diet=vegetarian&time=under-30-min)
+// ============================================
+// Facets come from RECIPE_FACETS / getPostFacets() in js/recipe.js. Each URL
+// parameter holds comma-separated value slugs. activeFacets is applied in
+// getVisiblePosts(), so it is in place before renderPagedPosts runs.
+const facetLabels = new Map(); // 'facet:slug' -> display value, for chips
+
+function getFacetsFromLocation() {
+    const params = new URLSearchParams(window.location.search);
+    const facets = {};
+    Object.keys(RECIPE_FACETS).forEach(key => {
+        const values = (params.get(key) || '').split(',').map(slugify).filter(Boolean);
+        if (values.length > 0) facets[key] = [...new Set(values)];
+    });
+    return facets;
+}
+
+function hasFacetFilters(facets = activeFacets) {
+    return Object.keys(facets).length > 0;
+}
+
+// `skip` leaves one facet out, for counting its own values
+function postMatchesFacets(post, facets, skip = null) {
+    const postFacets = getPostFacets(post);
+    return Object.keys(facets).every(key => {
+        if (key === skip) return true;
+        const values = (postFacets[key] || []).map(slugify);
+        return RECIPE_FACETS[key].match === 'all'
+            ? facets[key].every(value => values.includes(value))
+            : facets[key].some(value => values.includes(value));
+    });
+}
+
+// Current URL with the facet parameters replaced; new results start on page 1
+function getFacetUrl(facets) {
+    const params = new URLSearchParams(window.location.search);
+    Object.keys(RECIPE_FACETS).forEach(key => {
+        if (facets[key] && facets[key].length > 0) {
+            params.set(key, facets[key].join(','));
+        } else {
+            params.delete(key);
+        }
+    });
+    params.delete('page');
+    const qs = params.toString();
+    return window.location.pathname + (qs ? `?${qs}` : '') + window.location.hash;
+}
+
+function setFacets(facets) {
+    const cleaned = {};
+    Object.keys(facets).forEach(key => {
+        if (facets[key].length > 0) cleaned[key] = facets[key];
+    });
+    history.pushState(null, '', getFacetUrl(cleaned));
+    applyFiltersFromLocation();
+}
+
+function isPresetActive(preset) {
+    return Object.keys(preset.filters).every(key =>
+        preset.filters[key].every(value => (activeFacets[key] || []).includes(value))
+    );
+}
+
+// A preset is left out while no recipe has its values. Counts aren't checked,
+// so presets stay put as other filters narrow the list.
+function isPresetAvailable(preset, options) {
+    return Object.keys(preset.filters).every(key =>
+        preset.filters[key].every(value => (options[key] || []).some(option => option.slug === value))
+    );
+}
+
+// { facet: [{ value, slug, count }] } for the panel. With every post loaded,
+// counts say how many results ticking the value would give; before that (no
+// filters active yet) they are the first shard's site-wide totals.
+function getFacetOptions() {
+    const base = isIndexComplete() ? getUnfacetedPosts() : null;
+    const totals = base ? countFacets(base) : indexShards.facets;
+
+    const options = {};
+    Object.keys(RECIPE_FACETS).forEach(key => {
+        const selected = activeFacets[key] || [];
+        const values = (totals[key] || []).map(({ value, count }) => ({ value: translateValue(`facets.${key}`, value), slug: slugify(value), count }));
+        // Keep ticked values that no longer match anything, so they can be unticked
+        selected
+            .filter(slug => !values.some(option => option.slug === slug))
+            .forEach(slug => values.push({ value: facetLabels.get(`${key}:${slug}`) || slug, slug, count: 0 }));
+
+        values.forEach(option => {
+            facetLabels.set(`${key}:${option.slug}`, option.value);
+            if (!base) return;
+            const trial = {
+                ...activeFacets,
+                [key]: RECIPE_FACETS[key].match === 'all' ? [...new Set([...selected, option.slug])] : [option.slug]
+            };
+            option.count = base.filter(post => postMatchesFacets(post, trial)).length;
+        });
+        if (values.length > 0) options[key] = values;
+    });
+    return options;
+}
+
+function renderFacetPanel() {
+    const settings = CONFIG.facets;
+    const grid = document.getElementById('postsGrid');
+    if (!settings || !settings.enabled || !grid) return;
+
+    const options = getFacetOptions();
+    let bar = document.getElementById('facetBar');
+    if (Object.keys(options).length === 0 && !hasFacetFilters()) {
+        if (bar) bar.hidden = true;
+        return;
+    }
+
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'facetBar';
+        bar.className = 'facet-bar';
+        bar.innerHTML = `
+            <div class="facet-presets" id="facetPresets"></div>
+            <details class="facet-panel">
+                <summary>${escapeHtml(t('facets.toggle'))}</summary>
+                <div class="facet-groups" id="facetGroups"></div>
+            </details>
+            <ul class="facet-chips" id="facetChips" aria-label="${escapeHtml(t('facets.active'))}"></ul>
+        `;
+        grid.parentNode.insertBefore(bar, document.getElementById('filterBanner') || grid);
+        setupFacetControls(bar);
+    }
+    bar.hidden = false;
+
+    // Re-rendering replaces the control that has focus; put focus back on its replacement
+    const focused = bar.contains(document.activeElement) ? document.activeElement : null;
+    const focusKey = focused && getFacetControlKey(focused);
+
+    document.getElementById('facetPresets').innerHTML = (settings.presets || []).map((preset, i) => (isPresetAvailable(preset, options) ? `
+        <button type="button" class="facet-preset" data-preset="${i}" aria-pressed="${isPresetActive(preset)}">${escapeHtml(t(preset.label))}</button>
+    ` : '')).join('');
+
+    document.getElementById('facetGroups').innerHTML = Object.keys(options).map(key => `
+        <fieldset class="facet-group">
+            <legend>${escapeHtml(translateValue('facets', RECIPE_FACETS[key].label, key))}</legend>
+            ${options[key].map(option => {
+                const checked = (activeFacets[key] || []).includes(option.slug);
+                return `
+                    <label class="facet-option${!checked && option.count === 0 ? ' is-empty' : ''}">
+                        <input type="checkbox" name="${key}" value="${escapeHtml(option.slug)}"${checked ? ' checked' : ''}${!checked && option.count === 0 ? ' disabled' : ''}>
+                        ${escapeHtml(option.value)} <span class="facet-count">(${option.count})</span>
+                    </label>
+                `;
+            }).join('')}
+        </fieldset>
+    `).join('');
+
+    const chips = Object.keys(activeFacets).flatMap(key => activeFacets[key].map(slug => {
+        const label = facetLabels.get(`${key}:${slug}`) || slug;
+        return `
+            <li><button type="button" class="facet-chip" data-facet="${key}" data-value="${escapeHtml(slug)}"
+                        aria-label="${escapeHtml(t('facets.remove', { label }))}">${escapeHtml(label)} <span aria-hidden="true">&times;</span></button></li>
+        `;
+    }));
+    if (chips.length > 1) {
+        chips.push(`<li><button type="button" class="facet-chip facet-chip-clear" data-facet="*">${escapeHtml(t('facets.clearAll'))}</button></li>`);
+    }
+    document.getElementById('facetChips').innerHTML = chips.join('');
+
+    if (focused && !bar.contains(focused)) {
+        const replacement = [...bar.querySelectorAll('button, input')].find(control => getFacetControlKey(control) === focusKey);
+        // A removed chip hands focus to the next one, or back to the panel
+        (replacement || bar.querySelector('.facet-chip') || bar.querySelector('summary')).focus();
+    }
+}
+
+// Same key for a control and its re-rendered copy
+function getFacetControlKey(control) {
+    const { preset, facet, value } = control.dataset;
+    return [control.className, preset, control.name || facet, control.value || value].join('|');
+}
+
+function setupFacetControls(bar) {
+    bar.addEventListener('change', (e) => {
+        if (!e.target.matches('.facet-group input')) return;
+        const facets = {};
+        bar.querySelectorAll('.facet-group input:checked').forEach(input => {
+            (facets[input.name] = facets[input.name] || []).push(input.value);
+        });
+        setFacets(facets);
+    });
+
+    bar.addEventListener('click', (e) => {
+        const preset = e.target.closest('[data-preset]');
+        const chip = e.target.closest('.facet-chip');
+        const facets = JSON.parse(JSON.stringify(activeFacets));
+
+        if (preset) {
+            const { filters } = CONFIG.facets.presets[Number(preset.dataset.preset)];
+            const active = isPresetActive({ filters });
+            Object.keys(filters).forEach(key => {
+                const others = (facets[key] || []).filter(value => !filters[key].includes(value));
+                facets[key] = active ? others : [...others, ...filters[key]];
+            });
+            setFacets(facets);
+        } else if (chip) {
+            const key = chip.dataset.facet;
+            if (key === '*') {
+                setFacets({});
+            } else {
+                facets[key] = facets[key].filter(value => value !== chip.dataset.value);
+                setFacets(facets);
+            }
+        }
+    });
+}
+
+
+// ============================================
+// SEARCH (in-browser inverted index)
+// ============================================
+// Field weights used when ranking matches. `ingredients` and `keywords`
+// are optional arrays in posts-index.json.
+const SEARCH_FIELD_WEIGHTS = {
+    title: 5,
+    ingredients: 3,
+    keywords: 3,
+    category: 2,
+    excerpt: 1
+};
+
+const SEARCH_STOPWORDS = new Set([
+    'a', 'an', 'and', 'the', 'of', 'with', 'for', 'to', 'in', 'on', 'or',
+    'what', 'can', 'i', 'make', 'how', 'my', 'your', 'recipe', 'recipes'
+]);
+
+let searchIndex = null; // Map<term, Map<slug, weight>>, built lazily
+let searchScores = null; // Map<slug, score> for the active query
+
+function setupSearch() {
+    const form = document.querySelector('.header-search');
+    const input = document.getElementById('searchInput');
+    if (!form || !input) return;
+
+    let debounceTimer;
+
+    // Live results while typing; replaceState keeps ?q= shareable without
+    // flooding history with one entry per keystroke
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            updateSearchUrl(input.value, 'replace');
+            applyFiltersFromLocation();
+            trackSearch(input.value);
+        }, 200);
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        clearTimeout(debounceTimer);
+        updateSearchUrl(input.value, 'push');
+        applyFiltersFromLocation();
+        trackSearch(input.value, true);
+    });
+}
+
+function updateSearchUrl(query, mode) {
+    const params = new URLSearchParams(window.location.search);
+    const trimmed = query.trim();
+
+    if (trimmed) {
+        params.set('q', trimmed);
+    } else {
+        params.delete('q');
+    }
+    // New results start on page 1
+    params.delete('page');
+
+    const qs = params.toString();
+    const url = window.location.pathname + (qs ? `?${qs}` : '') + window.location.hash;
+    if (mode === 'push') {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+function setSearchQuery(query) {
+    searchQuery = query;
+    searchScores = query ? searchPosts(query) : null;
+
+    const input = document.getElementById('searchInput');
+    if (input && input.value.trim() !== query) {
+        input.value = query;
+    }
+}
+
+// tokenize() and stemToken() are shared with js/recipe.js
+function getQueryTerms(query) {
+    return [...new Set(tokenize(query).map(stemToken))]
+        .filter(term => !SEARCH_STOPWORDS.has(term));
+}
+
+// Flatten a post field (string, string[] or [{ name }]) into plain text
+function getSearchableText(value) {
+    if (!value) return '';
+    if (Array.isArray(value)) {
+        return value.map(item => (typeof item === 'string' ? item : (item && item.name) || '')).join(' ');
+    }
+    return String(value);
+}
+
+function buildSearchIndex(posts) {
+    const index = new Map();
+
+    posts.forEach(post => {
+        Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+            tokenize(getSearchableText(post[field])).forEach(token => {
+                const term = stemToken(token);
+                if (SEARCH_STOPWORDS.has(term)) return;
+
+                if (!index.has(term)) index.set(term, new Map());
+                const postings = index.get(term);
+                postings.set(post.slug, (postings.get(post.slug) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+            });
+        });
+    });
+
+    return index;
+}
+
+// Multi-term AND search. Returns Map<slug, score>, or null for an empty query.
+function searchPosts(query) {
+    const terms = getQueryTerms(query);
+    if (terms.length === 0) return null;
+
+    if (!searchIndex) searchIndex = buildSearchIndex(postsData);
+    const totalPosts = postsData.length || 1;
+
+    let scores = null;
+    terms.forEach(term => {
+        const termScores = new Map();
+
+        searchIndex.forEach((postings, indexedTerm) => {
+            // Prefix matches ("chick" -> "chicken") count for half
+            if (indexedTerm !== term && !indexedTerm.startsWith(term)) return;
+            const boost = indexedTerm === term ? 1 : 0.5;
+            const idf = Math.log(1 + totalPosts / postings.size);
+
+            postings.forEach((weight, slug) => {
+                const score = weight * boost * idf;
+                termScores.set(slug, Math.max(termScores.get(slug) || 0, score));
+            });
+        });
+
+        if (scores === null) {
+            scores = termScores;
+            return;
+        }
+
+        const combined = new Map();
+        scores.forEach((score, slug) => {
+            if (termScores.has(slug)) combined.set(slug, score + termScores.get(slug));
+        });
+        scores = combined;
+    });
+
+    return scores;
+}
+
+// Escape text and wrap words matching any query term in <mark>
+function highlightText(text, terms) {
+    if (!text) return '';
+    if (!terms || terms.length === 0) return escapeHtml(text);
+
+    let html = '';
+    let lastIndex = 0;
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+
+    while ((match = wordPattern.exec(text)) !== null) {
+        const normalized = stemToken(tokenize(match[0]).join(''));
+        if (terms.some(term => normalized.startsWith(term))) {
+            html += escapeHtml(text.slice(lastIndex, match.index));
+            html += `<mark>${escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+    }
+
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+function createPostCard(post) {
+    const card = document.createElement('article');
+    card.className = 'post-card';
+    setContentLanguage(card, post.lang);
+
+    const imageHtml = post.image
+        ? `<div class="post-card-image">
+               ${renderPostImage(post, { sizes: CONFIG.images.sizes.card, loading: 'lazy' })}
+           </div>`
+        : '';
+
+    const excerpt = truncateText(post.excerpt, CONFIG.excerptLength);
+    const postUrl = getLinkPath('post', post.slug);
+    const terms = searchQuery ? getQueryTerms(searchQuery) : [];
+
+    card.innerHTML = `
+        ${imageHtml}
+        <div class="post-card-content">
+            <div class="post-meta">
+                <span class="post-category">${highlightText(post.category, terms)}</span>
+                <span class="post-date">${renderDateTime(post.date)}</span>
+                ${renderSaveButton(post.slug)}
+            </div>
+            <h2 class="post-card-title">
+                <a href="${postUrl}">${highlightText(post.title, terms)}</a>
+            </h2>
+            <p class="post-card-excerpt">${highlightText(excerpt, terms)}</p>
+            <a href="${postUrl}" class="read-more">${escapeHtml(t('posts.readMore'))}</a>
+        </div>
+    `;
+
+    return card;
+}
+
+// Posts in another language than the interface (post.lang, or the site
+// locale) say so, for screen readers, hyphenation and text direction
+function setContentLanguage(element, lang) {
+    const contentLang = lang || I18N_CONFIG.defaultLocale;
+    if (!element || contentLang === getLocale()) return;
+    element.lang = contentLang;
+    element.dir = getLocaleDir(contentLang);
+}
+
+// Helper for relative paths
+function getLinkPath(type, slugOrCat) {
+    const isPostPage = window.location.pathname.includes('/posts/');
+
+    if (type === 'home') {
+        return isPostPage ? '../index.html' : 'index.html';
+    }
+    if (type === 'post') {
+        // If we are in /posts/, sibling is just slug.html
+        // If we are in /, child is posts/slug.html
+        return isPostPage ? `${slugOrCat}.html` : `posts/${slugOrCat}.html`;
+    }
+    if (type === 'category') {
+        const base = isPostPage ? '../index.html' : 'index.html';
+        return `${base}#${slugify(slugOrCat)}`;
+    }
+    return '#';
+}
+
+// Index image paths are relative to the site root ("images/posts/x.jpg")
+function getAssetPath(assetPath) {
+    if (!assetPath) return '';
+    if (/^(https?:|data:|\/|\.\.\/)/.test(assetPath)) return assetPath;
+    const isPostPage = window.location.pathname.includes('/posts/');
+    return isPostPage ? `../${assetPath}` : assetPath;
+}
+
+// ============================================
+// RESPONSIVE IMAGES (post.imageMeta; see scripts/build-images.js)
+// ============================================
+// <picture> with the AVIF/WebP variants when build-images.js has made them,
+// width/height so the layout doesn't shift while the photo loads, and the
+// blurred placeholder behind it in the meantime. build-site.js writes the same
+// markup into the static pages.
+function renderPostImage(post, { className = '', sizes = '100vw', loading = '', fetchPriority = '' } = {}) {
+    const meta = post.imageMeta || {};
+    const attributes = [
+        `src="${escapeHtml(getAssetPath(post.image || CONFIG.images.fallback))}"`,
+        `alt="${escapeHtml(post.title)}"`,
+        className && `class="${className}"`,
+        meta.width && meta.height && `width="${meta.width}" height="${meta.height}"`,
+        loading && `loading="${loading}"`,
+        fetchPriority && `fetchpriority="${fetchPriority}"`,
+        meta.placeholder && `style="background: center / cover no-repeat url('${escapeHtml(meta.placeholder)}')"`,
+        'onerror="handleImageError(this)"'
+    ].filter(Boolean).join(' ');
+    const image = `<img ${attributes}>`;
+    if (!post.image || !meta.variants) return image;
+
+    const sources = meta.formats.map(format => {
+        const srcset = meta.widths
+            .map(width => `${getAssetPath(meta.variants.replace('{width}', width).replace('{format}', format))} ${width}w`)
+            .join(', ');
+        return `<source type="image/${format}" srcset="${escapeHtml(srcset)}" sizes="${escapeHtml(sizes)}">`;
+    });
+    return `<picture>${sources.join('')}${image}</picture>`;
+}
+
+// A variant that didn't load falls back to the original photo, and a photo
+// that didn't load to the bundled CONFIG.images.fallback (cached for offline)
+function handleImageError(img) {
+    const picture = img.closest('picture');
+    const sources = picture ? picture.querySelectorAll('source') : [];
+    if (sources.length > 0) {
+        // Removing them makes the browser pick the <img> src again
+        sources.forEach(source => source.remove());
+        return;
+    }
+
+    img.onerror = null;
+    img.removeAttribute('style'); // the blurred placeholder
+    img.src = getAssetPath(CONFIG.images.fallback);
+}
+
+// ============================================
+// SINGLE POST PAGE
+// ============================================
+async function loadSinglePost() {
+    // SSG CHECK: If the page already has content (static generation), don't fetch/render.
+    // However, we still might want to load sidebar data.
+    if (document.querySelector('.post-body') || window.preloadedPost) {
+        console.log('SSG/Static content detected. Skipping dynamic render.');
+        // Load lightweight index for sidebar and related posts (FAST!)
+        const posts = await loadPostsIndex();
+        renderSidebar(posts);
+
+        currentPost = getStaticPostData(posts);
+        updateMetaTags(currentPost);
+        renderStructuredData(currentPost);
+        setupRecipeTools(currentPost);
+        setupCookMode(currentPost);
+        setupPrintCard(currentPost);
+        addPostSaveButton(currentPost);
+        setupComments(currentPost);
+        setupReadTracking(currentPost);
+        setupVideoFacades(document.querySelector('.post-body'));
+        insertContentAdSlots(document.querySelector('.post-body'));
+        activateAdSlots();
+
+        renderRelatedPosts(currentPost, posts);
+        return;
+    }
+
+    const urlParams = new URLSearchParams(window.location.search);
+    const slug = urlParams.get('slug');
+
+    console.log('Loading single post for slug:', slug);
+
+    if (!slug) {
+        showError('Post not found (No slug provided)');
+        return;
+    }
+
+    const posts = await loadPostsData();
+    console.log('Loaded posts:', posts.length);
+
+    const post = posts.find(p => p.slug === slug);
+    console.log('Found post:', post ? post.title : 'None');
+
+    // loadPostsData already rendered the offline notice
+    if (!post && posts.length === 0 && isOffline()) return;
+
+    if (!post) {
+        showError('Post not found (Slug mismatch)');
+        return;
+    }
+
+    currentPost = post;
+    try {
         renderSinglePost(post);
     } catch (e) {
         console.error('Render error:', e);
         showError('Error rendering post: ' + e.message);
     }
     renderSidebar(posts);
+    renderRelatedPosts(post, posts);
     updateMetaTags(post);
+    renderStructuredData(post);
+    setupRecipeTools(post);
+    setupCookMode(post);
+    setupPrintCard(post);
+    addPostSaveButton(post);
+    setupComments(post);
+    setupReadTracking(post);
+    setupVideoFacades(document.querySelector('.post-body'));
+    insertContentAdSlots(document.querySelector('.post-body'));
+    activateAdSlots();
+}
+
+// Rebuild post data for a static page from window.preloadedPost, the posts
+// index entry and the ingredient/step lists already in the markup
+function getStaticPostData(posts) {
+    const preloaded = window.preloadedPost || {};
+    const slug = preloaded.slug ||
+        safeDecodeURIComponent(window.location.pathname.split('/').pop().replace(/\.html$/, ''));
+    const indexed = posts.find(p => p.slug === slug) || {};
+    const body = document.querySelector('.post-body');
+    const listText = (selector) => body
+        ? [...body.querySelectorAll(selector)].map(li => li.textContent.trim()).filter(Boolean)
+        : [];
+    // Pages built from content blocks carry them, since the markup has more than lists
+    const blocks = preloaded.content && preloaded.content.blocks;
+
+    return {
+        ...indexed,
+        ...preloaded,
+        slug,
+        content: blocks && typeof flattenContentBlocks === 'function'
+            ? { blocks, ...flattenContentBlocks(blocks) }
+            : {
+                paragraphs: body ? [...body.querySelectorAll('p')].map(p => p.textContent.trim()) : [],
+                ingredients: listText('ul li'),
+                steps: listText('ol li')
+            }
+    };
 }
 
 function renderSinglePost(post) {
@@ -499,76 +1845,1933 @@ function renderSinglePost(post) {
             <h1 class="post-title">${escapeHtml(post.title)}</h1>
             <div class="post-meta">
                 <span class="post-category">${escapeHtml(post.category)}</span>
-                <span class="post-date">${formatDate(post.date)}</span>
+                <span class="post-date">${renderDateTime(post.date)}</span>
             </div>
+            ${renderTranslationLinks(post)}
         </header>
     `;
 
     // Featured Image
     const imageHtml = post.image
         ? `<div class="post-featured-image">
-               <img src="${escapeHtml(post.image)}" alt="${escapeHtml(post.title)}">
+               ${renderPostImage(post, { sizes: CONFIG.images.sizes.post, fetchPriority: 'high' })}
            </div>`
         : '';
 
     // Content
     let contentHtml = '<div class="post-body">';
 
+    // Rich content blocks (js/content.js); posts without them keep the plain markup
+    contentHtml += post.content.blocks && typeof renderContentBlocks === 'function'
+        ? renderContentBlocks(post.content.blocks, { assetPath: getAssetPath, t })
+        : renderPlainContent(post.content);
+
+    contentHtml += '</div>';
+
+    // Combine all parts
+    article.innerHTML = headerHtml + imageHtml + contentHtml;
+    setContentLanguage(article, post.lang);
+    container.innerHTML = '';
+    container.appendChild(article);
+}
+
+// "Also available in: Español" for post.translations ({ locale: slug }).
+// scripts/build-site.js writes the same list, plus hreflang links, into static pages.
+function renderTranslationLinks(post) {
+    const translations = Object.entries(post.translations || {});
+    if (translations.length === 0) return '';
+
+    const links = translations.map(([lang, slug]) => {
+        const name = (I18N_CONFIG.locales[lang] || {}).name || lang;
+        return `<a href="${escapeHtml(getLinkPath('post', slug))}" hreflang="${escapeHtml(lang)}" lang="${escapeHtml(lang)}">${escapeHtml(name)}</a>`;
+    });
+    return `<p class="post-translations">${escapeHtml(t('post.translations'))} ${links.join(', ')}</p>`;
+}
+
+// Paragraphs, then the ingredient and step lists
+function renderPlainContent(content) {
+    let html = '';
+
     // Paragraphs
-    if (post.content.paragraphs && post.content.paragraphs.length > 0) {
-        post.content.paragraphs.forEach((para, index) => {
-            contentHtml += `<p>${escapeHtml(para)}</p>`;
-
-            // Insert mid-content ad after 3rd paragraph
-            if (index === 2) {
-                contentHtml += `
-                    <div class="ad-mid-content">
-                        <div class="ad-placeholder">
-                            <p class="ad-label">Advertisement</p>
-                        </div>
-                    </div>
-                `;
+    if (content.paragraphs && content.paragraphs.length > 0) {
+        content.paragraphs.forEach(para => {
+            html += `<p>${escapeHtml(para)}</p>`;
+        });
+    }
+
+    // Ingredients (for recipe posts)
+    if (content.ingredients && content.ingredients.length > 0) {
+        html += `<h2>${escapeHtml(t('post.ingredients'))}</h2>`;
+        html += '<ul class="ingredients-list">';
+        content.ingredients.forEach(ingredient => {
+            html += `<li>${escapeHtml(ingredient)}</li>`;
+        });
+        html += '</ul>';
+    }
+
+    // Steps (for recipe posts or how-to guides)
+    if (content.steps && content.steps.length > 0) {
+        html += `<h2>${escapeHtml(t('post.instructions'))}</h2>`;
+        html += '<ol class="steps-list">';
+        content.steps.forEach(step => {
+            html += `<li>${escapeHtml(step)}</li>`;
+        });
+        html += '</ol>';
+    }
+
+    return html;
+}
+
+// Video blocks (js/content.js) render a thumbnail link; the provider's player,
+// and its cookies, only load once the reader asks for the video
+function setupVideoFacades(container) {
+    if (!container || container.dataset.videoFacades) return;
+    container.dataset.videoFacades = 'true';
+
+    container.addEventListener('click', (e) => {
+        const facade = e.target.closest('.video-facade[data-embed]');
+        // Modified clicks still open the video page in a new tab
+        if (!facade || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+
+        const iframe = document.createElement('iframe');
+        iframe.className = 'video-embed';
+        iframe.src = facade.dataset.embed;
+        iframe.title = facade.dataset.title || t('video.embed');
+        iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+        iframe.allowFullscreen = true;
+        iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+        facade.replaceWith(iframe);
+        iframe.focus();
+    });
+}
+
+// ============================================
+// RECIPE TOOLS - SERVINGS SCALER & UNIT TOGGLE
+// ============================================
+// Parsing, scaling and conversion live in js/recipe.js
+const UNIT_SYSTEM_STORAGE_KEY = 'recipeUnitSystem';
+
+function setupRecipeTools(post) {
+    const list = findIngredientsList();
+    if (!list || typeof parseIngredient !== 'function' || list.dataset.recipeTools) return;
+    list.dataset.recipeTools = 'true';
+    list.classList.add('ingredients-list');
+
+    const items = getRecipeListItems(list).map(li => ({
+        li,
+        ingredient: parseIngredient(li.textContent)
+    }));
+    if (!items.some(item => item.ingredient.quantity !== null)) return;
+
+    // Without a known yield the stepper works as a batch multiplier (1x, 1.5x...)
+    const baseServings = post ? getRecipeData(post).servings : null;
+    const state = {
+        servings: baseServings || 1,
+        system: storageGet(UNIT_SYSTEM_STORAGE_KEY, 'us') === 'metric' ? 'metric' : 'us'
+    };
+    const step = baseServings ? 1 : 0.5;
+    const label = t(baseServings ? 'recipe.servings' : 'recipe.batch');
+    const lowerLabel = label.toLocaleLowerCase(getLocale());
+
+    const tools = document.createElement('div');
+    tools.className = 'recipe-tools';
+    tools.setAttribute('role', 'group');
+    tools.setAttribute('aria-label', t('recipe.adjust'));
+    tools.innerHTML = `
+        <div class="servings-stepper">
+            <span class="recipe-tools-label" id="servingsLabel">${escapeHtml(label)}</span>
+            <button type="button" class="stepper-btn" data-step="-1" aria-label="${escapeHtml(t('recipe.decrease', { label: lowerLabel }))}">&minus;</button>
+            <output class="servings-value" aria-live="polite" aria-labelledby="servingsLabel"></output>
+            <button type="button" class="stepper-btn" data-step="1" aria-label="${escapeHtml(t('recipe.increase', { label: lowerLabel }))}">+</button>
+        </div>
+        <div class="unit-toggle" role="group" aria-label="${escapeHtml(t('recipe.units'))}">
+            <button type="button" data-system="us">${escapeHtml(t('recipe.us'))}</button>
+            <button type="button" data-system="metric">${escapeHtml(t('recipe.metric'))}</button>
+        </div>
+    `;
+    list.parentNode.insertBefore(tools, list);
+
+    const render = () => {
+        const factor = baseServings ? state.servings / baseServings : state.servings;
+        items.forEach(({ li, ingredient }) => {
+            li.textContent = formatScaledIngredient(ingredient, factor, state.system);
+        });
+
+        tools.querySelector('.servings-value').textContent = baseServings
+            ? state.servings
+            : `${state.servings}\u00d7`;
+        tools.querySelector('[data-step="-1"]').disabled = state.servings <= step;
+        tools.querySelectorAll('[data-system]').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.system === state.system));
+        });
+    };
+
+    tools.querySelectorAll('.stepper-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const next = state.servings + parseInt(btn.dataset.step, 10) * step;
+            if (next < step) return;
+            state.servings = next;
+            render();
+        });
+    });
+
+    tools.querySelectorAll('[data-system]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            state.system = btn.dataset.system;
+            storageSet(UNIT_SYSTEM_STORAGE_KEY, state.system);
+            render();
+        });
+    });
+
+    render();
+}
+
+function findIngredientsList() {
+    return findRecipeList('ingredients-list', /^ingredients$/i, 'UL');
+}
+
+function findStepsList() {
+    return findRecipeList('steps-list', /^(instructions|steps|method)$/i, 'OL');
+}
+
+// renderSinglePost marks its lists; static pages have a plain <ul>/<ol> after a heading
+function findRecipeList(className, headingPattern, tagName) {
+    const body = document.querySelector('.post-body');
+    if (!body) return null;
+
+    const marked = body.querySelector(`.${className}`);
+    if (marked) return marked;
+
+    const heading = [...body.querySelectorAll('h2, h3, h4')]
+        .find(h => headingPattern.test(h.textContent.trim()));
+    const list = heading && heading.nextElementSibling;
+    if (!list || list.tagName !== tagName) return null;
+
+    list.classList.add(className);
+    return list;
+}
+
+// A list's ingredients or steps, without the wrappers of ingredient groups
+// ("For the sauce", see renderIngredientsBlock in js/content.js)
+function getRecipeListItems(list) {
+    return [...list.querySelectorAll('li')].filter(li => !li.classList.contains('ingredient-group'));
+}
+
+// ============================================
+// COOK MODE - CHECKLIST, STEP VIEW & TIMERS
+// ============================================
+const COOK_PROGRESS_KEY_PREFIX = 'cookProgress:';
+const COOK_TIMER_TICK_MS = 1000;
+
+let cookMode = null; // { slug, title, ingredients, steps, index, checked, overlay, trigger, wakeLock }
+const cookTimers = new Map(); // timerId -> { label, endsAt, remaining, running }
+let cookTimerInterval = null;
+
+function setupCookMode(post) {
+    const ingredientsList = findIngredientsList();
+    const stepsList = findStepsList();
+    if (!stepsList || document.querySelector('.cook-mode-start')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'cook-mode-start';
+    button.innerHTML = `
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <circle cx="12" cy="13" r="8"></circle>
+            <polyline points="12 9 12 13 14 15"></polyline>
+            <line x1="9" y1="2" x2="15" y2="2"></line>
+        </svg>
+        ${escapeHtml(t('cook.start'))}
+    `;
+
+    // Above the ingredients heading when there is one, otherwise above the steps
+    const anchorList = ingredientsList || stepsList;
+    const anchor = anchorList.previousElementSibling && /^H[2-4]$/.test(anchorList.previousElementSibling.tagName)
+        ? anchorList.previousElementSibling
+        : anchorList;
+    anchor.parentNode.insertBefore(button, anchor);
+
+    button.addEventListener('click', () => {
+        openCookMode({
+            slug: (post && post.slug) || window.location.pathname,
+            title: (post && post.title) || document.title,
+            // Read the lists at open time so scaled/converted amounts carry over
+            ingredients: ingredientsList
+                ? getRecipeListItems(ingredientsList).map(li => li.textContent.trim())
+                : [],
+            steps: getRecipeListItems(stepsList).map(li => li.textContent.trim()),
+            trigger: button
+        });
+    });
+}
+
+function openCookMode(options) {
+    const saved = storageGet(COOK_PROGRESS_KEY_PREFIX + options.slug, {});
+    const hasIngredients = options.ingredients.length > 0;
+
+    cookMode = {
+        ...options,
+        // Screen 0 is the ingredient checklist when the recipe has one
+        offset: hasIngredients ? 1 : 0,
+        index: 0,
+        checked: new Set(Array.isArray(saved.checked) ? saved.checked : []),
+        overlay: null,
+        wakeLock: null
+    };
+    const lastIndex = cookMode.steps.length - 1 + cookMode.offset;
+    cookMode.index = Math.min(Math.max(parseInt(saved.index, 10) || 0, 0), lastIndex);
+    trackEvent('cook_mode', { slug: options.slug, action: 'start' });
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cook-mode';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'cookModeTitle');
+    overlay.innerHTML = `
+        <div class="cook-mode-header">
+            <h2 class="cook-mode-title" id="cookModeTitle">${escapeHtml(cookMode.title)}</h2>
+            <button type="button" class="cook-mode-close" aria-label="${escapeHtml(t('cook.exit'))}">&times;</button>
+        </div>
+        <div class="cook-mode-progress" aria-hidden="true"><div class="cook-mode-progress-bar"></div></div>
+        <div class="cook-mode-body" aria-live="polite"></div>
+        <div class="cook-mode-footer">
+            <button type="button" class="cook-mode-prev">${escapeHtml(t('cook.previous'))}</button>
+            <span class="cook-mode-position"></span>
+            <button type="button" class="cook-mode-next">${escapeHtml(t('cook.next'))}</button>
+        </div>
+        <div class="sr-only" aria-live="assertive" id="cookModeAlert"></div>
+    `;
+    cookMode.overlay = overlay;
+    document.body.appendChild(overlay);
+    document.body.classList.add('cook-mode-open');
+
+    overlay.querySelector('.cook-mode-close').addEventListener('click', closeCookMode);
+    overlay.querySelector('.cook-mode-prev').addEventListener('click', () => goToCookStep(cookMode.index - 1));
+    overlay.querySelector('.cook-mode-next').addEventListener('click', () => {
+        if (cookMode.index >= cookMode.steps.length - 1 + cookMode.offset) {
+            finishCookMode();
+        } else {
+            goToCookStep(cookMode.index + 1);
+        }
+    });
+    overlay.addEventListener('keydown', handleCookModeKeydown);
+    overlay.addEventListener('click', handleCookModeBodyClick);
+    overlay.addEventListener('change', handleCookModeChecklist);
+    setupCookModeSwipe(overlay);
+
+    document.addEventListener('visibilitychange', requestCookWakeLock);
+    requestCookWakeLock();
+
+    renderCookStep();
+    overlay.querySelector('.cook-mode-close').focus();
+}
+
+function closeCookMode() {
+    if (!cookMode) return;
+
+    saveCookProgress();
+    releaseCookWakeLock();
+    document.removeEventListener('visibilitychange', requestCookWakeLock);
+    document.body.classList.remove('cook-mode-open');
+    cookMode.overlay.remove();
+
+    const trigger = cookMode.trigger;
+    cookMode = null;
+    // Timers keep running (and still alarm) after the view is closed
+    if (trigger) trigger.focus();
+}
+
+function finishCookMode() {
+    const slug = cookMode.slug;
+    closeCookMode();
+    trackEvent('cook_mode', { slug, action: 'finish' });
+    try {
+        window.localStorage.removeItem(COOK_PROGRESS_KEY_PREFIX + slug);
+    } catch (error) {
+        // Nothing saved to clear
+    }
+}
+
+function goToCookStep(index) {
+    const lastIndex = cookMode.steps.length - 1 + cookMode.offset;
+    if (index < 0 || index > lastIndex) return;
+    cookMode.index = index;
+    saveCookProgress();
+    renderCookStep();
+}
+
+function saveCookProgress() {
+    storageSet(COOK_PROGRESS_KEY_PREFIX + cookMode.slug, {
+        index: cookMode.index,
+        checked: [...cookMode.checked]
+    });
+}
+
+function renderCookStep() {
+    const { overlay, index, offset, steps, ingredients } = cookMode;
+    const total = steps.length + offset;
+    const body = overlay.querySelector('.cook-mode-body');
+
+    if (index < offset) {
+        body.innerHTML = `
+            <p class="cook-mode-step-label">${escapeHtml(t('cook.gather'))}</p>
+            <ul class="cook-mode-checklist">
+                ${ingredients.map((ingredient, i) => `
+                    <li>
+                        <label>
+                            <input type="checkbox" data-ingredient="${i}" ${cookMode.checked.has(i) ? 'checked' : ''}>
+                            <span>${escapeHtml(ingredient)}</span>
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } else {
+        const stepIndex = index - offset;
+        body.innerHTML = `
+            <p class="cook-mode-step-label">${escapeHtml(t('cook.step', { index: stepIndex + 1, total: steps.length }))}</p>
+            <p class="cook-mode-step-text">${renderStepWithTimers(steps[stepIndex], stepIndex)}</p>
+        `;
+    }
+
+    overlay.querySelector('.cook-mode-progress-bar').style.width = `${((index + 1) / total) * 100}%`;
+    overlay.querySelector('.cook-mode-position').textContent = t('cook.position', { index: index + 1, total });
+    overlay.querySelector('.cook-mode-prev').disabled = index === 0;
+    overlay.querySelector('.cook-mode-next').textContent = t(index === total - 1 ? 'cook.finish' : 'cook.next');
+    updateCookTimerButtons();
+}
+
+// Escape the step and turn "3-4 minutes" etc. into timer buttons
+function renderStepWithTimers(step, stepIndex) {
+    const durations = typeof parseDurations === 'function' ? parseDurations(step) : [];
+    let html = '';
+    let lastIndex = 0;
+
+    durations.forEach((duration, i) => {
+        const timerId = `${stepIndex}-${i}`;
+        html += escapeHtml(step.slice(lastIndex, duration.index));
+        html += `<button type="button" class="cook-timer" data-timer-id="${timerId}" data-seconds="${duration.seconds}" data-label="${escapeHtml(duration.text)}">${escapeHtml(duration.text)}</button>`;
+        lastIndex = duration.index + duration.text.length;
+    });
+
+    return html + escapeHtml(step.slice(lastIndex));
+}
+
+function handleCookModeBodyClick(e) {
+    const timerButton = e.target.closest('.cook-timer');
+    if (timerButton) toggleCookTimer(timerButton);
+}
+
+function handleCookModeChecklist(e) {
+    const checkbox = e.target.closest('[data-ingredient]');
+    if (!checkbox) return;
+
+    const i = parseInt(checkbox.dataset.ingredient, 10);
+    if (checkbox.checked) {
+        cookMode.checked.add(i);
+    } else {
+        cookMode.checked.delete(i);
+    }
+    saveCookProgress();
+}
+
+function handleCookModeKeydown(e) {
+    if (e.key === 'Escape') {
+        closeCookMode();
+    } else if (['ArrowRight', 'PageDown'].includes(e.key)) {
+        e.preventDefault();
+        goToCookStep(cookMode.index + 1);
+    } else if (['ArrowLeft', 'PageUp'].includes(e.key)) {
+        e.preventDefault();
+        goToCookStep(cookMode.index - 1);
+    } else if (e.key === 'Tab') {
+        trapFocus(e, cookMode.overlay);
+    }
+}
+
+function setupCookModeSwipe(overlay) {
+    let startX = null;
+    let startY = null;
+
+    overlay.addEventListener('touchstart', (e) => {
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+    }, { passive: true });
+
+    overlay.addEventListener('touchend', (e) => {
+        if (startX === null || !cookMode) return;
+        const dx = e.changedTouches[0].clientX - startX;
+        const dy = e.changedTouches[0].clientY - startY;
+        startX = null;
+
+        // Horizontal swipes only, so scrolling long steps still works
+        if (Math.abs(dx) < 60 || Math.abs(dx) < Math.abs(dy)) return;
+        goToCookStep(cookMode.index + (dx < 0 ? 1 : -1));
+    }, { passive: true });
+}
+
+// Keep Tab inside a modal container
+function trapFocus(e, container) {
+    const focusable = [...container.querySelectorAll('button, input, a[href], [tabindex]:not([tabindex="-1"])')]
+        .filter(el => !el.disabled);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Screen Wake Lock API (Chrome/Edge/Safari 16.4+); silently skipped elsewhere
+async function requestCookWakeLock() {
+    if (!cookMode || !('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+    try {
+        cookMode.wakeLock = await navigator.wakeLock.request('screen');
+    } catch (error) {
+        console.warn('Wake lock unavailable:', error.message);
+    }
+}
+
+function releaseCookWakeLock() {
+    if (cookMode && cookMode.wakeLock) {
+        cookMode.wakeLock.release().catch(() => {});
+        cookMode.wakeLock = null;
+    }
+}
+
+// --- Timers ---
+function toggleCookTimer(button) {
+    const timerId = button.dataset.timerId;
+    const timer = cookTimers.get(timerId);
+
+    if (!timer) {
+        const seconds = parseInt(button.dataset.seconds, 10);
+        cookTimers.set(timerId, {
+            label: button.dataset.label,
+            remaining: seconds,
+            endsAt: Date.now() + seconds * 1000,
+            running: true
+        });
+    } else if (timer.remaining <= 0) {
+        cookTimers.delete(timerId); // Dismiss a finished timer
+    } else if (timer.running) {
+        timer.remaining = Math.ceil((timer.endsAt - Date.now()) / 1000);
+        timer.running = false;
+    } else {
+        timer.endsAt = Date.now() + timer.remaining * 1000;
+        timer.running = true;
+    }
+
+    if (!cookTimerInterval && cookTimers.size > 0) {
+        cookTimerInterval = setInterval(tickCookTimers, COOK_TIMER_TICK_MS);
+    }
+    updateCookTimerButtons();
+}
+
+function tickCookTimers() {
+    cookTimers.forEach(timer => {
+        if (!timer.running) return;
+        timer.remaining = Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000));
+        if (timer.remaining === 0) {
+            timer.running = false;
+            announceCookTimerDone(timer);
+        }
+    });
+
+    if (![...cookTimers.values()].some(timer => timer.running)) {
+        clearInterval(cookTimerInterval);
+        cookTimerInterval = null;
+    }
+    updateCookTimerButtons();
+}
+
+function updateCookTimerButtons() {
+    document.querySelectorAll('.cook-timer').forEach(button => {
+        const timer = cookTimers.get(button.dataset.timerId);
+        button.classList.toggle('running', !!timer && timer.running);
+        button.classList.toggle('paused', !!timer && !timer.running && timer.remaining > 0);
+        button.classList.toggle('done', !!timer && timer.remaining === 0);
+
+        const label = button.dataset.label;
+        if (!timer) {
+            button.textContent = label;
+            button.setAttribute('aria-label', t('cook.timerStart', { label }));
+        } else if (timer.remaining === 0) {
+            button.textContent = t('cook.timerDone', { label });
+            button.setAttribute('aria-label', t('cook.timerDismiss', { label }));
+        } else {
+            const time = formatTimer(timer.remaining);
+            button.textContent = time;
+            button.setAttribute('aria-label', t(timer.running ? 'cook.timerPause' : 'cook.timerResume', { time }));
+        }
+    });
+}
+
+function formatTimer(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+function announceCookTimerDone(timer) {
+    const alert = document.getElementById('cookModeAlert');
+    if (alert) alert.textContent = t('cook.timerFinished', { label: timer.label });
+
+    if (navigator.vibrate) {
+        navigator.vibrate([300, 150, 300, 150, 300]);
+    }
+
+    // Three short beeps; AudioContext may be blocked until the user has interacted
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    try {
+        const audio = new AudioContextClass();
+        [0, 0.4, 0.8].forEach(offset => {
+            const oscillator = audio.createOscillator();
+            const gain = audio.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.value = 0.2;
+            oscillator.connect(gain);
+            gain.connect(audio.destination);
+            oscillator.start(audio.currentTime + offset);
+            oscillator.stop(audio.currentTime + offset + 0.25);
+        });
+        setTimeout(() => audio.close(), 1500);
+    } catch (error) {
+        console.warn('Unable to play timer sound:', error.message);
+    }
+}
+
+// ============================================
+// PRINT RECIPE CARD & PDF (print.css, js/qrcode.js, js/pdf.js)
+// ============================================
+const PRINT_OPTIONS_STORAGE_KEY = 'printOptions';
+const PRINT_PHOTO_MAX_PIXELS = 600; // longest side of the photo embedded in the PDF
+
+let printDialog = null; // { overlay, trigger, post }
+
+function setupPrintCard(post) {
+    const stepsList = findStepsList();
+    if (!stepsList || !post || document.querySelector('.recipe-print-start')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'recipe-print-start';
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.innerHTML = `
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <polyline points="6 9 6 2 18 2 18 9"></polyline>
+            <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"></path>
+            <rect x="6" y="14" width="12" height="8"></rect>
+        </svg>
+        ${escapeHtml(t('print.title'))}
+    `;
+
+    // Next to "Start cooking", which setupCookMode() has placed above the recipe
+    const cookButton = document.querySelector('.cook-mode-start');
+    if (cookButton) {
+        cookButton.insertAdjacentElement('afterend', button);
+    } else {
+        stepsList.parentNode.insertBefore(button, stepsList);
+    }
+
+    button.addEventListener('click', () => openPrintDialog(post, button));
+}
+
+function getPrintOptions() {
+    const saved = storageGet(PRINT_OPTIONS_STORAGE_KEY, {});
+    return {
+        photo: typeof saved.photo === 'boolean' ? saved.photo : CONFIG.print.photo,
+        story: typeof saved.story === 'boolean' ? saved.story : CONFIG.print.story
+    };
+}
+
+// Everything the card shows, in plain text. The lists are read from the page so
+// scaled and converted amounts carry over; the recipe data is the fallback.
+function getRecipeCardData(post) {
+    const recipe = getRecipeData(post);
+    const ingredientsList = findIngredientsList();
+    const stepsList = findStepsList();
+    const listItems = (list) => getRecipeListItems(list).map(li => li.textContent.trim()).filter(Boolean);
+    const paragraphs = post.content && post.content.paragraphs && post.content.paragraphs.length
+        ? post.content.paragraphs
+        : [...document.querySelectorAll('.post-body > p')].map(p => p.textContent.trim()).filter(Boolean);
+
+    return {
+        title: post.title,
+        image: post.image ? getAssetPath(post.image) : null,
+        url: getCanonicalUrl(post),
+        details: [
+            [t('print.prep'), formatDuration(recipe.prepTime)],
+            [t('print.cook'), formatDuration(recipe.cookTime)],
+            [t('print.total'), formatDuration(recipe.totalTime)],
+            [t('print.yield'), recipe.yield]
+        ].filter(([, value]) => value),
+        ingredients: ingredientsList ? listItems(ingredientsList) : recipe.ingredients.map(formatIngredientText),
+        steps: stepsList ? listItems(stepsList) : recipe.steps,
+        story: paragraphs
+    };
+}
+
+function openPrintDialog(post, trigger) {
+    closePrintDialog();
+    const options = getPrintOptions();
+    // js/pdf.js sets Latin text left to right only; other readers print the card
+    const canPdf = typeof createPdfDocument === 'function' && !isRtl();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'print-dialog-backdrop';
+    overlay.innerHTML = `
+        <div class="print-dialog" role="dialog" aria-modal="true" aria-labelledby="printDialogTitle">
+            <h2 class="print-dialog-title" id="printDialogTitle">${escapeHtml(t('print.title'))}</h2>
+            <p class="print-dialog-intro">${escapeHtml(t('print.intro'))}</p>
+            <fieldset class="print-options">
+                <legend class="sr-only">${escapeHtml(t('print.include'))}</legend>
+                <label><input type="checkbox" name="photo"${options.photo && post.image ? ' checked' : ''}${post.image ? '' : ' disabled'}> ${escapeHtml(t('print.photo'))}</label>
+                <label><input type="checkbox" name="story"${options.story ? ' checked' : ''}> ${escapeHtml(t('print.story'))}</label>
+            </fieldset>
+            <p class="print-dialog-status" role="status" aria-live="polite"></p>
+            <div class="print-dialog-actions">
+                <button type="button" class="btn" data-action="print">${escapeHtml(t('print.print'))}</button>
+                ${canPdf ? `<button type="button" class="btn btn-secondary" data-action="pdf">${escapeHtml(t('print.pdf'))}</button>` : ''}
+                <button type="button" class="btn btn-secondary" data-action="close">${escapeHtml(t('print.close'))}</button>
+            </div>
+        </div>
+    `;
+    printDialog = { overlay, trigger, post };
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener('change', () => storageSet(PRINT_OPTIONS_STORAGE_KEY, readPrintOptions(overlay)));
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closePrintDialog();
+            return;
+        }
+        const action = e.target.closest('[data-action]');
+        if (!action) return;
+        if (action.dataset.action === 'print') printRecipeCard(post, readPrintOptions(overlay));
+        if (action.dataset.action === 'pdf') downloadRecipePdf(post, readPrintOptions(overlay));
+        if (action.dataset.action === 'close') closePrintDialog();
+    });
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closePrintDialog();
+        } else if (e.key === 'Tab') {
+            trapFocus(e, overlay);
+        }
+    });
+
+    overlay.querySelector('[data-action="print"]').focus();
+}
+
+function readPrintOptions(overlay) {
+    const photo = overlay.querySelector('input[name="photo"]');
+    return {
+        photo: photo.checked && !photo.disabled,
+        story: overlay.querySelector('input[name="story"]').checked
+    };
+}
+
+function closePrintDialog() {
+    if (!printDialog) return;
+    printDialog.overlay.remove();
+    const trigger = printDialog.trigger;
+    printDialog = null;
+    if (trigger) trigger.focus();
+}
+
+function showPrintStatus(message) {
+    const status = document.querySelector('.print-dialog-status');
+    if (status) status.textContent = message;
+}
+
+// The card lives at the end of <body>; print.css shows only it while
+// <html> has the print-recipe-card class, and it stays hidden on screen
+function renderRecipeCard(card, options) {
+    let element = document.getElementById('recipeCard');
+    if (!element) {
+        element = document.createElement('article');
+        element.id = 'recipeCard';
+        element.className = 'recipe-card';
+        document.body.appendChild(element);
+    }
+
+    const photo = options.photo && card.image
+        ? `<img class="recipe-card-photo" src="${escapeHtml(card.image)}" alt="">`
+        : '';
+    const details = card.details.length
+        ? `<dl class="recipe-card-details">${card.details.map(([label, value]) =>
+            `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}</dl>`
+        : '';
+    const story = options.story && card.story.length
+        ? `<div class="recipe-card-story">${card.story.map(p => `<p>${escapeHtml(p)}</p>`).join('')}</div>`
+        : '';
+    const qr = typeof createQrMatrix === 'function'
+        ? renderQrSvg(createQrMatrix(card.url), { label: t('print.qr') })
+        : '';
+
+    element.innerHTML = `
+        <header class="recipe-card-header">
+            <div>
+                <h1 class="recipe-card-title">${escapeHtml(card.title)}</h1>
+                ${details}
+            </div>
+            ${photo}
+        </header>
+        ${story}
+        <div class="recipe-card-columns">
+            ${card.ingredients.length ? `
+                <section class="recipe-card-ingredients">
+                    <h2>${escapeHtml(t('post.ingredients'))}</h2>
+                    <ul>${card.ingredients.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+                </section>` : ''}
+            <section class="recipe-card-steps">
+                <h2>${escapeHtml(t('post.instructions'))}</h2>
+                <ol>${card.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+            </section>
+        </div>
+        <footer class="recipe-card-source">
+            ${qr ? `<div class="recipe-card-qr">${qr}</div>` : ''}
+            <p>${escapeHtml(t('print.source'))}<br><span class="recipe-card-url">${escapeHtml(card.url)}</span></p>
+        </footer>
+    `;
+    return element;
+}
+
+async function printRecipeCard(post, options) {
+    const card = renderRecipeCard(getRecipeCardData(post), options);
+    closePrintDialog();
+
+    // Don't print before the photo has arrived
+    const photo = card.querySelector('img');
+    if (photo && photo.decode) await photo.decode().catch(() => {});
+
+    const root = document.documentElement;
+    root.classList.add('print-recipe-card');
+    window.addEventListener('afterprint', () => root.classList.remove('print-recipe-card'), { once: true });
+    window.print();
+}
+
+// --- PDF ---
+async function downloadRecipePdf(post, options) {
+    const button = document.querySelector('.print-dialog [data-action="pdf"]');
+    if (button) button.disabled = true;
+    showPrintStatus(t('print.preparing'));
+
+    try {
+        const card = getRecipeCardData(post);
+        const photo = options.photo && card.image
+            ? await loadPhotoAsJpeg(card.image).catch(error => {
+                console.warn('Recipe PDF without photo:', error.message);
+                return null;
+            })
+            : null;
+
+        const pdf = createPdfDocument({ size: CONFIG.print.pageSize, title: card.title });
+        layoutRecipePdf(pdf, card, options, photo);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(pdf.toBlob());
+        link.download = `${post.slug || 'recipe'}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        showPrintStatus(t('print.downloading'));
+        trackEvent('print', { slug: post.slug, format: 'pdf' });
+    } catch (error) {
+        console.error('PDF export failed:', error);
+        showPrintStatus(t('print.pdfFailed'));
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+// The photo as JPEG bytes for pdf.image(), redrawn on a canvas so any format
+// the browser can show works. Cross-origin images without CORS can't be read
+// back and reject, in which case the PDF simply has no photo.
+function loadPhotoAsJpeg(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            try {
+                const scale = Math.min(1, PRINT_PHOTO_MAX_PIXELS / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+                const context = canvas.getContext('2d');
+                if (!context) throw new Error('Canvas is not available');
+                context.fillStyle = '#fff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        reject(new Error('Could not encode the photo'));
+                        return;
+                    }
+                    blob.arrayBuffer().then(buffer => resolve({
+                        bytes: new Uint8Array(buffer),
+                        pixelWidth: canvas.width,
+                        pixelHeight: canvas.height
+                    }), reject);
+                }, 'image/jpeg', 0.85);
+            } catch (error) {
+                reject(error);
             }
+        };
+        image.onerror = () => reject(new Error(`Could not load ${src}`));
+        image.src = src;
+    });
+}
+
+// Same content and order as the printed card, flowing onto more pages when needed
+function layoutRecipePdf(pdf, card, options, photo) {
+    const margin = 54;
+    const width = pdf.width - margin * 2;
+    let top = margin;
+
+    const ensureSpace = (height) => {
+        if (top + height > pdf.height - margin) {
+            pdf.addPage();
+            top = margin;
+        }
+    };
+    const paragraph = (text, { size = 10, bold = false, color = 0, indent = 0, label = '', maxWidth = width } = {}) => {
+        const lineHeight = size * 1.4;
+        wrapPdfText(text, maxWidth - indent, size, bold).forEach((line, i) => {
+            ensureSpace(lineHeight);
+            top += lineHeight;
+            if (i === 0 && label) pdf.text(label, margin, top, { size, bold: true });
+            pdf.text(line, margin + indent, top, { size, bold, color });
         });
+    };
+    const heading = (text) => {
+        ensureSpace(60); // keep a heading with at least a couple of lines
+        top += 14;
+        paragraph(text, { size: 13, bold: true });
+        top += 4;
+    };
+
+    // Title and details, photo on the right
+    const headerTop = top;
+    let headerWidth = width;
+    let photoBottom = top;
+    if (photo) {
+        const box = 140;
+        const ratio = photo.pixelHeight / photo.pixelWidth;
+        const photoWidth = ratio > 1 ? box / ratio : box;
+        const photoHeight = ratio > 1 ? box : box * ratio;
+        pdf.image(photo.bytes, photo, margin + width - photoWidth, headerTop, photoWidth, photoHeight);
+        headerWidth = width - photoWidth - 18;
+        photoBottom = headerTop + photoHeight;
+    }
+    paragraph(card.title, { size: 20, bold: true, maxWidth: headerWidth });
+    if (card.details.length) {
+        top += 4;
+        paragraph(card.details.map(([label, value]) => `${label}: ${value}`).join('   '),
+            { size: 10, color: 0.35, maxWidth: headerWidth });
+    }
+    top = Math.max(top, photoBottom) + 12;
+    pdf.line(margin, top, margin + width, top);
+
+    if (options.story && card.story.length) {
+        card.story.forEach(text => {
+            top += 6;
+            paragraph(text, { size: 10, color: 0.2 });
+        });
+    }
+
+    if (card.ingredients.length) {
+        heading(t('post.ingredients'));
+        card.ingredients.forEach(item => paragraph(item, { label: '•', indent: 12 }));
+    }
+
+    heading(t('post.instructions'));
+    card.steps.forEach((step, i) => {
+        top += 4;
+        paragraph(step, { label: `${i + 1}.`, indent: 18 });
+    });
+
+    // Source: QR code (drawn as rectangles, one per run of dark modules) and link
+    const qrSize = 72;
+    ensureSpace(qrSize + 30);
+    top += 24;
+    pdf.line(margin, top - 10, margin + width, top - 10);
+    if (typeof createQrMatrix === 'function') {
+        const matrix = createQrMatrix(card.url);
+        const cell = qrSize / matrix.length;
+        matrix.forEach((row, y) => {
+            let runStart = -1;
+            row.concat(false).forEach((dark, x) => {
+                if (dark && runStart === -1) runStart = x;
+                if (!dark && runStart !== -1) {
+                    pdf.rect(margin + runStart * cell, top + y * cell, (x - runStart) * cell, cell);
+                    runStart = -1;
+                }
+            });
+        });
+        pdf.link(margin, top, qrSize, qrSize, card.url);
+    }
+    const textLeft = margin + qrSize + 14;
+    pdf.text(t('print.source'), textLeft, top + 14, { size: 10, bold: true });
+    wrapPdfText(card.url, width - qrSize - 14, 9).forEach((line, i) => {
+        pdf.text(line, textLeft, top + 28 + i * 12, { size: 9, color: 0.35 });
+    });
+    pdf.link(textLeft, top + 18, width - qrSize - 14, 14, card.url);
+}
+
+// ============================================
+// SAVED RECIPES
+// ============================================
+const SAVED_RECIPES_STORAGE_KEY = 'savedRecipes';
+const SAVED_VIEW_HASH = 'my-recipes';
+
+function getSavedRecipes() {
+    const saved = storageGet(SAVED_RECIPES_STORAGE_KEY, []);
+    return Array.isArray(saved) ? saved.filter(entry => entry && entry.slug) : [];
+}
+
+function setSavedRecipes(saved) {
+    storageSet(SAVED_RECIPES_STORAGE_KEY, saved);
+}
+
+function isRecipeSaved(slug) {
+    return getSavedRecipes().some(entry => entry.slug === slug);
+}
+
+// Saved entries in the shape of index posts, newest first. The stored copy is
+// used when a saved recipe has since left the index.
+function getSavedPosts() {
+    return getSavedRecipes()
+        .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''))
+        .map(entry => postsData.find(p => p.slug === entry.slug) || entry);
+}
+
+// Keep enough of the post to list it and build a shopping list offline
+function toSavedEntry(post) {
+    const ingredients = (post.content && post.content.ingredients && post.content.ingredients.length)
+        ? post.content.ingredients
+        : post.ingredients || [];
+
+    return {
+        slug: post.slug,
+        title: post.title,
+        category: post.category || '',
+        date: post.date || '',
+        excerpt: post.excerpt || '',
+        image: (post.image || '').replace(/^(\.\.\/)+/, ''),
+        ingredients: ingredients.map(item => (typeof item === 'string' ? item : item.text || item.name)),
+        savedAt: new Date().toISOString()
+    };
+}
+
+function toggleSavedRecipe(slug) {
+    const saved = getSavedRecipes();
+    const index = saved.findIndex(entry => entry.slug === slug);
+
+    if (index >= 0) {
+        saved.splice(index, 1);
+    } else {
+        const post = (currentPost && currentPost.slug === slug)
+            ? currentPost
+            : postsData.find(p => p.slug === slug);
+        if (!post) return;
+        const entry = toSavedEntry(post);
+        saved.push(entry);
+        cacheForOffline([getLinkPath('post', entry.slug), getAssetPath(entry.image)]);
+    }
+
+    setSavedRecipes(saved);
+    updateSaveButtons();
+
+    if (savedView) {
+        renderPagedPosts(currentPage);
+        renderFilterBanner();
+    }
+}
+
+function renderSaveButton(slug) {
+    const saved = isRecipeSaved(slug);
+    return `
+        <button type="button" class="save-btn${saved ? ' saved' : ''}" data-slug="${escapeHtml(slug)}"
+            aria-pressed="${saved}" title="${escapeHtml(t(saved ? 'save.remove' : 'save.add'))}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="${saved ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
+            </svg>
+            <span class="save-btn-label">${escapeHtml(t(saved ? 'save.saved' : 'save.save'))}</span>
+        </button>
+    `;
+}
+
+function setupSaveButtons() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.save-btn');
+        if (!button) return;
+        e.preventDefault();
+        toggleSavedRecipe(button.dataset.slug);
+    });
+}
+
+function updateSaveButtons() {
+    document.querySelectorAll('.save-btn').forEach(button => {
+        const template = document.createElement('div');
+        template.innerHTML = renderSaveButton(button.dataset.slug).trim();
+        button.replaceWith(template.firstChild);
+    });
+}
+
+function addPostSaveButton(post) {
+    const meta = document.querySelector('#postContent .post-meta');
+    if (!meta || !post || !post.slug || meta.querySelector('.save-btn')) return;
+    meta.insertAdjacentHTML('beforeend', renderSaveButton(post.slug));
+}
+
+// ============================================
+// SHOPPING LIST PAGE (shopping-list.html)
+// ============================================
+const SHOPPING_SELECTION_STORAGE_KEY = 'shoppingListSelection';
+const SHOPPING_CHECKED_STORAGE_KEY = 'shoppingListChecked';
+const SAVED_EXPORT_VERSION = 1;
+
+function loadShoppingListPage() {
+    renderShoppingList();
+
+    const page = document.getElementById('shoppingListPage');
+    if (!page) return;
+
+    page.addEventListener('change', (e) => {
+        if (e.target.matches('[data-recipe-slug]')) {
+            const selected = [...page.querySelectorAll('[data-recipe-slug]:checked')].map(input => input.dataset.recipeSlug);
+            storageSet(SHOPPING_SELECTION_STORAGE_KEY, selected);
+            renderShoppingList();
+        } else if (e.target.matches('[data-item-key]')) {
+            const checked = [...page.querySelectorAll('[data-item-key]:checked')].map(input => input.dataset.itemKey);
+            storageSet(SHOPPING_CHECKED_STORAGE_KEY, checked);
+        } else if (e.target.id === 'importRecipes' && e.target.files[0]) {
+            importSavedRecipes(e.target.files[0]);
+            e.target.value = '';
+        }
+    });
+
+    const actions = {
+        printShoppingList: () => window.print(),
+        copyShoppingList: copyShoppingList,
+        exportRecipes: exportSavedRecipes
+    };
+    Object.keys(actions).forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', actions[id]);
+    });
+}
+
+function getSelectedSavedRecipes() {
+    const saved = getSavedRecipes();
+    const selection = storageGet(SHOPPING_SELECTION_STORAGE_KEY, null);
+    // Everything is selected until the reader unticks something
+    return Array.isArray(selection) ? saved.filter(entry => selection.includes(entry.slug)) : saved;
+}
+
+function getShoppingListGroups() {
+    return buildShoppingList(getSelectedSavedRecipes())
+        .map(group => ({ ...group, aisle: translateValue('aisle', group.aisle) }));
+}
+
+function renderShoppingList() {
+    const recipesContainer = document.getElementById('shoppingRecipes');
+    const listContainer = document.getElementById('shoppingList');
+    if (!recipesContainer || !listContainer) return;
+
+    const saved = getSavedRecipes();
+    const selectedSlugs = getSelectedSavedRecipes().map(entry => entry.slug);
+
+    if (saved.length === 0) {
+        recipesContainer.innerHTML = `
+            <p class="shopping-empty">${escapeHtml(t('shopping.empty'))}</p>
+        `;
+        listContainer.innerHTML = '';
+        return;
+    }
+
+    recipesContainer.innerHTML = `
+        <ul class="shopping-recipes">
+            ${saved.map(entry => `
+                <li>
+                    <label>
+                        <input type="checkbox" data-recipe-slug="${escapeHtml(entry.slug)}" ${selectedSlugs.includes(entry.slug) ? 'checked' : ''}>
+                        <span>${escapeHtml(entry.title)}</span>
+                    </label>
+                    <a href="${getLinkPath('post', entry.slug)}" class="shopping-recipe-link">${escapeHtml(t('shopping.view'))}</a>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    const groups = getShoppingListGroups();
+    const checked = storageGet(SHOPPING_CHECKED_STORAGE_KEY, []);
+
+    if (groups.length === 0) {
+        listContainer.innerHTML = `<p class="shopping-empty">${escapeHtml(t('shopping.selectRecipe'))}</p>`;
+        return;
+    }
+
+    listContainer.innerHTML = groups.map(group => `
+        <section class="shopping-aisle">
+            <h3>${escapeHtml(group.aisle)}</h3>
+            <ul>
+                ${group.items.map(item => `
+                    <li>
+                        <label>
+                            <input type="checkbox" data-item-key="${escapeHtml(item.key)}" ${checked.includes(item.key) ? 'checked' : ''}>
+                            <span>${escapeHtml(item.text)}</span>
+                        </label>
+                        ${item.sources.length > 1 ? `<span class="shopping-sources">${escapeHtml(t('shopping.sources', { count: item.sources.length }))}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `).join('');
+}
+
+function showShoppingStatus(message) {
+    const status = document.getElementById('shoppingStatus');
+    if (status) status.textContent = message;
+}
+
+async function copyShoppingList() {
+    const text = formatShoppingListText(getShoppingListGroups(), t('shopping.listTitle'));
+    try {
+        await navigator.clipboard.writeText(text);
+        showShoppingStatus(t('shopping.copied'));
+    } catch (error) {
+        console.error('Clipboard write failed:', error);
+        showShoppingStatus(t('shopping.copyFailed'));
+    }
+}
+
+function exportSavedRecipes() {
+    const payload = {
+        version: SAVED_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        savedRecipes: getSavedRecipes(),
+        shoppingList: {
+            selection: storageGet(SHOPPING_SELECTION_STORAGE_KEY, null),
+            checked: storageGet(SHOPPING_CHECKED_STORAGE_KEY, [])
+        }
+    };
+
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `my-recipes-${payload.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    showShoppingStatus(t('shopping.exported', { count: payload.savedRecipes.length }));
+}
+
+async function importSavedRecipes(file) {
+    try {
+        const payload = JSON.parse(await file.text());
+        if (!payload || !Array.isArray(payload.savedRecipes)) {
+            throw new Error(t('shopping.importInvalid'));
+        }
+
+        // Merge by slug; the most recently saved copy wins
+        const merged = new Map(getSavedRecipes().map(entry => [entry.slug, entry]));
+        payload.savedRecipes
+            .filter(entry => entry && typeof entry.slug === 'string' && typeof entry.title === 'string')
+            .forEach(entry => {
+                const existing = merged.get(entry.slug);
+                if (!existing || (entry.savedAt || '') > (existing.savedAt || '')) {
+                    merged.set(entry.slug, entry);
+                }
+            });
+
+        setSavedRecipes([...merged.values()]);
+        if (payload.shoppingList && Array.isArray(payload.shoppingList.checked)) {
+            storageSet(SHOPPING_CHECKED_STORAGE_KEY, payload.shoppingList.checked);
+        }
+        renderShoppingList();
+        showShoppingStatus(t('shopping.imported', { count: payload.savedRecipes.length }));
+    } catch (error) {
+        console.error('Import failed:', error);
+        showShoppingStatus(t('shopping.importFailed', { error: error.message }));
+    }
+}
+
+// ============================================
+// CONTACT FORM (contact.html)
+// ============================================
+const CONTACT_DRAFT_STORAGE_KEY = 'contactDraft';
+const CONTACT_FIELDS = ['name', 'email', 'topic', 'recipe', 'message'];
+let contactFormStartedAt = 0;
+
+// Each adapter's send(message, settings) gets CONFIG.contact[<name>] as settings
+// and resolves to { delivered }: false when the reader still has to send it
+// themselves. Errors may carry `fields` ({ email: 'message' }) to mark inputs.
+const CONTACT_PROVIDERS = {
+    json: {
+        send: (message, settings) => postContactMessage(settings.endpoint, message)
+    },
+    mock: {
+        send: (message, settings) => postContactMessage(settings.endpoint, message)
+    },
+    mailto: {
+        send(message, settings) {
+            const subject = `${message.topicLabel}${message.recipe ? `: ${message.recipe}` : ''}`;
+            const body = `${message.message}\n\n${message.name} <${message.email}>\nSent from ${message.page}`;
+            window.location.href = `mailto:${settings.to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+            return Promise.resolve({ delivered: false });
+        }
+    }
+};
+
+function setupContactForm() {
+    const form = document.getElementById('contactForm');
+    if (!form) return;
+    contactFormStartedAt = Date.now();
+
+    // Drafts survive reloads and closed tabs until the message is sent
+    const draft = storageGet(CONTACT_DRAFT_STORAGE_KEY, {}) || {};
+    CONTACT_FIELDS.forEach(name => {
+        if (typeof draft[name] === 'string' && form.elements[name]) form.elements[name].value = draft[name];
+    });
+
+    form.addEventListener('input', (e) => {
+        saveContactDraft(form);
+        // Clear an error as soon as the field is fixed
+        if (e.target.getAttribute('aria-invalid') === 'true') {
+            const errors = validateContactForm(getContactValues(form));
+            if (!errors[e.target.name]) showContactFieldError(form, e.target.name, null);
+        }
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitContactForm(form);
+    });
+}
+
+function getContactValues(form) {
+    const values = {};
+    CONTACT_FIELDS.forEach(name => {
+        values[name] = form.elements[name] ? form.elements[name].value.trim() : '';
+    });
+    return values;
+}
+
+function saveContactDraft(form) {
+    const values = getContactValues(form);
+    if (values.name || values.email || values.recipe || values.message) {
+        storageSet(CONTACT_DRAFT_STORAGE_KEY, values);
+    }
+}
+
+// Never throws: the message has already gone out by the time this runs
+function clearContactDraft() {
+    try {
+        window.localStorage.removeItem(CONTACT_DRAFT_STORAGE_KEY);
+    } catch (error) {
+        // Storage unavailable: no draft was saved either
+    }
+}
+
+// Returns { fieldName: message } for every invalid field
+function validateContactForm(values) {
+    const errors = {};
+
+    if (!values.name) errors.name = t('form.nameRequired');
+
+    if (!values.email) {
+        errors.email = t('contact.emailRequired');
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+        errors.email = t('contact.emailInvalid');
+    }
+
+    if (!values.message) {
+        errors.message = t('contact.messageRequired');
+    } else if (values.message.length < 10) {
+        errors.message = t('contact.messageShort');
+    } else if (values.message.length > 5000) {
+        errors.message = t('contact.messageLong');
+    }
+
+    return errors;
+}
+
+async function submitContactForm(form) {
+    const values = getContactValues(form);
+    const button = form.querySelector('button[type="submit"]');
+
+    // Bots fill in the hidden field: act as if it worked and send nothing
+    if (form.elements.website && form.elements.website.value) {
+        clearContactDraft();
+        form.reset();
+        showContactStatus('success', t('contact.sent'));
+        return;
+    }
+
+    const errors = validateContactForm(values);
+    CONTACT_FIELDS.forEach(name => showContactFieldError(form, name, errors[name] || null));
+    const invalid = Object.keys(errors);
+    if (invalid.length > 0) {
+        showContactStatus('error', t('contact.fix', { count: invalid.length }), false);
+        form.elements[invalid[0]].focus();
+        return;
+    }
+
+    // Time trap: people need a few seconds to fill in a form; a second try goes through
+    if (Date.now() - contactFormStartedAt < CONFIG.contact.minSeconds * 1000) {
+        showContactStatus('error', t('contact.tooQuick'));
+        return;
+    }
+
+    const providerName = CONFIG.contact.provider;
+    const provider = CONTACT_PROVIDERS[providerName];
+    if (!provider) {
+        showContactStatus('error', t('contact.notSetUp'));
+        return;
+    }
+    if (providerName !== 'mailto' && isOffline()) {
+        showContactStatus('error', t('contact.offline'));
+        return;
+    }
+
+    const topic = form.elements.topic;
+    const message = {
+        ...values,
+        topicLabel: topic && topic.selectedOptions[0] ? topic.selectedOptions[0].textContent.trim() : values.topic,
+        page: window.location.href,
+        sentAt: new Date().toISOString()
+    };
+
+    button.disabled = true;
+    form.setAttribute('aria-busy', 'true');
+    try {
+        const result = await provider.send(message, CONFIG.contact[providerName] || {});
+        if (result && result.delivered) {
+            clearContactDraft();
+            form.reset();
+            showContactStatus('success', t('contact.sentTo', { name: values.name }));
+        } else {
+            // mailto: keep the draft until the email really goes out
+            showContactStatus('success', t('contact.mailto'));
+        }
+    } catch (error) {
+        console.error('Contact form failed:', error);
+        if (error.fields) {
+            Object.keys(error.fields).forEach(name => showContactFieldError(form, name, error.fields[name]));
+        }
+        showContactStatus('error', t('contact.failed', { error: error.message }));
+    } finally {
+        button.disabled = false;
+        form.removeAttribute('aria-busy');
+    }
+}
+
+async function postContactMessage(endpoint, message) {
+    await requestJson(endpoint, { method: 'POST', body: message, timeout: CONFIG.contact.timeout });
+    return { delivered: true };
+}
+
+function showContactFieldError(form, name, message) {
+    const input = form.elements[name];
+    const errorElement = input && document.getElementById(`${input.id}Error`);
+    if (!input || !errorElement) return;
+
+    errorElement.textContent = message || '';
+    if (message) {
+        input.setAttribute('aria-invalid', 'true');
+    } else {
+        input.removeAttribute('aria-invalid');
+    }
+}
+
+// Success is announced politely, errors as alerts; focus moves to the message
+// unless it should stay on the first invalid field
+function showContactStatus(type, message, moveFocus = true) {
+    const status = document.getElementById('contactStatus');
+    if (!status) return;
+
+    status.hidden = false;
+    status.className = `form-status ${type}`;
+    status.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    status.textContent = message;
+    if (moveFocus) status.focus();
+}
+
+
+// ============================================
+// RATINGS & COMMENTS (under .post-body)
+// ============================================
+const COMMENTS_STORAGE_KEY_PREFIX = 'comments:';
+const COMMENT_AUTHOR_STORAGE_KEY = 'commentAuthor';
+const COMMENT_REPORTS_STORAGE_KEY = 'commentReports';
+let commentStore = null;
+let commentsState = null; // { post, comments, rating }
+
+// Each store is built from CONFIG.comments[<name>], or is null when those
+// settings don't name a backend yet. It says whether it is `shared` (other
+// readers see the same comments) and returns promises:
+//   list(slug)         -> { comments, rating }
+//   add(slug, input)   -> { comment, rating }   input: { parentId, author, body, rating }
+//   flag(slug, id)     -> { comment }           the reported comment, as readers now see it
+// Comments are { id, parentId, author, body, rating, createdAt, status } where
+// status is 'published', 'pending' (held for moderation) or 'hidden' (reported;
+// kept without its text so replies stay in their thread). `rating` is
+// summarizeRatings() output. Errors may carry `fields` to mark form inputs.
+const COMMENT_STORES = {
+    rest: (settings) => {
+        if (!settings.baseUrl) return null;
+        const request = (path, options = {}) => requestJson(`${settings.baseUrl}${path}`, { timeout: settings.timeout, ...options });
+        return {
+            shared: true,
+            list: (slug) => request(`/posts/${encodeURIComponent(slug)}/comments`),
+            add: (slug, input) => request(`/posts/${encodeURIComponent(slug)}/comments`, { method: 'POST', body: input }),
+            flag: (slug, id) => request(`/comments/${encodeURIComponent(id)}/flags`, { method: 'POST', body: {} })
+        };
+    },
+    // Demo store for sites without a backend: other readers never see these
+    local: () => {
+        const key = (slug) => COMMENTS_STORAGE_KEY_PREFIX + slug;
+        const read = (slug) => storageGet(key(slug), []) || [];
+        const summarize = (comments) => summarizeRatings(comments
+            .filter(comment => comment.status === 'published')
+            .map(comment => comment.rating));
+        const visible = (comments) => comments.map(comment => (
+            comment.status === 'hidden' ? { ...comment, author: '', body: '', rating: null } : comment
+        ));
+
+        return {
+            shared: false,
+            async list(slug) {
+                const comments = read(slug);
+                return { comments: visible(comments), rating: summarize(comments) };
+            },
+            async add(slug, input) {
+                const comments = read(slug);
+                const fields = validateCommentInput(input, Boolean(input.parentId));
+                if (Object.keys(fields).length > 0) {
+                    const error = new Error(t('form.fieldsInvalid'));
+                    error.fields = fields;
+                    throw error;
+                }
+                // Comments are never removed, so the count keeps ids made in the same millisecond apart
+                const comment = {
+                    id: `local-${Date.now().toString(36)}-${comments.length}`,
+                    parentId: input.parentId || null,
+                    author: input.author,
+                    body: input.body,
+                    rating: input.parentId ? null : input.rating,
+                    createdAt: new Date().toISOString(),
+                    status: 'published'
+                };
+                comments.push(comment);
+                storageSet(key(slug), comments);
+                return { comment, rating: summarize(comments) };
+            },
+            // A single reader is the only reporter here, so one report hides it
+            async flag(slug, id) {
+                const comments = read(slug);
+                const comment = comments.find(c => c.id === id);
+                if (comment) comment.status = 'hidden';
+                storageSet(key(slug), comments);
+                return { comment: comment ? visible([comment])[0] : null };
+            }
+        };
+    }
+};
+
+function setupComments(post) {
+    const body = document.querySelector('.post-body');
+    const settings = CONFIG.comments;
+    if (!settings || !settings.enabled || !body || !post || !post.slug) return;
+
+    const createStore = COMMENT_STORES[settings.provider];
+    if (!createStore) {
+        console.warn(`Unknown comment store "${settings.provider}"`);
+        return;
+    }
+    commentStore = createStore(settings[settings.provider] || {});
+    if (!commentStore) return;
+    commentsState = { post, comments: [], rating: null };
+
+    let section = document.getElementById('comments');
+    if (!section) {
+        section = document.createElement('section');
+        section.id = 'comments';
+        section.className = 'post-comments';
+        section.setAttribute('aria-labelledby', 'commentsHeading');
+        body.insertAdjacentElement('afterend', section);
+    }
+    section.innerHTML = `
+        <h2 id="commentsHeading">${escapeHtml(t('comments.title'))}</h2>
+        <p class="rating-summary" id="ratingSummary">${escapeHtml(t('comments.loading'))}</p>
+        ${renderCommentForm(null)}
+        <p class="comments-status sr-only" id="commentsStatus" role="status"></p>
+        <ol class="comment-list" id="commentList" aria-label="${escapeHtml(t('comments.label'))}"></ol>
+    `;
+
+    if (!section.dataset.commentsReady) {
+        section.dataset.commentsReady = 'true';
+        section.addEventListener('submit', (e) => {
+            if (!e.target.classList.contains('comment-form')) return;
+            e.preventDefault();
+            submitCommentForm(e.target);
+        });
+        section.addEventListener('change', (e) => {
+            if (e.target.name === 'rating') e.target.closest('.star-rating').dataset.value = e.target.value;
+        });
+        section.addEventListener('click', handleCommentAction);
+    }
+
+    loadComments();
+}
+
+async function loadComments() {
+    try {
+        const { comments, rating } = await commentStore.list(commentsState.post.slug);
+        commentsState.comments = Array.isArray(comments) ? comments : [];
+        commentsState.rating = rating || null;
+        renderComments();
+    } catch (error) {
+        console.error('Comments failed to load:', error);
+        document.getElementById('ratingSummary').textContent = t(isOffline() ? 'comments.offline' : 'comments.loadError');
+    }
+}
+
+function renderComments() {
+    const { post, comments, rating } = commentsState;
+    const list = document.getElementById('commentList');
+    if (!list) return;
+
+    renderRatingSummary(rating);
+    const html = buildCommentTree(comments).map(node => renderComment(node, 1)).join('');
+    list.innerHTML = html || `<li class="comments-empty">${escapeHtml(t('comments.empty'))}</li>`;
+
+    // The Recipe JSON-LD carries the live aggregateRating, but only when every
+    // reader sees the same ratings; a local store holds this reader's own
+    if (commentStore.shared) {
+        post.rating = rating;
+        renderStructuredData(post);
+    }
+}
+
+function renderRatingSummary(rating) {
+    const summary = document.getElementById('ratingSummary');
+    if (!summary) return;
+
+    if (!rating || !rating.ratingCount) {
+        summary.textContent = t('comments.noRatings');
+        return;
+    }
+    const count = t('comments.ratingCount', { count: rating.ratingCount });
+    summary.innerHTML = `
+        ${renderStars(rating.ratingValue, t('comments.ratedFrom', { value: rating.ratingValue, count }))}
+        <span aria-hidden="true"><strong>${rating.ratingValue.toFixed(1)}</strong> · ${escapeHtml(count)}</span>
+    `;
+}
+
+function renderStars(value, label) {
+    const filled = Math.round(value);
+    return `<span class="stars" role="img" aria-label="${escapeHtml(label)}">${'★'.repeat(filled)}<span class="stars-empty">${'★'.repeat(5 - filled)}</span></span>`;
+}
+
+// Replies hang off their parent; orphans (parent deleted) move to the top level
+function buildCommentTree(comments) {
+    const nodes = new Map();
+    comments.forEach(comment => nodes.set(comment.id, { comment, replies: [] }));
+
+    const roots = [];
+    const byDate = (a, b) => String(a.comment.createdAt).localeCompare(String(b.comment.createdAt));
+    nodes.forEach(node => {
+        const parent = node.comment.parentId && nodes.get(node.comment.parentId);
+        (parent ? parent.replies : roots).push(node);
+    });
+    nodes.forEach(node => node.replies.sort(byDate));
+    return roots.sort(byDate);
+}
+
+function renderComment({ comment, replies }, depth) {
+    const hidden = comment.status === 'hidden';
+    const repliesHtml = replies.map(reply => renderComment(reply, depth + 1)).join('');
+    if (hidden && !repliesHtml) return '';
+
+    const id = escapeHtml(comment.id);
+    const reported = getReportedComments().includes(comment.id);
+    const content = hidden
+        ? `<p class="comment-removed">${escapeHtml(t('comments.hidden'))}</p>`
+        : `
+            <header class="comment-meta">
+                <strong class="comment-author">${escapeHtml(comment.author)}</strong>
+                ${comment.rating ? renderStars(comment.rating, t('comments.rated', { value: comment.rating })) : ''}
+                <time datetime="${escapeHtml(comment.createdAt)}">${formatDate(comment.createdAt)}</time>
+            </header>
+            <div class="comment-body">${renderMarkdownLite(comment.body)}</div>
+            <div class="comment-actions">
+                ${depth < CONFIG.comments.maxDepth ? `<button type="button" class="comment-action" data-action="reply" aria-expanded="false">${escapeHtml(t('comments.reply'))}</button>` : ''}
+                <button type="button" class="comment-action" data-action="report"${reported ? ' disabled' : ''}>${escapeHtml(t(reported ? 'comments.reported' : 'comments.report'))}</button>
+            </div>
+        `;
+
+    return `
+        <li class="comment${hidden ? ' comment-hidden' : ''}" id="comment-${id}" data-comment-id="${id}" tabindex="-1">
+            <article class="comment-content">${content}</article>
+            ${repliesHtml ? `<ol class="comment-replies">${repliesHtml}</ol>` : ''}
+        </li>
+    `;
+}
+
+// `parentId` null renders the top-level form (with the star rating)
+function renderCommentForm(parentId) {
+    const prefix = parentId ? `reply-${slugify(parentId)}` : 'comment';
+    const stars = [1, 2, 3, 4, 5].map(n => `
+        <input type="radio" id="${prefix}-star${n}" name="rating" value="${n}">
+        <label for="${prefix}-star${n}"><span class="sr-only">${escapeHtml(t('comments.stars', { count: n }))}</span></label>
+    `).join('');
+
+    return `
+        <form class="comment-form${parentId ? ' reply-form' : ''}" data-parent-id="${escapeHtml(parentId || '')}" novalidate>
+            ${parentId ? '' : `
+            <fieldset class="star-rating" aria-describedby="${prefix}-ratingError">
+                <legend>${escapeHtml(t('comments.yourRating'))} <span class="form-optional">${escapeHtml(t('form.optional'))}</span></legend>
+                ${stars}
+            </fieldset>
+            <p class="form-error" id="${prefix}-ratingError" data-error="rating"></p>`}
+            <div class="form-field">
+                <label for="${prefix}-author">${escapeHtml(t('form.name'))}</label>
+                <input type="text" id="${prefix}-author" name="author" maxlength="60" autocomplete="name"
+                       value="${escapeHtml(storageGet(COMMENT_AUTHOR_STORAGE_KEY, '') || '')}" aria-describedby="${prefix}-authorError">
+                <p class="form-error" id="${prefix}-authorError" data-error="author"></p>
+            </div>
+            <div class="form-field">
+                <label for="${prefix}-body">${escapeHtml(t(parentId ? 'comments.yourReply' : 'comments.body'))}${parentId ? '' : ` <span class="form-optional">${escapeHtml(t('comments.bodyOptional'))}</span>`}</label>
+                <textarea id="${prefix}-body" name="body" rows="${parentId ? 3 : 5}" maxlength="${CONFIG.comments.maxLength}"
+                          aria-describedby="${prefix}-bodyHint ${prefix}-bodyError"></textarea>
+                <p class="form-hint" id="${prefix}-bodyHint">${escapeHtml(t('comments.hint'))}</p>
+                <p class="form-error" id="${prefix}-bodyError" data-error="body"></p>
+            </div>
+            <div class="form-honeypot" aria-hidden="true">
+                <label for="${prefix}-website">${escapeHtml(t('form.honeypot'))}</label>
+                <input type="text" id="${prefix}-website" name="website" tabindex="-1" autocomplete="off">
+            </div>
+            <div class="comment-form-actions">
+                <button type="submit" class="btn">${escapeHtml(t(parentId ? 'comments.postReply' : 'comments.post'))}</button>
+                ${parentId ? `<button type="button" class="btn btn-secondary" data-action="cancel">${escapeHtml(t('comments.cancel'))}</button>` : ''}
+            </div>
+        </form>
+    `;
+}
+
+// Returns { fieldName: message }; scripts/mock-api.js checks the same rules
+function validateCommentInput(input, isReply) {
+    const errors = {};
+
+    if (!input.author) errors.author = t('form.nameRequired');
+    else if (input.author.length > 60) errors.author = t('comments.nameLong');
+
+    if (input.body.length > CONFIG.comments.maxLength) {
+        errors.body = t('comments.bodyLong', { max: CONFIG.comments.maxLength });
+    } else if (isReply && !input.body) {
+        errors.body = t('comments.replyRequired');
+    } else if (!isReply && !input.body && input.rating === null) {
+        errors.body = t('comments.required');
+    }
+
+    if (input.rating !== null && !(Number.isInteger(input.rating) && input.rating >= 1 && input.rating <= 5)) {
+        errors.rating = t('comments.ratingInvalid');
+    }
+
+    return errors;
+}
+
+async function submitCommentForm(form) {
+    const parentId = form.dataset.parentId || null;
+    const checked = form.querySelector('input[name="rating"]:checked');
+    const input = {
+        parentId,
+        author: form.elements.author.value.trim(),
+        body: form.elements.body.value.trim(),
+        rating: checked ? Number(checked.value) : null
+    };
+
+    // Bots fill in the hidden field: act as if it worked and store nothing
+    if (form.elements.website.value) {
+        resetCommentForm(form);
+        announceComments(t('comments.posted'));
+        return;
+    }
+
+    const errors = validateCommentInput(input, Boolean(parentId));
+    showCommentFormErrors(form, errors);
+    const invalid = Object.keys(errors);
+    if (invalid.length > 0) {
+        const field = invalid[0] === 'rating' ? form.querySelector('input[name="rating"]') : form.elements[invalid[0]];
+        field.focus();
+        return;
+    }
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    form.setAttribute('aria-busy', 'true');
+    storageSet(COMMENT_AUTHOR_STORAGE_KEY, input.author);
+
+    try {
+        const { comment, rating } = await commentStore.add(commentsState.post.slug, input);
+        commentsState.rating = rating === undefined ? commentsState.rating : rating;
+        resetCommentForm(form);
+
+        if (comment.status === 'pending') {
+            renderComments();
+            announceComments(t('comments.pending'));
+            return;
+        }
+        commentsState.comments.push(comment);
+        renderComments();
+        announceComments(t('comments.posted'));
+        const posted = document.getElementById(`comment-${comment.id}`);
+        if (posted) posted.focus();
+    } catch (error) {
+        console.error('Comment failed:', error);
+        if (error.fields) showCommentFormErrors(form, error.fields);
+        announceComments(t('comments.failed', { error: isOffline() ? t('errors.offline') : error.message }));
+    } finally {
+        button.disabled = false;
+        form.removeAttribute('aria-busy');
+    }
+}
+
+function showCommentFormErrors(form, errors) {
+    form.querySelectorAll('[data-error]').forEach(element => {
+        const message = errors[element.dataset.error] || '';
+        element.textContent = message;
+
+        const field = element.dataset.error === 'rating'
+            ? form.querySelector('.star-rating')
+            : form.elements[element.dataset.error];
+        if (message) {
+            field.setAttribute('aria-invalid', 'true');
+        } else {
+            field.removeAttribute('aria-invalid');
+        }
+    });
+}
+
+// The top-level form stays on the page; reply forms go away
+function resetCommentForm(form) {
+    if (form.dataset.parentId) {
+        closeReplyForm(form);
+        return;
+    }
+    const author = form.elements.author.value;
+    form.reset();
+    form.elements.author.value = author;
+    const stars = form.querySelector('.star-rating');
+    if (stars) delete stars.dataset.value;
+}
+
+function handleCommentAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'cancel') {
+        closeReplyForm(button.closest('form'));
+        return;
+    }
+
+    const item = button.closest('.comment');
+    if (!item) return;
+    const id = item.dataset.commentId;
+
+    if (button.dataset.action === 'reply') {
+        const open = item.querySelector(':scope > .reply-form');
+        if (open) {
+            closeReplyForm(open);
+            return;
+        }
+        item.querySelector(':scope > .comment-content').insertAdjacentHTML('afterend', renderCommentForm(id));
+        button.setAttribute('aria-expanded', 'true');
+        item.querySelector(':scope > .reply-form textarea').focus();
+    } else if (button.dataset.action === 'report') {
+        reportComment(id, button);
     }
+}
 
-    // Ingredients (for recipe posts)
-    if (post.content.ingredients && post.content.ingredients.length > 0) {
-        contentHtml += '<h2>Ingredients</h2>';
-        contentHtml += '<ul class="ingredients-list">';
-        post.content.ingredients.forEach(ingredient => {
-            contentHtml += `<li>${escapeHtml(ingredient)}</li>`;
-        });
-        contentHtml += '</ul>';
+function closeReplyForm(form) {
+    const item = form.closest('.comment');
+    form.remove();
+    const reply = item && item.querySelector(':scope > .comment-content [data-action="reply"]');
+    if (reply) {
+        reply.setAttribute('aria-expanded', 'false');
+        reply.focus();
     }
+}
 
-    // Steps (for recipe posts or how-to guides)
-    if (post.content.steps && post.content.steps.length > 0) {
-        contentHtml += '<h2>Instructions</h2>';
-        contentHtml += '<ol class="steps-list">';
-        post.content.steps.forEach(step => {
-            contentHtml += `<li>${escapeHtml(step)}</li>`;
-        });
-        contentHtml += '</ol>';
+function getReportedComments() {
+    const reported = storageGet(COMMENT_REPORTS_STORAGE_KEY, []);
+    return Array.isArray(reported) ? reported : [];
+}
+
+async function reportComment(id, button) {
+    if (!window.confirm(t('comments.confirmReport'))) return;
+
+    button.disabled = true;
+    try {
+        await commentStore.flag(commentsState.post.slug, id);
+        storageSet(COMMENT_REPORTS_STORAGE_KEY, [...getReportedComments(), id]);
+        // Re-read: a hidden comment no longer counts towards the rating
+        await loadComments();
+        announceComments(t('comments.reportThanks'));
+    } catch (error) {
+        console.error('Report failed:', error);
+        button.disabled = false;
+        announceComments(t('comments.reportFailed', { error: error.message }));
     }
+}
 
-    // End-content ad
-    contentHtml += `
-        <div class="ad-end-content">
-            <div class="ad-placeholder">
-                <p class="ad-label">Advertisement</p>
-            </div>
-        </div>
-    `;
+function announceComments(message) {
+    const status = document.getElementById('commentsStatus');
+    if (status) status.textContent = message;
+}
 
-    contentHtml += '</div>';
+// Comment formatting: **bold**, *italic* or _italic_, `code`, [text](https://…)
+// links, blank lines between paragraphs. It works on escapeHtml() output, so
+// readers can't inject markup; links only allow http(s) URLs.
+function renderMarkdownLite(text) {
+    if (!text) return '';
 
-    // Combine all parts
-    article.innerHTML = headerHtml + imageHtml + contentHtml;
-    container.innerHTML = '';
-    container.appendChild(article);
+    const inline = (html) => html
+        .replace(/\*\*(\S(?:[^*\n]*\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])[*_](\S(?:[^*_\n]*\S)?)[*_](?![\w*])/g, '$1<em>$2</em>')
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s()<>"']+)\)/g, '<a href="$2" rel="nofollow ugc noopener" target="_blank">$1</a>');
+
+    return escapeHtml(text.replace(/\r\n?/g, '\n'))
+        .split(/\n{2,}/)
+        .map(paragraph => {
+            // Code spans are left as typed
+            const html = paragraph
+                .split(/(`[^`\n]+`)/)
+                .map((part, i) => (i % 2 ? `<code>${part.slice(1, -1)}</code>` : inline(part)))
+                .join('')
+                .replace(/\n/g, '<br>');
+            return `<p>${html}</p>`;
+        })
+        .join('');
 }
 
+
 // ============================================
 // RELATED POSTS
 // ============================================
@@ -577,19 +3780,10 @@ function renderRelatedPosts(currentPost, allPosts) {
     const relatedGrid = document.getElementById('relatedPostsGrid');
 
     if (!relatedSection || !relatedGrid) return;
+    setupRelatedCardLinks(relatedGrid);
 
-    // Filter posts by same category, exclude current post
-    let related = allPosts.filter(p =>
-        p.category === currentPost.category && p.slug !== currentPost.slug
-    );
-
-    // If not enough, add random posts to get 4 total
-    if (related.length < 4) {
-        const others = allPosts.filter(p => p.slug !== currentPost.slug && !related.includes(p));
-        related = [...related, ...others].slice(0, 4);
-    } else {
-        related = related.slice(0, 4);
-    }
+    // Scored on title, category, tags and shared ingredients (js/recipe.js)
+    const related = rankRelatedPosts(currentPost, allPosts, CONFIG.related).map(match => match.post);
 
     if (related.length === 0) return;
 
@@ -598,42 +3792,59 @@ function renderRelatedPosts(currentPost, allPosts) {
 
     // Render related posts
     relatedGrid.innerHTML = related.map(post => `
-        <div class="related-post-card" onclick="window.location.href='${post.slug}.html'">
+        <div class="related-post-card" data-slug="${escapeHtml(post.slug)}">
             <div class="related-post-image">
-                <img src="${escapeHtml(post.image || 'https://via.placeholder.com/400x200')}" 
-                     alt="${escapeHtml(post.title)}" 
-                     loading="lazy">
+                ${renderPostImage(post, { sizes: CONFIG.images.sizes.related, loading: 'lazy' })}
             </div>
             <div class="related-post-content">
                 <span class="related-post-category">${escapeHtml(post.category)}</span>
-                <h4 class="related-post-title">${escapeHtml(post.title)}</h4>
-                <span class="related-post-date">${formatDate(post.date)}</span>
+                <h4 class="related-post-title"><a href="${getLinkPath('post', post.slug)}">${escapeHtml(post.title)}</a></h4>
+                <span class="related-post-date">${renderDateTime(post.date)}</span>
+                ${renderSaveButton(post.slug)}
             </div>
         </div>
     `).join('');
 }
 
+// The title is the card's link (keyboard, new tabs, crawlers); a click anywhere
+// else on the card follows it too. Delegated, so re-renders need no rebinding.
+function setupRelatedCardLinks(grid) {
+    if (grid.dataset.linksReady) return;
+    grid.dataset.linksReady = 'true';
+
+    grid.addEventListener('click', (e) => {
+        const card = e.target.closest('.related-post-card');
+        if (!card || e.target.closest('a, button') || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || e.button !== 0) return;
+        const link = card.querySelector('.related-post-title a');
+        if (link) window.location.href = link.href;
+    });
+}
+
 // ============================================
 // SIDEBAR
 // ============================================
 function renderSidebar(posts) {
     renderCategories(posts);
     renderRecentPosts(posts);
+    renderPopularPosts();
 }
 
 function renderCategories(posts) {
     const container = document.getElementById('categoryList');
     if (!container) return;
 
-    // Get unique categories
-    const categories = [...new Set(posts.map(p => p.category))];
+    // Get unique categories (the first index shard lists them all up front)
+    const categories = isIndexComplete()
+        ? [...new Set(posts.map(p => p.category))]
+            .map(name => ({ name, count: posts.filter(p => p.category === name).length }))
+        : indexShards.categories;
 
     container.innerHTML = '';
-    categories.forEach(category => {
-        const count = posts.filter(p => p.category === category).length;
+    categories.forEach(({ name: category, count }) => {
         const li = document.createElement('li');
         const catUrl = getLinkPath('category', category);
-        li.innerHTML = `<a href="${catUrl}">${escapeHtml(category)} (${count})</a>`;
+        const isActive = category === activeCategory;
+        li.innerHTML = `<a href="${catUrl}"${isActive ? ' class="active" aria-current="page"' : ''}>${escapeHtml(category)} (${count})</a>`;
         container.appendChild(li);
     });
 }
@@ -656,6 +3867,34 @@ function renderRecentPosts(posts) {
     });
 }
 
+// Most read recipes from data/popular.json (scripts/build-popular.js); the
+// widget stays hidden when there are no counts yet. The list doesn't depend on
+// the page's filters, so it is fetched once.
+async function renderPopularPosts() {
+    const container = document.getElementById('popularPosts');
+    const settings = CONFIG.popular;
+    if (!container || !settings || !settings.path || container.dataset.popularReady) return;
+    container.dataset.popularReady = 'true';
+
+    try {
+        const response = await fetch(getAssetPath(settings.path));
+        if (!response.ok) return;
+        const data = await response.json();
+
+        const posts = (Array.isArray(data.posts) ? data.posts : [])
+            .filter(post => post && post.slug && post.title)
+            .slice(0, settings.limit);
+        if (posts.length === 0) return;
+
+        container.innerHTML = posts
+            .map(post => `<li><a href="${getLinkPath('post', post.slug)}">${escapeHtml(post.title)}</a></li>`)
+            .join('');
+        container.closest('.sidebar-widget').hidden = false;
+    } catch (error) {
+        console.warn('Popular recipes unavailable:', error.message);
+    }
+}
+
 // ============================================
 // SEO & META TAGS
 // ============================================
@@ -682,21 +3921,626 @@ function updateMetaTags(post) {
 
     const ogImage = document.querySelector('meta[property="og:image"]');
     if (ogImage && post.image) {
-        ogImage.setAttribute('content', post.image);
+        ogImage.setAttribute('content', new URL(getAssetPath(post.image), window.location.href).href);
+    }
+
+    // Both post.html?slug= and posts/<slug>.html exist; point crawlers at the static page,
+    // or at the post that was kept if this one is a duplicate (scripts/audit-duplicates.js)
+    const canonicalUrl = getCanonicalUrl({ slug: post.canonical || post.slug });
+    setMetaProperty('og:type', 'article');
+    setMetaProperty('og:url', canonicalUrl);
+
+    let canonical = document.querySelector('link[rel="canonical"]');
+    if (!canonical) {
+        canonical = document.createElement('link');
+        canonical.rel = 'canonical';
+        document.head.appendChild(canonical);
+    }
+    canonical.href = canonicalUrl;
+
+    renderAlternateLinks(post);
+}
+
+// <link rel="alternate" hreflang> for the post and each of its translations
+// (static pages get these from scripts/build-site.js)
+function renderAlternateLinks(post) {
+    document.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+    const translations = Object.entries(post.translations || {});
+    if (translations.length === 0) return;
+
+    const versions = [[post.lang || I18N_CONFIG.defaultLocale, post.slug], ...translations];
+    versions.forEach(([lang, slug]) => {
+        const link = document.createElement('link');
+        link.rel = 'alternate';
+        link.hreflang = lang;
+        link.href = getCanonicalUrl({ slug });
+        document.head.appendChild(link);
+    });
+}
+
+function setMetaProperty(property, content) {
+    let meta = document.querySelector(`meta[property="${property}"]`);
+    if (!meta) {
+        meta = document.createElement('meta');
+        meta.setAttribute('property', property);
+        document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', content);
+}
+
+function getCanonicalUrl(post) {
+    return new URL(getLinkPath('post', post.slug), window.location.href).href;
+}
+
+// ============================================
+// STRUCTURED DATA (schema.org Recipe)
+// ============================================
+// Data model and JSON-LD builder live in js/recipe.js
+function renderStructuredData(post) {
+    if (typeof buildRecipeJsonLd !== 'function') return;
+
+    const recipe = getRecipeData(post);
+    if (recipe.ingredients.length === 0 && recipe.steps.length === 0) return;
+
+    let script = document.getElementById('recipeJsonLd');
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'recipeJsonLd';
+        document.head.appendChild(script);
+    }
+    // Resolve the image against this page, not the canonical URL
+    const image = post.image ? new URL(getAssetPath(post.image), window.location.href).href : null;
+    script.textContent = JSON.stringify(buildRecipeJsonLd({ ...post, image }, getCanonicalUrl(post)));
+}
+
+// ============================================
+// AD SLOTS
+// ============================================
+// Slots are elements with data-ad-slot="<name>"; only names listed in
+// CONFIG.ads.slots are filled, anything else collapses.
+const CONSENT_STORAGE_KEY = 'consent';
+let adSlotObserver = null;
+let adProviderReady = null;
+
+/**
+ * Provider adapters. Each one implements:
+ *   init(adsConfig)              -> Promise, called once before the first slot loads
+ *   render(unit, name, settings) -> Promise<boolean>, true when the slot was filled
+ * `unit` is the empty .ad-unit element; `settings` is the slot's CONFIG entry.
+ * Optionally isConfigured(adsConfig) and isSlotConfigured(settings) say whether
+ * the provider, or one slot, has what it needs to request an ad.
+ */
+const AD_PROVIDERS = {
+    adsense: {
+        isConfigured(config) {
+            return Boolean(config.adsense.client);
+        },
+        // data-ad-slot takes the ad unit's numeric ID; AdSense rejects names like 'header'
+        isSlotConfigured(settings) {
+            return /^\d+$/.test(String(settings.unit || ''));
+        },
+        init(config) {
+            if (document.querySelector('script[data-ad-provider="adsense"]')) return Promise.resolve();
+            return new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.async = true;
+                script.crossOrigin = 'anonymous';
+                script.dataset.adProvider = 'adsense';
+                script.src = `https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=${encodeURIComponent(config.adsense.client)}`;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('AdSense script failed to load (blocked?)'));
+                document.head.appendChild(script);
+            });
+        },
+        render(unit, name, settings) {
+            const ins = document.createElement('ins');
+            ins.className = 'adsbygoogle';
+            ins.style.display = 'block';
+            ins.dataset.adClient = CONFIG.ads.adsense.client;
+            ins.dataset.adSlot = settings.unit;
+            ins.dataset.adFormat = settings.format || 'auto';
+            ins.dataset.fullWidthResponsive = 'true';
+            unit.appendChild(ins);
+            (window.adsbygoogle = window.adsbygoogle || []).push({});
+
+            // AdSense reports the outcome through data-ad-status="filled|unfilled"
+            return new Promise(resolve => {
+                const done = () => {
+                    observer.disconnect();
+                    clearTimeout(timeout);
+                    resolve(ins.dataset.adStatus ? ins.dataset.adStatus === 'filled' : ins.offsetHeight > 0);
+                };
+                const observer = new MutationObserver(() => {
+                    if (ins.dataset.adStatus) done();
+                });
+                observer.observe(ins, { attributes: true, attributeFilter: ['data-ad-status'] });
+                const timeout = setTimeout(done, CONFIG.ads.adsense.fillTimeout);
+            });
+        }
+    },
+
+    // Local stand-in for development and testing: no network, configurable fill rate
+    mock: {
+        init() {
+            return Promise.resolve();
+        },
+        render(unit, name, settings) {
+            const { fillRate, delay } = CONFIG.ads.mock;
+            return new Promise(resolve => {
+                setTimeout(() => {
+                    if (Math.random() >= fillRate) {
+                        resolve(false);
+                        return;
+                    }
+                    unit.innerHTML = `
+                        <div class="ad-mock" style="min-height: ${Number(settings.height) || 100}px;">
+                            Mock ad · ${escapeHtml(name)}${settings.unit ? ` · ${escapeHtml(settings.unit)}` : ''}
+                        </div>
+                    `;
+                    resolve(true);
+                }, delay);
+            });
+        }
+    }
+};
+
+function setupAds() {
+    const ads = CONFIG.ads;
+    if (!isAdProviderReady()) {
+        document.querySelectorAll('[data-ad-slot]').forEach(collapseAdSlot);
+        return;
+    }
+
+    Object.keys(ads.slots).filter(name => !isAdSlotConfigured(name)).forEach(name => {
+        console.warn(`Ad slot "${name}" skipped: "${ads.slots[name].unit}" is not an ad unit ID for ${ads.provider}`);
+    });
+
+    // Consent can also come from an external consent manager via window.setConsent
+    document.addEventListener('consentchange', () => activateAdSlots());
+    if (ads.requireConsent && getConsent() === null) {
+        renderConsentBanner();
+    }
+
+    activateAdSlots();
+}
+
+// Enabled, with a known provider that has what it needs (an AdSense client ID)
+function isAdProviderReady() {
+    const ads = CONFIG.ads;
+    const provider = ads && ads.enabled && AD_PROVIDERS[ads.provider];
+    return Boolean(provider) && (!provider.isConfigured || provider.isConfigured(ads));
+}
+
+// Listed in CONFIG.ads.slots, with what the provider needs for it (an AdSense ad unit ID)
+function isAdSlotConfigured(name) {
+    const settings = CONFIG.ads.slots[name];
+    const provider = AD_PROVIDERS[CONFIG.ads.provider];
+    return Boolean(settings) && (!provider.isSlotConfigured || provider.isSlotConfigured(settings));
+}
+
+function canLoadAds() {
+    const ads = CONFIG.ads;
+    return isAdProviderReady() && (!ads.requireConsent || getConsent() === 'granted');
+}
+
+// Markup for a slot rendered by JavaScript ('' when the slot isn't configured)
+function renderAdSlot(name, className = '') {
+    if (!isAdProviderReady() || !isAdSlotConfigured(name)) return '';
+    return `
+        <div class="ad-slot ${className}" data-ad-slot="${name}" hidden>
+            <p class="ad-label">${escapeHtml(t('ads.label'))}</p>
+            <div class="ad-unit"></div>
+        </div>
+    `;
+}
+
+// Mid-content slots every N paragraphs (never after the last) plus one at the end
+function insertContentAdSlots(body) {
+    if (!body || body.querySelector('[data-ad-slot]')) return;
+
+    const mid = CONFIG.ads && CONFIG.ads.slots.midContent;
+    if (mid) {
+        const paragraphs = [...body.querySelectorAll(':scope > p')];
+        let inserted = 0;
+        paragraphs.forEach((paragraph, index) => {
+            const isBreak = (index + 1) % mid.everyParagraphs === 0;
+            if (isBreak && index < paragraphs.length - 1 && inserted < mid.max) {
+                paragraph.insertAdjacentHTML('afterend', renderAdSlot('midContent', 'ad-mid-content'));
+                inserted++;
+            }
+        });
+    }
+
+    body.insertAdjacentHTML('beforeend', renderAdSlot('endContent', 'ad-end-content'));
+}
+
+// Register new slots under `root`; they load once they scroll near the viewport
+function activateAdSlots(root = document) {
+    const slots = root.querySelectorAll('[data-ad-slot]:not([data-ad-state]), [data-ad-slot][data-ad-state="blocked"]');
+    if (slots.length === 0) return;
+
+    if (!canLoadAds()) {
+        slots.forEach(slot => {
+            // Nothing may load before consent; configured slots wait, the rest collapse
+            if (isAdProviderReady() && isAdSlotConfigured(slot.dataset.adSlot)) {
+                slot.dataset.adState = 'blocked';
+                setAdSlotVisible(slot, false);
+            } else {
+                collapseAdSlot(slot);
+            }
+        });
+        return;
+    }
+
+    if (!adSlotObserver && 'IntersectionObserver' in window) {
+        adSlotObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                adSlotObserver.unobserve(entry.target);
+                loadAdSlot(entry.target);
+            });
+        }, { rootMargin: CONFIG.ads.rootMargin });
+    }
+
+    slots.forEach(slot => {
+        if (!isAdSlotConfigured(slot.dataset.adSlot)) {
+            collapseAdSlot(slot);
+            return;
+        }
+        slot.dataset.adState = 'pending';
+        setAdSlotVisible(slot, true);
+        if (adSlotObserver) {
+            adSlotObserver.observe(slot);
+        } else {
+            loadAdSlot(slot);
+        }
+    });
+}
+
+async function loadAdSlot(slot) {
+    const name = slot.dataset.adSlot;
+    const provider = AD_PROVIDERS[CONFIG.ads.provider];
+    const unit = slot.querySelector('.ad-unit') || slot;
+    slot.dataset.adState = 'loading';
+
+    try {
+        if (!adProviderReady) adProviderReady = provider.init(CONFIG.ads);
+        await adProviderReady;
+        const filled = await provider.render(unit, name, CONFIG.ads.slots[name]);
+        slot.dataset.adState = filled ? 'filled' : 'empty';
+        if (!filled) collapseAdSlot(slot);
+    } catch (error) {
+        console.warn(`Ad slot "${name}" failed:`, error.message);
+        collapseAdSlot(slot);
+    }
+}
+
+// Static slots sit inside a wrapper (.ad-container / .ad-widget) that should go too
+function setAdSlotVisible(slot, visible) {
+    const wrapper = slot.closest('.ad-container, .ad-widget') || slot;
+    wrapper.hidden = !visible;
+    slot.hidden = !visible;
+}
+
+function collapseAdSlot(slot) {
+    if (!slot.dataset.adState || slot.dataset.adState === 'blocked') slot.dataset.adState = 'empty';
+    const unit = slot.querySelector('.ad-unit');
+    if (unit) unit.innerHTML = '';
+    setAdSlotVisible(slot, false);
+}
+
+// ============================================
+// ANALYTICS (CONFIG.analytics)
+// ============================================
+// Events are { type, path, time, ...details } with no cookies, identifiers or
+// referrers. They wait in a queue and go out in batches: when batchSize is
+// reached, after flushInterval, and when the page is hidden or unloaded.
+//   page_view     { slug }               slug only on recipe pages
+//   scroll_depth  { slug, depth }        each of CONFIG.analytics.scrollDepths once
+//   related_click { slug, target }
+//   carousel_click { target, index }
+//   search        { query, results }
+//   print         { slug, format }       'card' (Print recipe), 'page' (browser menu) or 'pdf'
+//   cook_mode     { slug, action }       'start' or 'finish'
+let analyticsSink = null;
+let analyticsQueue = [];
+let analyticsTimer = null;
+let searchTrackingTimer = null;
+
+// Each sink is built from CONFIG.analytics[<name>], or is null when those
+// settings don't name a collector yet, and has send(events).
+// send() is called while the page unloads too, so it must not wait for anything.
+const ANALYTICS_SINKS = {
+    console: () => ({
+        send(events) {
+            console.log(`📊 ${events.length} analytics event(s)`, events);
+        }
+    }),
+    http: (settings) => (settings.endpoint ? {
+        send(events) {
+            // A string body is sent as text/plain, which needs no CORS preflight
+            const body = JSON.stringify({ events });
+            if (navigator.sendBeacon && navigator.sendBeacon(settings.endpoint, body)) return;
+            fetch(settings.endpoint, { method: 'POST', body, keepalive: true, credentials: 'omit' })
+                .catch(() => console.warn('Analytics batch was not delivered'));
+        }
+    } : null),
+    memory: () => {
+        const events = [];
+        return {
+            events,
+            send(batch) {
+                events.push(...batch);
+            }
+        };
+    }
+};
+
+function setupAnalytics() {
+    const settings = CONFIG.analytics;
+    if (!settings || !settings.enabled) return;
+
+    const createSink = ANALYTICS_SINKS[settings.sink];
+    if (!createSink) {
+        console.warn(`Unknown analytics sink "${settings.sink}"`);
+        return;
+    }
+    analyticsSink = createSink(settings[settings.sink] || {});
+    if (!analyticsSink) return;
+
+    if (settings.requireConsent && getConsent() === null && !isDoNotTrackEnabled()) {
+        renderConsentBanner();
+    }
+    // Whatever was queued before a refusal is dropped, not sent
+    document.addEventListener('consentchange', () => {
+        if (!canTrack()) analyticsQueue = [];
+    });
+
+    // Last chance to send: hidden tabs may be closed without another event
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+    window.addEventListener('pagehide', flushAnalytics);
+
+    // Capture phase: the carousel's "Read Article" link stops propagation and
+    // related cards navigate from their own click handlers
+    document.addEventListener('click', trackNavigationClick, true);
+
+    // Print recipe adds .print-recipe-card before calling print()
+    window.addEventListener('beforeprint', () => {
+        if (!currentPost) return;
+        const format = document.documentElement.classList.contains('print-recipe-card') ? 'card' : 'page';
+        trackEvent('print', { slug: currentPost.slug, format });
+    });
+
+    // Recipe pages count their view once the post is known (setupReadTracking)
+    if (!document.getElementById('postContent')) trackEvent('page_view');
+}
+
+function isDoNotTrackEnabled() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+function canTrack() {
+    const settings = CONFIG.analytics;
+    if (!analyticsSink || !settings || !settings.enabled) return false;
+    if (settings.respectDoNotTrack && isDoNotTrackEnabled()) return false;
+
+    const consent = getConsent();
+    return settings.requireConsent ? consent === 'granted' : consent !== 'denied';
+}
+
+function trackEvent(type, details = {}) {
+    if (!canTrack()) return;
+
+    analyticsQueue.push({ type, path: window.location.pathname, time: new Date().toISOString(), ...details });
+    if (analyticsQueue.length >= CONFIG.analytics.batchSize) {
+        flushAnalytics();
+    } else if (!analyticsTimer) {
+        analyticsTimer = setTimeout(flushAnalytics, CONFIG.analytics.flushInterval);
+    }
+}
+
+function flushAnalytics() {
+    clearTimeout(analyticsTimer);
+    analyticsTimer = null;
+    if (!analyticsSink || analyticsQueue.length === 0) return;
+
+    const events = analyticsQueue;
+    analyticsQueue = [];
+    try {
+        analyticsSink.send(events);
+    } catch (error) {
+        console.warn('Analytics sink failed:', error.message);
+    }
+}
+
+// The page view, then how far the reader gets through .post-body
+function setupReadTracking(post) {
+    if (!analyticsSink || !post || !post.slug) return;
+    trackEvent('page_view', { slug: post.slug });
+
+    const body = document.querySelector('.post-body');
+    const depths = CONFIG.analytics.scrollDepths || [];
+    if (!body || depths.length === 0) return;
+
+    const reached = new Set();
+    let frame = null;
+    const measure = () => {
+        frame = null;
+        const rect = body.getBoundingClientRect();
+        if (rect.height === 0) return;
+        // Share of the body that has been on screen, counting from its top
+        const seen = ((window.innerHeight - rect.top) / rect.height) * 100;
+        depths
+            .filter(depth => depth <= seen && !reached.has(depth))
+            .forEach(depth => {
+                reached.add(depth);
+                trackEvent('scroll_depth', { slug: post.slug, depth });
+            });
+        if (reached.size === depths.length) window.removeEventListener('scroll', onScroll);
+    };
+    const onScroll = () => {
+        if (!frame) frame = requestAnimationFrame(measure);
+    };
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+    measure();
+}
+
+function trackNavigationClick(e) {
+    if (e.target.closest('.save-btn')) return;
+
+    const related = e.target.closest('.related-post-card');
+    if (related && currentPost) {
+        trackEvent('related_click', { slug: currentPost.slug, target: related.dataset.slug });
+        return;
+    }
+
+    const slide = e.target.closest('.carousel-slide');
+    if (slide && !e.target.closest('.carousel-nav, .carousel-dot')) {
+        trackEvent('carousel_click', { target: slide.dataset.slug, index: Number(slide.dataset.index) });
+    }
+}
+
+// Called as the reader types; only the query they stop at counts. Queries are
+// lower-cased and cut to 100 characters.
+function trackSearch(query, immediate = false) {
+    clearTimeout(searchTrackingTimer);
+    const normalized = query.trim().toLowerCase().slice(0, 100);
+    if (!normalized || !analyticsSink) return;
+
+    const record = () => trackEvent('search', { query: normalized, results: searchScores ? searchScores.size : 0 });
+    if (immediate) {
+        record();
+    } else {
+        searchTrackingTimer = setTimeout(record, CONFIG.analytics.searchDelay);
     }
 }
 
+// ============================================
+// CONSENT
+// ============================================
+// 'granted' | 'denied' | null (not asked yet)
+function getConsent() {
+    return storageGet(CONSENT_STORAGE_KEY, null);
+}
+
+function setConsent(value) {
+    storageSet(CONSENT_STORAGE_KEY, value);
+    const banner = document.querySelector('.consent-banner');
+    if (banner) banner.remove();
+    document.dispatchEvent(new CustomEvent('consentchange', { detail: { consent: value } }));
+}
+
+function renderConsentBanner() {
+    if (document.querySelector('.consent-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', t('consent.region'));
+    banner.innerHTML = `
+        <p>${escapeHtml(t('consent.message'))}</p>
+        <div class="consent-actions">
+            <button type="button" class="btn btn-secondary" data-consent="denied">${escapeHtml(t('consent.deny'))}</button>
+            <button type="button" class="btn" data-consent="granted">${escapeHtml(t('consent.accept'))}</button>
+        </div>
+    `;
+    banner.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-consent]');
+        if (button) setConsent(button.dataset.consent);
+    });
+    document.body.appendChild(banner);
+}
+
+// Global hook for consent management platforms
+window.setConsent = setConsent;
+
+// ============================================
+// OFFLINE SUPPORT (sw.js)
+// ============================================
+function getSiteRoot() {
+    return window.location.pathname.includes('/posts/') ? '../' : './';
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // Register after load so caching never competes with first paint
+    window.addEventListener('load', () => {
+        const root = getSiteRoot();
+        navigator.serviceWorker.register(`${root}sw.js`, { scope: root })
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => {
+                // For its offline page, which can't read the reader's pick from localStorage
+                if (registration.active) registration.active.postMessage({ type: 'SET_LOCALE', locale: getLocale() });
+            })
+            .catch(error => console.warn('Service worker registration failed:', error));
+    });
+}
+
+// Ask the service worker to keep these URLs (relative to this page) for offline reading
+function cacheForOffline(urls) {
+    if (!('serviceWorker' in navigator)) return;
+
+    const absolute = urls.filter(Boolean).map(url => new URL(url, window.location.href).href);
+    navigator.serviceWorker.ready
+        .then(registration => {
+            if (registration.active) {
+                registration.active.postMessage({ type: 'CACHE_URLS', urls: absolute });
+            }
+        })
+        .catch(() => {});
+}
+
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+function renderOfflineNotice() {
+    const savedUrl = `${getLinkPath('home')}#${SAVED_VIEW_HASH}`;
+    return `
+        <div class="offline-notice" style="grid-column: 1/-1;">
+            <h3>${escapeHtml(t('offline.title'))}</h3>
+            <p>${escapeHtml(t('offline.available'))}</p>
+            <p><a href="${savedUrl}">${escapeHtml(t('offline.openSaved'))}</a></p>
+        </div>
+    `;
+}
+
+function setupOfflineIndicator() {
+    const indicator = document.createElement('div');
+    indicator.className = 'offline-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.textContent = t('offline.indicator');
+    indicator.hidden = true;
+    document.body.appendChild(indicator);
+
+    const update = () => {
+        indicator.hidden = !isOffline();
+    };
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
-function formatDate(dateString) {
+// "Jan 13, 2026" in the reader's language, or "3 days ago" for recent dates
+// when I18N_CONFIG.dates.relative is on (formatLocaleDate in js/i18n.js)
+function formatDate(dateString, options = {}) {
+    return formatLocaleDate(dateString, getLocale(), { ...I18N_CONFIG.dates, ...options });
+}
+
+// <time> with the machine-readable date; a relative date keeps the full one as a tooltip
+function renderDateTime(dateString) {
     if (!dateString) return '';
-    const date = new Date(dateString);
-    // Format: "13-Jan" (Day-Month)
-    // Using en-GB to get day first, but standardizing with short month
-    const day = date.getDate();
-    const month = date.toLocaleString('default', { month: 'short' });
-    return `${day}-${month}`;
+    const text = formatDate(dateString);
+    const full = formatDate(dateString, { relative: false });
+    return `<time datetime="${escapeHtml(dateString)}"${text === full ? '' : ` title="${escapeHtml(full)}"`}>${escapeHtml(text)}</time>`;
 }
 
 function truncateText(text, maxLength) {
@@ -704,11 +4548,94 @@ function truncateText(text, maxLength) {
     return text.substring(0, maxLength).trim() + '...';
 }
 
+// Deterministic random numbers in [0, 1) for a string or number seed (mulberry32)
+function seededRandom(seed) {
+    let state = 2166136261;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.charCodeAt(0), 16777619); // FNV-1a
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Unbiased Fisher-Yates shuffle (returns a copy)
+function shuffle(items, random = Math.random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// localStorage can throw (private mode, quota); treat it as optional
+function storageGet(key, fallback) {
+    try {
+        const value = window.localStorage.getItem(key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function storageSet(key, value) {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn('Unable to save to localStorage:', key);
+    }
+}
+
+// fetch() for JSON APIs. Non-2xx answers reject with the server's `error`
+// message and its `fields` ({ name: 'message' }) when it sent any.
+async function requestJson(url, { method = 'GET', body, timeout = 10000 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: controller.signal
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.error || t('errors.status', { status: String(response.status) }));
+            error.status = response.status;
+            error.fields = result.fields || null;
+            throw error;
+        }
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(t('errors.timeout'));
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Malformed escapes (a hand-typed "#%") are left as they are instead of throwing
+function safeDecodeURIComponent(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Quotes too, so the result is also safe inside attribute values
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function showError(message) {
@@ -736,6 +4663,13 @@ if (typeof module !== 'undefined' && module.exports) {
         loadPostsData,
         formatDate,
         truncateText,
-        escapeHtml
+        seededRandom,
+        shuffle,
+        buildSearchIndex,
+        highlightText,
+        escapeHtml,
+        renderMarkdownLite,
+        buildCommentTree,
+        validateCommentInput
     };
 }
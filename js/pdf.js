@@ -0,0 +1,292 @@
+/**
+ * Universal Blog Theme - PDF writer
+ * Just enough PDF 1.4 to lay out simple documents in the browser: Helvetica
+ * text with word wrapping, filled rectangles, links and JPEG images. The
+ * recipe card's "Download PDF" (js/main.js) uses it, so it works offline.
+ *
+ *   const pdf = createPdfDocument({ size: 'letter' });
+ *   pdf.text('Garlic Noodles', 54, 54, { size: 20, bold: true });
+ *   download(pdf.toBlob());
+ *
+ * Coordinates are points (1/72 inch) from the top-left corner of the page.
+ * Text is limited to Windows-1252 (WinAnsiEncoding); other characters are
+ * spelled out ("⅓" -> "1/3") or replaced with "?".
+ */
+
+const PDF_PAGE_SIZES = {
+    letter: [612, 792],
+    a4: [595.28, 841.89]
+};
+
+// Glyph widths (1/1000 em) for character codes 32-126
+const PDF_FONT_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Unicode -> Windows-1252 code for the characters outside Latin-1, with widths
+const PDF_WIN_ANSI = {
+    '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333],
+    '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000], '…': [0x85, 1000],
+    '€': [0x80, 556]
+};
+
+const PDF_SPELLED_OUT = {
+    '⅓': '1/3', '⅔': '2/3', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8',
+    '\u2044': '/', '\u2009': ' ', '\u202f': ' ', '\u2212': '-'
+};
+
+// Text -> Windows-1252 codes
+function toPdfCodes(text) {
+    const codes = [];
+    [...String(text).normalize('NFC')].forEach(char => {
+        if (PDF_SPELLED_OUT[char]) {
+            [...PDF_SPELLED_OUT[char]].forEach(c => codes.push(c.charCodeAt(0)));
+        } else if (PDF_WIN_ANSI[char]) {
+            codes.push(PDF_WIN_ANSI[char][0]);
+        } else {
+            const code = char.codePointAt(0);
+            codes.push((code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : 63);
+        }
+    });
+    return codes;
+}
+
+function getPdfCodeWidth(code, bold) {
+    if (code >= 32 && code <= 126) return PDF_FONT_WIDTHS[bold ? 'bold' : 'regular'][code - 32];
+    const special = Object.values(PDF_WIN_ANSI).find(([winAnsi]) => winAnsi === code);
+    if (special) return special[1];
+    if (code >= 0xBC && code <= 0xBE) return 834; // ¼ ½ ¾
+    // Accented Latin-1 letters are as wide as their base letter
+    const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+    return base >= 32 && base <= 126 ? getPdfCodeWidth(base, bold) : 556;
+}
+
+// Width of `text` in points
+function measurePdfText(text, size, bold = false) {
+    return toPdfCodes(text).reduce((sum, code) => sum + getPdfCodeWidth(code, bold), 0) * size / 1000;
+}
+
+// Greedy word wrap; words longer than a line (URLs) are split
+function wrapPdfText(text, width, size, bold = false) {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (measurePdfText(candidate, size, bold) <= width) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line);
+        line = '';
+        let rest = word;
+        while (measurePdfText(rest, size, bold) > width) {
+            let cut = rest.length - 1;
+            while (cut > 1 && measurePdfText(rest.slice(0, cut), size, bold) > width) cut--;
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+        }
+        line = rest;
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+function escapePdfString(codes) {
+    return codes.map(code => {
+        if (code === 0x28 || code === 0x29 || code === 0x5C) return `\\${String.fromCharCode(code)}`;
+        return String.fromCharCode(code);
+    }).join('');
+}
+
+// Document metadata is UTF-16BE, so any title survives
+function toPdfTextString(text) {
+    const hex = [...String(text)].flatMap(char => {
+        const code = char.codePointAt(0);
+        return code > 0xFFFF
+            ? [0xD800 + ((code - 0x10000) >> 10), 0xDC00 + ((code - 0x10000) & 0x3FF)]
+            : [code];
+    }).map(unit => unit.toString(16).padStart(4, '0')).join('');
+    return `<FEFF${hex.toUpperCase()}>`;
+}
+
+function formatPdfNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+
+/**
+ * A multi-page document. Drawing methods go to the current page; addPage()
+ * starts the next one. toBytes() / toBlob() serialize the whole file.
+ */
+function createPdfDocument({ size = 'letter', title = '' } = {}) {
+    const [width, height] = PDF_PAGE_SIZES[size] || PDF_PAGE_SIZES.letter;
+    const pages = [];
+    const images = []; // { bytes, width, height, components }
+    let page = null;
+
+    const y = (top) => height - top;
+
+    const doc = {
+        width,
+        height,
+
+        addPage() {
+            page = { content: [], links: [] };
+            pages.push(page);
+            return doc;
+        },
+
+        // `top` is the baseline of the first line
+        text(value, left, top, { size: fontSize = 11, bold = false, color = 0 } = {}) {
+            page.content.push(
+                `BT /${bold ? 'F2' : 'F1'} ${formatPdfNumber(fontSize)} Tf ${formatPdfNumber(color)} g ` +
+                `${formatPdfNumber(left)} ${formatPdfNumber(y(top))} Td (${escapePdfString(toPdfCodes(value))}) Tj ET`
+            );
+            return doc;
+        },
+
+        rect(left, top, rectWidth, rectHeight, { color = 0 } = {}) {
+            page.content.push(
+                `${formatPdfNumber(color)} g ${formatPdfNumber(left)} ${formatPdfNumber(y(top + rectHeight))} ` +
+                `${formatPdfNumber(rectWidth)} ${formatPdfNumber(rectHeight)} re f`
+            );
+            return doc;
+        },
+
+        line(x1, top1, x2, top2, { color = 0.8, lineWidth = 0.5 } = {}) {
+            page.content.push(
+                `${formatPdfNumber(color)} G ${formatPdfNumber(lineWidth)} w ${formatPdfNumber(x1)} ${formatPdfNumber(y(top1))} m ` +
+                `${formatPdfNumber(x2)} ${formatPdfNumber(y(top2))} l S`
+            );
+            return doc;
+        },
+
+        // Clickable area that opens `url`
+        link(left, top, linkWidth, linkHeight, url) {
+            page.links.push({ rect: [left, y(top + linkHeight), left + linkWidth, y(top)], url });
+            return doc;
+        },
+
+        // `jpeg` is the file's bytes; pixelWidth/pixelHeight its dimensions
+        image(jpeg, { pixelWidth, pixelHeight, components = 3 }, left, top, drawWidth, drawHeight) {
+            images.push({ bytes: jpeg, width: pixelWidth, height: pixelHeight, components });
+            page.content.push(
+                `q ${formatPdfNumber(drawWidth)} 0 0 ${formatPdfNumber(drawHeight)} ` +
+                `${formatPdfNumber(left)} ${formatPdfNumber(y(top + drawHeight))} cm /Im${images.length} Do Q`
+            );
+            return doc;
+        },
+
+        toBytes() {
+            return serializePdf({ width, height, title, pages, images });
+        },
+
+        toBlob() {
+            return new Blob([doc.toBytes()], { type: 'application/pdf' });
+        }
+    };
+
+    return doc.addPage();
+}
+
+function serializePdf({ width, height, title, pages, images }) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (part) => {
+        const bytes = typeof part === 'string'
+            ? Uint8Array.from(part, char => char.charCodeAt(0) & 0xFF)
+            : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (number, body) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n`);
+        (Array.isArray(body) ? body : [body]).forEach(write);
+        write('\nendobj\n');
+    };
+
+    // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then pages
+    const firstImage = 6;
+    const firstPage = firstImage + images.length;
+    const pageNumbers = pages.map((_, i) => firstPage + i * 2);
+    const linkCount = pages.reduce((sum, p) => sum + p.links.length, 0);
+    const firstLink = firstPage + pages.length * 2;
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    object(5, `<< /Title ${toPdfTextString(title)} /Producer (Universal Blog Theme) >>`);
+
+    images.forEach((image, i) => {
+        const colorSpace = image.components === 1 ? '/DeviceGray' : '/DeviceRGB';
+        object(firstImage + i, [
+            `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+            image.bytes,
+            '\nendstream'
+        ]);
+    });
+
+    const xObjects = images.map((_, i) => `/Im${i + 1} ${firstImage + i} 0 R`).join(' ');
+    let link = firstLink;
+    pages.forEach((p, i) => {
+        const annots = p.links.map(() => `${link++} 0 R`);
+        const content = p.content.join('\n');
+        object(pageNumbers[i], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatPdfNumber(width)} ${formatPdfNumber(height)}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+            `/Contents ${pageNumbers[i] + 1} 0 R${annots.length ? ` /Annots [${annots.join(' ')}]` : ''} >>`);
+        object(pageNumbers[i] + 1, [`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream']);
+    });
+
+    link = firstLink;
+    pages.forEach(p => p.links.forEach(({ rect, url }) => {
+        object(link++, `<< /Type /Annot /Subtype /Link /Rect [${rect.map(formatPdfNumber).join(' ')}] /Border [0 0 0] ` +
+            `/A << /S /URI /URI (${escapePdfString(toPdfCodes(url))}) >> >>`);
+    }));
+
+    const objectCount = firstLink + linkCount;
+    const xref = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let i = 1; i < objectCount; i++) {
+        write(`${String(offsets[i]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const result = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, position);
+        position += chunk.length;
+    });
+    return result;
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PDF_PAGE_SIZES,
+        toPdfCodes,
+        measurePdfText,
+        wrapPdfText,
+        createPdfDocument
+    };
+}
@@ -0,0 +1,385 @@
+/**
+ * Universal Blog Theme - QR Code encoder
+ * Byte-mode QR codes (ISO/IEC 18004, versions 1-40) for short texts such as
+ * page URLs. Used by the printable recipe card and its PDF export in
+ * js/main.js; everything runs locally, so cards work offline.
+ *
+ *   const matrix = createQrMatrix('https://example.com/posts/x.html');
+ *   element.innerHTML = renderQrSvg(matrix, { label: 'Recipe link' });
+ */
+
+// Error correction level -> table row and the 2 bits stored in the format info
+const QR_EC_LEVELS = {
+    L: { row: 0, bits: 1 },  // ~7% of the code can be damaged
+    M: { row: 1, bits: 0 },  // ~15%
+    Q: { row: 2, bits: 3 },  // ~25%
+    H: { row: 3, bits: 2 }   // ~30%
+};
+
+// [level row][version]; index 0 is unused
+const QR_EC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const QR_EC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// (column, row) -> whether mask n flips that module
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+
+// ============================================
+// CAPACITY
+// ============================================
+// Modules left for data and error correction once the function patterns are drawn
+function getQrRawModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return modules;
+}
+
+function getQrDataCodewords(version, level) {
+    const { row } = QR_EC_LEVELS[level];
+    return Math.floor(getQrRawModules(version) / 8) -
+        QR_EC_CODEWORDS_PER_BLOCK[row][version] * QR_EC_BLOCKS[row][version];
+}
+
+function getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+
+// ============================================
+// REED-SOLOMON (GF(256), polynomial 0x11D)
+// ============================================
+function gfMultiply(a, b) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+        result = (result << 1) ^ ((result >>> 7) * 0x11D);
+        result ^= ((b >>> i) & 1) * a;
+    }
+    return result & 0xFF;
+}
+
+function getReedSolomonDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < divisor.length; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return divisor;
+}
+
+function getReedSolomonRemainder(data, divisor) {
+    const remainder = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => {
+            remainder[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return remainder;
+}
+
+
+// ============================================
+// ENCODING
+// ============================================
+function toUtf8Bytes(text) {
+    if (typeof TextEncoder !== 'undefined') return [...new TextEncoder().encode(text)];
+    return [...unescape(encodeURIComponent(text))].map(char => char.charCodeAt(0));
+}
+
+// Data codewords for `bytes` in the smallest version that fits
+function encodeQrData(bytes, level, minVersion) {
+    for (let version = minVersion; version <= 40; version++) {
+        const capacity = getQrDataCodewords(version, level) * 8;
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 > capacity) continue;
+
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0b0100, 4); // byte mode
+        push(bytes.length, countBits);
+        bytes.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacity - bits.length)); // terminator
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return { version, codewords };
+    }
+    throw new Error('Text is too long for a QR code');
+}
+
+// Split into blocks, add error correction to each, then interleave
+function addQrErrorCorrection(data, version, level) {
+    const { row } = QR_EC_LEVELS[level];
+    const blockCount = QR_EC_BLOCKS[row][version];
+    const ecLength = QR_EC_CODEWORDS_PER_BLOCK[row][version];
+    const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getReedSolomonDivisor(ecLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const length = shortLength - ecLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        const ec = getReedSolomonRemainder(block, divisor);
+        if (i < shortBlocks) block.push(0); // placeholder, skipped below
+        blocks.push(block.concat(ec));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortLength - ecLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+
+// ============================================
+// MATRIX
+// ============================================
+function createQrGrid(version) {
+    const size = version * 4 + 17;
+    const grid = {
+        size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+    grid.set = (x, y, dark) => {
+        grid.modules[y][x] = dark;
+        grid.reserved[y][x] = true;
+    };
+    return grid;
+}
+
+function drawQrFunctionPatterns(grid, version) {
+    const { size, set } = grid;
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their light separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    const positions = getQrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+        // Not on top of the finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    drawQrFormatBits(grid, 'L', 0); // reserves the area; redrawn once the mask is known
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+}
+
+function drawQrFormatBits(grid, level, mask) {
+    const { size, set } = grid;
+    const data = (QR_EC_LEVELS[level].bits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true); // always dark
+}
+
+// Zigzag up and down two-module columns from the right, skipping the timing column
+function drawQrCodewords(grid, codewords) {
+    const { size, modules, reserved } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (reserved[y][x] || i >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                i++;
+            }
+        }
+    }
+}
+
+function applyQrMask(grid, mask) {
+    const test = QR_MASKS[mask];
+    grid.modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!grid.reserved[y][x] && test(x, y)) row[x] = !dark;
+    }));
+}
+
+// Lower is easier to scan (ISO/IEC 18004 section 7.8.3)
+function getQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    const lines = [
+        ...modules,
+        ...modules.map((_, x) => modules.map(row => row[x]))
+    ];
+
+    lines.forEach(line => {
+        // Runs of five or more modules of one color
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+        // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        for (let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)) {
+            const before = text.slice(Math.max(0, i - 4), i);
+            const after = text.slice(i + 7, i + 11);
+            if ((i >= 4 && before === '0000') || (i + 11 <= size && after === '0000')) penalty += 40;
+        }
+    });
+
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += 10 * Math.floor(Math.abs(dark * 100 / total - 50) / 5);
+    return penalty;
+}
+
+/**
+ * Encode `text` as a QR code. Returns rows of booleans (true = dark module),
+ * without the quiet zone. `level` is 'L', 'M', 'Q' or 'H'; `mask` (0-7)
+ * skips the search for the most readable one.
+ */
+function createQrMatrix(text, { level = 'M', minVersion = 1, mask = null } = {}) {
+    if (!QR_EC_LEVELS[level]) throw new Error(`Unknown error correction level "${level}"`);
+
+    const { version, codewords } = encodeQrData(toUtf8Bytes(String(text)), level, minVersion);
+    const data = addQrErrorCorrection(codewords, version, level);
+
+    let best = null;
+    const masks = mask === null ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask];
+    masks.forEach(candidate => {
+        const grid = createQrGrid(version);
+        drawQrFunctionPatterns(grid, version);
+        drawQrCodewords(grid, data);
+        applyQrMask(grid, candidate);
+        drawQrFormatBits(grid, level, candidate);
+        const penalty = masks.length > 1 ? getQrPenalty(grid.modules) : 0;
+        if (!best || penalty < best.penalty) best = { modules: grid.modules, penalty };
+    });
+    return best.modules;
+}
+
+// SVG markup: one path for the dark modules plus a 4-module quiet zone
+function renderQrSvg(matrix, { margin = 4, label = 'QR code' } = {}) {
+    const size = matrix.length + margin * 2;
+    let path = '';
+    matrix.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+    }));
+    const safeLabel = String(label).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" role="img" aria-label="${safeLabel}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createQrMatrix,
+        renderQrSvg,
+        getQrDataCodewords
+    };
+}
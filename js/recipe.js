@@ -0,0 +1,1036 @@
+/**
+ * Universal Blog Theme - Recipe Data Model
+ * Shared by the browser (loaded before main.js) and the Node build scripts.
+ *
+ * A post may carry an optional `recipe` object next to `content`:
+ *
+ *   recipe: {
+ *       prepTime: 10,              // minutes
+ *       cookTime: 20,              // minutes
+ *       totalTime: 30,             // minutes, defaults to prepTime + cookTime
+ *       yield: '4 servings',       // free text shown to readers
+ *       servings: 4,               // numeric yield (used for scaling)
+ *       cuisine: 'Chinese',
+ *       diet: ['gluten-free'],     // see RECIPE_DIETS
+ *       mainIngredient: 'chicken', // guessed from the title when missing
+ *       ingredients: [             // strings or { quantity, unit, name, note }
+ *           { quantity: 2, unit: 'cup', name: 'cooked jasmine rice', note: 'day-old' }
+ *       ],
+ *       nutrition: {               // schema.org NutritionInformation keys
+ *           calories: '520 kcal',
+ *           proteinContent: '32 g'
+ *       }
+ *   }
+ *
+ * Posts without `recipe` fall back to `content.ingredients` / `content.steps`.
+ * Posts may also carry `tags: ['weeknight', 'one-pan']`.
+ */
+
+// ============================================
+// INGREDIENT PARSING
+// ============================================
+// Canonical unit -> accepted spellings
+const RECIPE_UNITS = {
+    cup: ['cup', 'cups', 'c'],
+    tbsp: ['tbsp', 'tbsps', 'tablespoon', 'tablespoons', 'tbs', 'tbl'],
+    tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+    oz: ['oz', 'ounce', 'ounces'],
+    lb: ['lb', 'lbs', 'pound', 'pounds'],
+    g: ['g', 'gram', 'grams'],
+    kg: ['kg', 'kilogram', 'kilograms'],
+    ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+    l: ['l', 'liter', 'liters', 'litre', 'litres'],
+    clove: ['clove', 'cloves'],
+    inch: ['inch', 'inches', 'in'],
+    cm: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+    pinch: ['pinch', 'pinches'],
+    dash: ['dash', 'dashes'],
+    can: ['can', 'cans'],
+    slice: ['slice', 'slices'],
+    piece: ['piece', 'pieces'],
+    stalk: ['stalk', 'stalks'],
+    sprig: ['sprig', 'sprigs'],
+    bunch: ['bunch', 'bunches'],
+    handful: ['handful', 'handfuls'],
+    package: ['package', 'packages', 'pkg'],
+    pint: ['pint', 'pints'],
+    quart: ['quart', 'quarts']
+};
+
+const UNIT_LOOKUP = Object.keys(RECIPE_UNITS).reduce((lookup, unit) => {
+    RECIPE_UNITS[unit].forEach(alias => { lookup[alias] = unit; });
+    return lookup;
+}, {});
+
+const UNICODE_FRACTIONS = {
+    '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3,
+    '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875
+};
+
+// Words that start the preparation note after a comma ("garlic, minced")
+const PREP_NOTE_PATTERN = /^(to taste|for\b|optional|divided|cut\b|at room|or more|plus\b|about\b|[a-z]+ly\b|[a-z]+ed\b)/i;
+
+// "1", "1.5", "1/2", "1 1/2", "½", "1½" -> number
+function parseQuantity(text) {
+    if (!text) return null;
+    const value = text.trim().replace(/(\d)\s*([¼½¾⅓⅔⅛⅜⅝⅞])/, '$1 $2');
+
+    let total = 0;
+    let matched = false;
+    value.split(/\s+/).forEach(part => {
+        if (UNICODE_FRACTIONS[part] !== undefined) {
+            total += UNICODE_FRACTIONS[part];
+            matched = true;
+        } else if (/^\d+\/\d+$/.test(part)) {
+            const [num, den] = part.split('/').map(Number);
+            if (den) {
+                total += num / den;
+                matched = true;
+            }
+        } else if (/^\d+(\.\d+)?$/.test(part)) {
+            total += parseFloat(part);
+            matched = true;
+        }
+    });
+
+    return matched ? total : null;
+}
+
+const QUANTITY_SOURCE = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?\\s*[¼½¾⅓⅔⅛⅜⅝⅞]?|[¼½¾⅓⅔⅛⅜⅝⅞])';
+const LEADING_QUANTITY = new RegExp(
+    `^(${QUANTITY_SOURCE})(?:\\s*(?:-|–|to)\\s*(${QUANTITY_SOURCE}))?(?![\\w/-])\\s*`,
+    'i'
+);
+
+/**
+ * Parse one ingredient line into { text, quantity, quantityMax, unit, name, note, rest }.
+ * `rest` is the line with the amount and unit removed, used when re-rendering
+ * a scaled line. Lines without a leading amount ("Salt to taste") keep
+ * quantity/unit null.
+ */
+function parseIngredient(line) {
+    const text = String(line || '').replace(/\s+/g, ' ').trim();
+    const result = { text, quantity: null, quantityMax: null, unit: null, name: text, note: '', rest: text };
+    if (!text) return result;
+
+    let rest = text;
+    const quantityMatch = rest.match(LEADING_QUANTITY);
+    if (quantityMatch) {
+        result.quantity = parseQuantity(quantityMatch[1]);
+        result.quantityMax = quantityMatch[2] ? parseQuantity(quantityMatch[2]) : null;
+        rest = rest.slice(quantityMatch[0].length);
+    }
+
+    const unitMatch = rest.match(/^([a-z]+)\.?\s+/i);
+    if (unitMatch && UNIT_LOOKUP[unitMatch[1].toLowerCase()]) {
+        // "Pinch of salt" has an implied quantity of 1
+        result.unit = UNIT_LOOKUP[unitMatch[1].toLowerCase()];
+        if (result.quantity === null) result.quantity = 1;
+        rest = rest.slice(unitMatch[0].length);
+    }
+    result.rest = rest;
+    rest = rest.replace(/^of\s+/i, '');
+
+    // Parentheticals become notes: "soy sauce (optional, for umami)"
+    const notes = [];
+    rest = rest.replace(/\s*\(([^)]*)\)/g, (_, inner) => {
+        notes.push(inner.trim());
+        return '';
+    }).trim();
+
+    // Split "boneless, skinless chicken, cut into pieces" at the first prep note
+    const segments = rest.split(/,\s*/);
+    const noteIndex = segments.findIndex((segment, i) => i > 0 && PREP_NOTE_PATTERN.test(segment));
+    let name = (noteIndex > 0 ? segments.slice(0, noteIndex).join(', ') : rest).replace(/,\s*$/, '').trim();
+    if (noteIndex > 0) notes.push(segments.slice(noteIndex).join(', '));
+
+    const toTaste = name.match(/\s+(to taste|as needed)$/i);
+    if (toTaste) {
+        notes.unshift(toTaste[1].toLowerCase());
+        name = name.slice(0, toTaste.index);
+    }
+
+    result.name = name;
+    result.note = notes.filter(Boolean).join('; ');
+    return result;
+}
+
+// Accepts strings or already-structured ingredient objects
+function normalizeIngredient(ingredient) {
+    if (typeof ingredient === 'string') return parseIngredient(ingredient);
+
+    const parsed = {
+        text: '',
+        quantity: null,
+        quantityMax: null,
+        unit: null,
+        name: '',
+        note: '',
+        ...ingredient
+    };
+    if (parsed.unit) parsed.unit = UNIT_LOOKUP[String(parsed.unit).toLowerCase()] || parsed.unit;
+    if (!parsed.text) parsed.text = formatIngredientText(parsed);
+    return parsed;
+}
+
+function formatIngredientText(ingredient) {
+    const parts = [];
+    if (ingredient.quantity !== null && ingredient.quantity !== undefined) {
+        parts.push(ingredient.quantityMax
+            ? `${formatQuantity(ingredient.quantity)}-${formatQuantity(ingredient.quantityMax)}`
+            : formatQuantity(ingredient.quantity));
+    }
+    if (ingredient.unit) parts.push(ingredient.unit);
+    if (ingredient.name) parts.push(ingredient.name);
+    const text = parts.join(' ');
+    return ingredient.note ? `${text}, ${ingredient.note}` : text;
+}
+
+function formatQuantity(value) {
+    if (value === null || value === undefined) return '';
+    return String(Math.round(value * 100) / 100);
+}
+
+
+// ============================================
+// SCALING & UNIT CONVERSION
+// ============================================
+// US unit -> metric equivalent
+const TO_METRIC = {
+    cup: { unit: 'ml', factor: 236.59 },
+    tbsp: { unit: 'ml', factor: 14.79 },
+    tsp: { unit: 'ml', factor: 4.93 },
+    pint: { unit: 'ml', factor: 473.18 },
+    quart: { unit: 'ml', factor: 946.35 },
+    oz: { unit: 'g', factor: 28.35 },
+    lb: { unit: 'g', factor: 453.59 },
+    inch: { unit: 'cm', factor: 2.54 }
+};
+
+const METRIC_UNITS = ['g', 'kg', 'ml', 'l', 'cm'];
+
+// Grams per US cup for dry goods readers weigh rather than measure
+const CUP_WEIGHTS = [
+    [/\bcooked\b.*\brice\b/i, 175],
+    [/\brice\b/i, 185],
+    [/\bbrown sugar\b/i, 220],
+    [/\bsugar\b/i, 200],
+    [/\bflour\b/i, 125],
+    [/\bbutter\b/i, 227],
+    [/\bparmesan\b/i, 100],
+    [/\bcheese\b/i, 113],
+    [/\bpeas\b/i, 145],
+    [/\bcarrots?\b/i, 130],
+    [/\b(onions?|shallots?)\b/i, 160]
+];
+
+const UNIT_PLURALS = {
+    cup: 'cups',
+    clove: 'cloves',
+    inch: 'inches',
+    pinch: 'pinches',
+    dash: 'dashes',
+    can: 'cans',
+    slice: 'slices',
+    piece: 'pieces',
+    stalk: 'stalks',
+    sprig: 'sprigs',
+    bunch: 'bunches',
+    handful: 'handfuls',
+    package: 'packages',
+    pint: 'pints',
+    quart: 'quarts'
+};
+
+// Fractions cooks actually measure with
+const NICE_FRACTIONS = [
+    [0, ''], [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [1 / 2, '1/2'],
+    [2 / 3, '2/3'], [3 / 4, '3/4'], [1, '']
+];
+
+// How far a value may be from a fraction and still print as it: this share
+// of the fraction itself, so 0.1 stays "0.1" instead of becoming "1/8"
+const FRACTION_TOLERANCE = 0.1;
+// ...and never more than this, also the limit for rounding to a whole number
+const MAX_FRACTION_ERROR = 0.05;
+
+// Measured by feel: a pinch stays a pinch however many servings
+const UNSCALED_UNITS = ['pinch', 'dash'];
+
+// The last word of a counted name ("2 large eggs") follows the amount
+const SINGULAR_RULES = [
+    [/(lea|loa|hal)ves$/i, '$1f'],
+    [/([^aeiou])ies$/i, '$1y'],
+    [/(ch|sh|x|o)es$/i, '$1'],
+    [/([^su])s$/i, '$1']
+];
+const PLURAL_RULES = [
+    [/(lea|loa|hal)f$/i, '$1ves'],
+    [/([^aeiou])y$/i, '$1ies'],
+    [/(ch|sh|x|tomato|potato)$/i, '$1es'],
+    [/([^s])$/i, '$1s']
+];
+
+function scaleIngredient(ingredient, factor) {
+    if (ingredient.quantity === null || factor === 1) return { ...ingredient };
+    return {
+        ...ingredient,
+        quantity: ingredient.quantity * factor,
+        quantityMax: ingredient.quantityMax !== null ? ingredient.quantityMax * factor : null
+    };
+}
+
+function getUnitSystem(unit) {
+    if (METRIC_UNITS.includes(unit)) return 'metric';
+    if (TO_METRIC[unit]) return 'us';
+    return null;
+}
+
+/**
+ * Convert an ingredient to 'us' or 'metric'. Cups of dry goods become grams
+ * when a weight is known; anything without a convertible unit is returned as-is.
+ */
+function convertIngredient(ingredient, system) {
+    const from = getUnitSystem(ingredient.unit);
+    if (ingredient.quantity === null || !from || from === system) return { ...ingredient };
+
+    const convert = (value, fn) => (value === null ? null : fn(value));
+
+    if (system === 'metric') {
+        const target = TO_METRIC[ingredient.unit];
+        const cupWeight = target.unit === 'ml' && CUP_WEIGHTS.find(([pattern]) => pattern.test(ingredient.name));
+        if (cupWeight) {
+            const gramsPerUnit = cupWeight[1] * (target.factor / TO_METRIC.cup.factor);
+            return {
+                ...ingredient,
+                unit: 'g',
+                quantity: convert(ingredient.quantity, v => v * gramsPerUnit),
+                quantityMax: convert(ingredient.quantityMax, v => v * gramsPerUnit)
+            };
+        }
+        return {
+            ...ingredient,
+            unit: target.unit,
+            quantity: convert(ingredient.quantity, v => v * target.factor),
+            quantityMax: convert(ingredient.quantityMax, v => v * target.factor)
+        };
+    }
+
+    // Metric -> US: pick the unit that keeps the number readable
+    const base = { g: ['g', 1], kg: ['g', 1000], ml: ['ml', 1], l: ['ml', 1000], cm: ['cm', 1] }[ingredient.unit];
+    const amount = ingredient.quantity * base[1];
+    let unit;
+    if (base[0] === 'g') {
+        unit = amount < TO_METRIC.lb.factor ? 'oz' : 'lb';
+    } else if (base[0] === 'cm') {
+        unit = 'inch';
+    } else if (amount < TO_METRIC.tbsp.factor) {
+        unit = 'tsp';
+    } else if (amount < TO_METRIC.cup.factor / 4) {
+        unit = 'tbsp';
+    } else {
+        unit = 'cup';
+    }
+
+    const factor = base[1] / TO_METRIC[unit].factor;
+    return {
+        ...ingredient,
+        unit,
+        quantity: convert(ingredient.quantity, v => v * factor),
+        quantityMax: convert(ingredient.quantityMax, v => v * factor)
+    };
+}
+
+// 1.5 -> "1 1/2", 0.33 -> "1/3"; falls back to decimals (0.1 -> "0.1")
+function formatFraction(value) {
+    const whole = Math.floor(value);
+    const remainder = value - whole;
+
+    const [fraction, label] = NICE_FRACTIONS.reduce((best, candidate) =>
+        Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best
+    );
+
+    const tolerance = label ? Math.min(fraction * FRACTION_TOLERANCE, MAX_FRACTION_ERROR) : MAX_FRACTION_ERROR;
+    const result = fraction === 1 ? whole + 1 : whole;
+    if (Math.abs(fraction - remainder) > tolerance || (!label && result === 0)) {
+        return String(value < 1 ? Math.round(value * 100) / 100 : Math.round(value * 10) / 10);
+    }
+    if (!label) return String(result);
+    return whole > 0 ? `${whole} ${label}` : label;
+}
+
+function formatMetric(value) {
+    if (value >= 100) return String(Math.round(value / 5) * 5);
+    if (value >= 10) return String(Math.round(value));
+    return String(Math.round(value * 10) / 10);
+}
+
+// "1 1/2 cups", "350 g", "4-6 cloves"
+function formatIngredientAmount(ingredient) {
+    if (ingredient.quantity === null) return '';
+
+    const format = getUnitSystem(ingredient.unit) === 'metric' ? formatMetric : formatFraction;
+    const amount = ingredient.quantityMax !== null
+        ? `${format(ingredient.quantity)}-${format(ingredient.quantityMax)}`
+        : format(ingredient.quantity);
+
+    if (!ingredient.unit) return amount;
+    const plural = (ingredient.quantityMax || ingredient.quantity) > 1 && UNIT_PLURALS[ingredient.unit];
+    return `${amount} ${plural || ingredient.unit}`;
+}
+
+function inflectWord(word, rules) {
+    const rule = rules.find(([pattern]) => pattern.test(word));
+    return rule ? word.replace(rule[0], rule[1]) : word;
+}
+
+// `ingredient.rest` with a counted name in the singular or plural for
+// `amount`: "1 large egg", "3 large eggs". Names after a unit stay as written.
+function inflectCountedName(ingredient, amount) {
+    const { rest, name } = ingredient;
+    const start = name ? rest.indexOf(name) : -1;
+    if (ingredient.unit || start < 0) return rest;
+
+    const rules = amount > 1 ? PLURAL_RULES : SINGULAR_RULES;
+    const inflected = name.replace(/[a-z]+$/i, word => inflectWord(word, rules));
+    return rest.slice(0, start) + inflected + rest.slice(start + name.length);
+}
+
+// "Salt, to taste" is seasoned by feel: scaled, but never turned into "2.5 ml"
+function isSeasonedToTaste(ingredient) {
+    return /\b(to taste|as needed)\b/i.test(ingredient.text);
+}
+
+/**
+ * Render a parsed ingredient line scaled by `factor` in the given unit system.
+ * Lines without an amount or measured by the pinch come back unchanged, and
+ * lines seasoned to taste keep their units.
+ */
+function formatScaledIngredient(ingredient, factor, system) {
+    if (ingredient.quantity === null || UNSCALED_UNITS.includes(ingredient.unit)) return ingredient.text;
+    const from = getUnitSystem(ingredient.unit);
+    const target = isSeasonedToTaste(ingredient) ? from : system;
+    const unchanged = factor === 1 && (!from || from === target);
+    if (unchanged) return ingredient.text;
+
+    const converted = convertIngredient(scaleIngredient(ingredient, factor), target);
+    const rest = inflectCountedName(ingredient, converted.quantityMax || converted.quantity);
+    return `${formatIngredientAmount(converted)} ${rest}`.trim();
+}
+
+
+// ============================================
+// RECIPE MODEL
+// ============================================
+/**
+ * Merge `post.recipe` with the plain `post.content` arrays into one shape:
+ * { prepTime, cookTime, totalTime, yield, servings, cuisine, diet[], ingredients[], steps[], nutrition }
+ */
+function getRecipeData(post) {
+    const recipe = (post && post.recipe) || {};
+    const content = (post && post.content) || {};
+
+    const ingredients = (recipe.ingredients && recipe.ingredients.length
+        ? recipe.ingredients
+        : content.ingredients || []).map(normalizeIngredient);
+
+    const prepTime = toMinutes(recipe.prepTime);
+    const cookTime = toMinutes(recipe.cookTime);
+    const totalTime = toMinutes(recipe.totalTime) ||
+        (prepTime || cookTime ? (prepTime || 0) + (cookTime || 0) : null);
+
+    const servings = recipe.servings || parseQuantity(String(recipe.yield || '').match(/\d+/)?.[0]) || null;
+
+    return {
+        prepTime,
+        cookTime,
+        totalTime,
+        yield: recipe.yield || (servings ? `${servings} servings` : null),
+        servings,
+        cuisine: recipe.cuisine || null,
+        diet: [].concat(recipe.diet || []).map(diet => tokenize(diet).join('-')).filter(Boolean),
+        ingredients,
+        steps: recipe.steps || content.steps || [],
+        nutrition: recipe.nutrition || null
+    };
+}
+
+// Accepts minutes (number/"15") or ISO 8601 durations ("PT1H15M")
+function toMinutes(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+    const iso = String(value).match(/^P(?:T(?:(\d+)H)?(?:(\d+)M)?)$/i);
+    if (iso) return (parseInt(iso[1] || 0, 10) * 60) + parseInt(iso[2] || 0, 10);
+    const minutes = parseInt(value, 10);
+    return isNaN(minutes) ? null : minutes;
+}
+
+function toIsoDuration(minutes) {
+    if (!minutes) return undefined;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+}
+
+// 75 -> "1 hr 15 min", for people rather than search engines
+function formatDuration(minutes) {
+    if (!minutes) return '';
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    return [hours ? `${hours} hr` : '', rest ? `${rest} min` : ''].filter(Boolean).join(' ');
+}
+
+
+// ============================================
+// FACETS (homepage filter panel)
+// ============================================
+/**
+ * Besides its one `category`, a post can be browsed by tags, cuisine, diet,
+ * main ingredient and total time. The keys below are also the homepage URL
+ * parameters (?diet=vegetarian&time=under-30-min). A `match: 'all'` facet
+ * narrows the list with every value ticked; an 'any' facet widens it.
+ */
+const RECIPE_FACETS = {
+    time: { label: 'Total time', match: 'any' },
+    diet: { label: 'Diet', match: 'all' },
+    cuisine: { label: 'Cuisine', match: 'any' },
+    ingredient: { label: 'Main ingredient', match: 'any' },
+    tag: { label: 'Tags', match: 'all' }
+};
+
+// Total time buckets, in panel order; `max` minutes is included
+const RECIPE_TIME_RANGES = [
+    { label: 'Under 30 min', max: 30 },
+    { label: '30 to 60 min', max: 60 },
+    { label: 'Over 1 hour', max: Infinity }
+];
+
+// recipe.diet values readers filter by, with their schema.org suitableForDiet
+const RECIPE_DIETS = {
+    vegetarian: { label: 'Vegetarian', schema: 'https://schema.org/VegetarianDiet' },
+    vegan: { label: 'Vegan', schema: 'https://schema.org/VeganDiet' },
+    'gluten-free': { label: 'Gluten-free', schema: 'https://schema.org/GlutenFreeDiet' },
+    'dairy-free': { label: 'Dairy-free' },
+    'low-calorie': { label: 'Low-calorie', schema: 'https://schema.org/LowCalorieDiet' },
+    'low-fat': { label: 'Low-fat', schema: 'https://schema.org/LowFatDiet' },
+    halal: { label: 'Halal', schema: 'https://schema.org/HalalDiet' },
+    kosher: { label: 'Kosher', schema: 'https://schema.org/KosherDiet' }
+};
+
+// Looked for in the title, in this order, when recipe.mainIngredient is missing
+// ("Chicken Egg Fried Rice" is a chicken dish)
+const MAIN_INGREDIENTS = [
+    'chicken', 'beef', 'pork', 'lamb', 'turkey', 'duck', 'shrimp', 'salmon', 'tuna', 'fish',
+    'tofu', 'egg', 'mushroom', 'lentil', 'chickpea', 'bean', 'potato', 'pasta', 'noodle', 'rice'
+];
+
+function guessMainIngredient(title) {
+    const terms = new Set(tokenize(title).map(stemToken));
+    return MAIN_INGREDIENTS.find(name => terms.has(name)) || null;
+}
+
+/**
+ * { time, diet, cuisine, ingredient, tag } -> arrays of display values.
+ * Index entries carry them precomputed as `facets` (empty ones left out).
+ */
+function getPostFacets(post) {
+    if (post.facets) return post.facets;
+
+    const recipe = getRecipeData(post);
+    const totalTime = recipe.totalTime || toMinutes(post.totalTime);
+    const range = totalTime ? RECIPE_TIME_RANGES.find(r => totalTime <= r.max) : null;
+    const ingredient = (post.recipe && post.recipe.mainIngredient) || guessMainIngredient(post.title);
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+    return {
+        time: range ? [range.label] : [],
+        diet: recipe.diet.map(diet => (RECIPE_DIETS[diet] ? RECIPE_DIETS[diet].label : capitalize(diet))),
+        cuisine: recipe.cuisine ? [recipe.cuisine] : [],
+        ingredient: ingredient ? [capitalize(String(ingredient).toLowerCase())] : [],
+        tag: (post.tags || []).map(String)
+    };
+}
+
+// { facet: [{ value, count }] }: time in RECIPE_TIME_RANGES order, the rest
+// most common first
+function countFacets(posts) {
+    const counts = {};
+    Object.keys(RECIPE_FACETS).forEach(key => { counts[key] = new Map(); });
+
+    posts.forEach(post => {
+        const facets = getPostFacets(post);
+        Object.keys(RECIPE_FACETS).forEach(key => {
+            new Set(facets[key] || []).forEach(value => {
+                counts[key].set(value, (counts[key].get(value) || 0) + 1);
+            });
+        });
+    });
+
+    const timeOrder = RECIPE_TIME_RANGES.map(range => range.label);
+    const result = {};
+    Object.keys(counts).forEach(key => {
+        result[key] = [...counts[key]]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => (key === 'time'
+                ? timeOrder.indexOf(a.value) - timeOrder.indexOf(b.value)
+                : b.count - a.count || a.value.localeCompare(b.value)));
+    });
+    return result;
+}
+
+
+// ============================================
+// SHOPPING LIST
+// ============================================
+// First match wins, so specific patterns ("garlic powder", "chicken broth")
+// come before the generic ones ("garlic", "chicken")
+const AISLES = [
+    ['Frozen', /\bfrozen\b/i],
+    ['Spices & Seasonings', /\b(salt|pepper|powder|flakes|thyme|rosemary|oregano|basil|paprika|cumin|seasoning|sesame seeds)\b/i],
+    ['Pantry', /\b(rice|pasta|penne|noodles?|ramen|flour|sugar|cornstarch|broth|stock|water|honey)\b/i],
+    ['Oils, Sauces & Condiments', /\b(oil|sauce|vinegar|tamari|ketchup|mustard|mayo)\b/i],
+    ['Meat & Seafood', /\b(chicken|beef|pork|turkey|lamb|bacon|sausage|shrimp|fish|salmon)\b/i],
+    ['Dairy & Eggs', /\b(eggs?|milk|cream|butter|cheese|cheddar|mozzarella|parmesan|yogurt)\b/i],
+    ['Produce', /\b(garlic|onions?|scallions?|shallots?|ginger|carrots?|celery|peas|cilantro|parsley|lemon|lime|tomato(es)?|potato(es)?|peppers?|spinach|mushrooms?)\b/i]
+];
+const DEFAULT_AISLE = 'Other';
+
+// Units that can be added together, expressed in a base unit
+const UNIT_FAMILIES = {
+    tsp: ['volume', 1], tbsp: ['volume', 3], cup: ['volume', 48],
+    pint: ['volume', 96], quart: ['volume', 192],
+    ml: ['volume', 1 / TO_METRIC.tsp.factor], l: ['volume', 1000 / TO_METRIC.tsp.factor],
+    oz: ['weight', 1], lb: ['weight', 16],
+    g: ['weight', 1 / TO_METRIC.oz.factor], kg: ['weight', 1000 / TO_METRIC.oz.factor]
+};
+
+const NAME_DESCRIPTORS = /^(fresh|freshly|large|medium|small|finely|roughly|chopped|minced|diced|grated|shredded|sliced|ground)\s+/i;
+
+function getAisle(name) {
+    const match = AISLES.find(([, pattern]) => pattern.test(name));
+    return match ? match[0] : DEFAULT_AISLE;
+}
+
+// "Fresh minced Garlic" and "garlic" share the key "garlic"
+function getIngredientKey(name) {
+    let key = name.toLowerCase().trim();
+    while (NAME_DESCRIPTORS.test(key)) key = key.replace(NAME_DESCRIPTORS, '');
+    return key.replace(/(?<=[a-z]{3})(es|s)$/, '').replace(/\s+/g, ' ');
+}
+
+// Pick the largest readable unit for a summed base amount
+function fromBaseUnit(family, amount) {
+    if (family === 'volume') {
+        if (amount >= 12) return { unit: 'cup', quantity: amount / 48 };
+        if (amount >= 3) return { unit: 'tbsp', quantity: amount / 3 };
+        return { unit: 'tsp', quantity: amount };
+    }
+    return amount >= 16 ? { unit: 'lb', quantity: amount / 16 } : { unit: 'oz', quantity: amount };
+}
+
+/**
+ * Merge ingredient lines from several recipes into one list grouped by aisle.
+ * `recipes` is [{ title, ingredients: [string | object] }]. Duplicates such as
+ * "2 cloves garlic" + "4-6 cloves garlic" are summed when their units are compatible.
+ * Returns [{ aisle, items: [{ key, name, text, sources }] }].
+ */
+function buildShoppingList(recipes) {
+    const entries = new Map();
+
+    recipes.forEach(recipe => {
+        (recipe.ingredients || []).map(normalizeIngredient).forEach(ingredient => {
+            if (!ingredient.name) return;
+
+            const family = UNIT_FAMILIES[ingredient.unit];
+            const unitKey = ingredient.quantity === null ? 'none' : (family ? family[0] : ingredient.unit || 'count');
+            const key = `${getIngredientKey(ingredient.name)}|${unitKey}`;
+
+            if (!entries.has(key)) {
+                entries.set(key, {
+                    key,
+                    name: ingredient.name,
+                    unit: family ? null : ingredient.unit,
+                    family: family ? family[0] : null,
+                    quantity: ingredient.quantity === null ? null : 0,
+                    quantityMax: null,
+                    sources: []
+                });
+            }
+
+            const entry = entries.get(key);
+            if (recipe.title && !entry.sources.includes(recipe.title)) entry.sources.push(recipe.title);
+            if (ingredient.quantity === null) return;
+
+            const toBase = family ? family[1] : 1;
+            const min = ingredient.quantity * toBase;
+            const max = (ingredient.quantityMax !== null ? ingredient.quantityMax : ingredient.quantity) * toBase;
+            // Track the upper bound separately once any range is involved
+            if (ingredient.quantityMax !== null && entry.quantityMax === null) entry.quantityMax = entry.quantity;
+            entry.quantity += min;
+            if (entry.quantityMax !== null) entry.quantityMax += max;
+        });
+    });
+
+    const groups = new Map();
+    entries.forEach(entry => {
+        let item = { quantity: entry.quantity, quantityMax: entry.quantityMax, unit: entry.unit };
+        if (entry.family && entry.quantity !== null) {
+            const converted = fromBaseUnit(entry.family, entry.quantityMax || entry.quantity);
+            const ratio = converted.quantity / (entry.quantityMax || entry.quantity);
+            item = {
+                unit: converted.unit,
+                quantity: entry.quantity * ratio,
+                quantityMax: entry.quantityMax !== null ? converted.quantity : null
+            };
+        }
+
+        const amount = formatIngredientAmount({ ...item, quantity: item.quantity });
+        const aisle = getAisle(entry.name);
+        if (!groups.has(aisle)) groups.set(aisle, []);
+        groups.get(aisle).push({
+            key: entry.key,
+            name: entry.name,
+            text: amount ? `${amount} ${entry.name}` : entry.name,
+            sources: entry.sources
+        });
+    });
+
+    const aisleOrder = [...AISLES.map(([aisle]) => aisle), DEFAULT_AISLE];
+    return [...groups.entries()]
+        .sort((a, b) => aisleOrder.indexOf(a[0]) - aisleOrder.indexOf(b[0]))
+        .map(([aisle, items]) => ({
+            aisle,
+            items: items.sort((a, b) => a.name.localeCompare(b.name))
+        }));
+}
+
+// Plain-text version for copying into notes apps / messages
+function formatShoppingListText(groups, title = 'Shopping list') {
+    const lines = [title];
+    groups.forEach(group => {
+        lines.push('', group.aisle.toUpperCase());
+        group.items.forEach(item => lines.push(`- ${item.text}`));
+    });
+    return lines.join('\n');
+}
+
+
+// ============================================
+// STEP DURATIONS
+// ============================================
+const DURATION_UNITS = {
+    sec: 1, secs: 1, second: 1, seconds: 1,
+    min: 60, mins: 60, minute: 60, minutes: 60,
+    hr: 3600, hrs: 3600, hour: 3600, hours: 3600
+};
+
+/**
+ * Find durations in step text: "2-3 minutes", "30 seconds", "1 hour".
+ * Returns [{ text, index, seconds, maxSeconds }]; ranges time the lower bound
+ * so the cook checks early rather than late.
+ */
+function parseDurations(text) {
+    const pattern = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?)\b/gi;
+    const durations = [];
+    let match;
+
+    while ((match = pattern.exec(text || '')) !== null) {
+        const unitSeconds = DURATION_UNITS[match[3].toLowerCase()];
+        durations.push({
+            text: match[0],
+            index: match.index,
+            seconds: Math.round(parseFloat(match[1]) * unitSeconds),
+            maxSeconds: match[2] ? Math.round(parseFloat(match[2]) * unitSeconds) : null
+        });
+    }
+
+    return durations;
+}
+
+
+// ============================================
+// SCHEMA.ORG JSON-LD
+// ============================================
+/**
+ * Build a schema.org Recipe object for a post.
+ * `pageUrl` is the canonical URL; image paths are resolved against it.
+ * `post.rating` ({ ratingValue, ratingCount }, see summarizeRatings) becomes
+ * aggregateRating.
+ */
+function buildRecipeJsonLd(post, pageUrl) {
+    const recipe = getRecipeData(post);
+    const resolve = (url) => {
+        if (!url) return undefined;
+        try {
+            return new URL(url, pageUrl).href;
+        } catch (error) {
+            return url;
+        }
+    };
+
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        name: post.title,
+        description: post.excerpt || undefined,
+        image: post.image ? [resolve(post.image)] : undefined,
+        datePublished: post.date || undefined,
+        url: pageUrl,
+        inLanguage: post.lang || undefined,
+        recipeCategory: post.category || undefined,
+        recipeCuisine: recipe.cuisine || undefined,
+        suitableForDiet: recipe.diet
+            .filter(diet => RECIPE_DIETS[diet] && RECIPE_DIETS[diet].schema)
+            .map(diet => RECIPE_DIETS[diet].schema),
+        prepTime: toIsoDuration(recipe.prepTime),
+        cookTime: toIsoDuration(recipe.cookTime),
+        totalTime: toIsoDuration(recipe.totalTime),
+        recipeYield: recipe.yield || undefined,
+        recipeIngredient: recipe.ingredients.map(ingredient => ingredient.text),
+        recipeInstructions: recipe.steps.map((step, index) => ({
+            '@type': 'HowToStep',
+            position: index + 1,
+            text: step
+        }))
+    };
+
+    if (recipe.nutrition) {
+        jsonLd.nutrition = { '@type': 'NutritionInformation', ...recipe.nutrition };
+    }
+
+    if (post.rating && post.rating.ratingCount > 0) {
+        jsonLd.aggregateRating = {
+            '@type': 'AggregateRating',
+            ratingValue: post.rating.ratingValue,
+            ratingCount: post.rating.ratingCount,
+            bestRating: 5,
+            worstRating: 1
+        };
+    }
+
+    // Drop empty values so the output stays valid for the Rich Results test
+    Object.keys(jsonLd).forEach(key => {
+        if (jsonLd[key] === undefined) delete jsonLd[key];
+    });
+    if (jsonLd.suitableForDiet.length === 0) delete jsonLd.suitableForDiet;
+    return jsonLd;
+}
+
+// Reader star ratings (whole numbers 1-5) -> { ratingValue, ratingCount }, or null
+function summarizeRatings(ratings) {
+    const valid = ratings.filter(rating => Number.isInteger(rating) && rating >= 1 && rating <= 5);
+    if (valid.length === 0) return null;
+    const average = valid.reduce((sum, rating) => sum + rating, 0) / valid.length;
+    return { ratingValue: Math.round(average * 10) / 10, ratingCount: valid.length };
+}
+
+// Serialize for embedding inside <script type="application/ld+json">
+function serializeJsonLd(jsonLd) {
+    return JSON.stringify(jsonLd).replace(/</g, '\\u003c');
+}
+
+// ============================================
+// RELATED RECIPES
+// ============================================
+function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * URL slug for a category or other label, in any script: "Cocina Española"
+ * -> "cocina-espanola", "Plats végétariens" -> "plats-vegetariens",
+ * "家常菜" -> "家常菜". Only Latin accents are dropped; marks that other
+ * scripts need (Devanagari vowel signs, Arabic harakat) stay. Text with no
+ * letters or digits ("🍜") falls back to its code points ("1f35c"), so every
+ * non-empty label has a slug.
+ */
+function slugify(text) {
+    if (!text) return '';
+    const slug = String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{N}\p{M}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+    if (slug) return slug;
+    return [...String(text).replace(/\s+/g, '')]
+        .map(char => char.codePointAt(0).toString(16))
+        .join('-');
+}
+
+// Very small plural stemmer: "eggs" -> "egg", "tomatoes" -> "tomato"
+function stemToken(token) {
+    if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+    if (token.length > 4 && /(oes|ches|shes|xes)$/.test(token)) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+// Common English words in titles; everything else counts
+const TITLE_FILLER = new Set([
+    'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into',
+    'is', 'it', 'its', 'll', 'my', 'of', 'on', 'or', 'our', 're', 'that', 'the', 'this', 'to',
+    've', 'with', 'you', 'your'
+]);
+
+// Words in ingredient names that don't identify the ingredient
+const INGREDIENT_FILLER = new Set([
+    'and', 'or', 'of', 'to', 'for', 'boneless', 'skinless', 'cooked', 'uncooked', 'optional',
+    'taste', 'fresh', 'large', 'small', 'medium', 'piece', 'bite', 'sized', 'cut', 'into'
+]);
+
+/**
+ * Tunables for rankRelatedPosts(); main.js overrides them via CONFIG.related.
+ * Weights don't need to sum to 1 - scores are only compared with each other.
+ */
+const RELATED_DEFAULTS = {
+    limit: 4,
+    weights: { title: 0.35, ingredients: 0.35, tags: 0.15, category: 0.15 },
+    // Same dish under a new headline: both similarities at or above these...
+    nearDuplicate: { title: 0.4, ingredients: 0.5 },
+    duplicatePenalty: 0.2,  // ...multiply the score by this
+    diversity: 0.5          // 0 = pure score order; higher avoids picks that resemble each other
+};
+
+function toTermSet(words, filler) {
+    return new Set(words.map(stemToken).filter(term => term.length > 1 && !filler.has(term)));
+}
+
+// Index entries carry `ingredients` at the top level, full posts under content/recipe
+function getRelatedFeatures(post) {
+    const recipe = getRecipeData(post);
+    const ingredients = recipe.ingredients.length
+        ? recipe.ingredients
+        : (post.ingredients || []).map(normalizeIngredient);
+    const tags = [...(post.tags || []), recipe.cuisine].filter(Boolean);
+
+    return {
+        title: toTermSet(tokenize(post.title), TITLE_FILLER),
+        ingredients: toTermSet(
+            ingredients.flatMap(ingredient => tokenize(getIngredientKey(ingredient.name || ingredient.text || ''))),
+            INGREDIENT_FILLER
+        ),
+        tags: new Set(tags.map(tag => tokenize(tag).join('-'))),
+        category: tokenize(post.category).join('-')
+    };
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(term => { if (b.has(term)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two feature sets (see getRelatedFeatures):
+ * { score, title, ingredients, tags, category, nearDuplicate }
+ */
+function scoreRelated(a, b, options = {}) {
+    const settings = { ...RELATED_DEFAULTS, ...options };
+    const weights = { ...RELATED_DEFAULTS.weights, ...options.weights };
+    const duplicate = { ...RELATED_DEFAULTS.nearDuplicate, ...options.nearDuplicate };
+
+    const parts = {
+        title: jaccard(a.title, b.title),
+        ingredients: jaccard(a.ingredients, b.ingredients),
+        tags: jaccard(a.tags, b.tags),
+        category: a.category && a.category === b.category ? 1 : 0
+    };
+
+    let score = Object.keys(parts).reduce((sum, key) => sum + (weights[key] || 0) * parts[key], 0);
+
+    // Re-posts of the same dish aren't useful suggestions
+    const nearDuplicate = parts.title >= duplicate.title && parts.ingredients >= duplicate.ingredients;
+    if (nearDuplicate) score *= settings.duplicatePenalty;
+
+    return { score, ...parts, nearDuplicate };
+}
+
+/**
+ * Rank `posts` by similarity to `current`, picking greedily so each pick is
+ * penalised for resembling the ones already chosen. Returns [{ post, score }].
+ */
+function rankRelatedPosts(current, posts, options = {}) {
+    const settings = { ...RELATED_DEFAULTS, ...options };
+    const target = getRelatedFeatures(current);
+
+    const candidates = posts
+        .filter(post => post.slug !== current.slug)
+        .map(post => {
+            const features = getRelatedFeatures(post);
+            return { post, features, score: scoreRelated(target, features, settings).score };
+        })
+        // Stable starting order: best score, then newest
+        .sort((a, b) => b.score - a.score || String(b.post.date).localeCompare(String(a.post.date)));
+
+    // Judge resemblance between picks without the duplicate penalty
+    const overlapSettings = { ...settings, duplicatePenalty: 1 };
+    const picked = [];
+    while (picked.length < settings.limit && candidates.length > 0) {
+        let bestIndex = 0;
+        let bestValue = -Infinity;
+
+        candidates.forEach((candidate, index) => {
+            const overlap = picked.reduce((max, chosen) =>
+                Math.max(max, scoreRelated(candidate.features, chosen.features, overlapSettings).score), 0);
+            const value = candidate.score - settings.diversity * overlap;
+            if (value > bestValue) {
+                bestValue = value;
+                bestIndex = index;
+            }
+        });
+
+        picked.push(candidates.splice(bestIndex, 1)[0]);
+    }
+
+    return picked.map(({ post, score }) => ({ post, score }));
+}
+
+// ============================================
+// EXPORT FOR NODE SCRIPTS / TESTING
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RECIPE_UNITS,
+        parseQuantity,
+        parseIngredient,
+        normalizeIngredient,
+        formatIngredientText,
+        scaleIngredient,
+        convertIngredient,
+        formatFraction,
+        formatIngredientAmount,
+        formatScaledIngredient,
+        getRecipeData,
+        toMinutes,
+        toIsoDuration,
+        formatDuration,
+        RECIPE_FACETS,
+        RECIPE_TIME_RANGES,
+        RECIPE_DIETS,
+        guessMainIngredient,
+        getPostFacets,
+        countFacets,
+        parseDurations,
+        buildShoppingList,
+        formatShoppingListText,
+        buildRecipeJsonLd,
+        summarizeRatings,
+        serializeJsonLd,
+        tokenize,
+        slugify,
+        stemToken,
+        RELATED_DEFAULTS,
+        jaccard,
+        getRelatedFeatures,
+        scoreRelated,
+        rankRelatedPosts
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * Universal Blog Theme - Color theme
+ * Light, dark and system (prefers-color-scheme) modes plus brand presets:
+ * CSS custom properties from a JSON file, so a niche blog can reskin the
+ * theme without editing theme.css.
+ *
+ * Load this synchronously in <head>, right after theme.css: it runs before
+ * the first paint, so the page never flashes in the wrong theme. The header
+ * toggle and preset loading live in js/main.js (THEME).
+ */
+
+const THEME_CONFIG = {
+    defaultMode: 'system',            // 'light', 'dark' or 'system'
+    modes: ['system', 'light', 'dark'], // toggle order
+    storageKey: 'theme',
+    presetStorageKey: 'themePreset',  // last preset fetched, applied on the next load before it's re-fetched
+    presetPath: 'data/theme.json'     // relative to the site root; null keeps the theme.css defaults
+};
+
+let appliedThemeTokens = []; // custom properties set on <html> by the current preset
+
+
+// ============================================
+// MODE
+// ============================================
+function readThemeStorage(key) {
+    try {
+        const value = window.localStorage.getItem(key);
+        return value === null ? null : JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function getThemeMode() {
+    const stored = readThemeStorage(THEME_CONFIG.storageKey);
+    return THEME_CONFIG.modes.includes(stored) ? stored : THEME_CONFIG.defaultMode;
+}
+
+// 'system' becomes whatever the OS asks for right now
+function resolveThemeMode(mode) {
+    if (mode === 'light' || mode === 'dark') return mode;
+    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return prefersDark ? 'dark' : 'light';
+}
+
+// Sets data-theme="light|dark" (what theme.css keys on) and data-theme-mode
+// on <html>, then the preset's tokens for that theme. Returns the resolved theme.
+function applyTheme(mode, preset = readThemeStorage(THEME_CONFIG.presetStorageKey)) {
+    const root = document.documentElement;
+    const resolved = resolveThemeMode(mode);
+    root.dataset.theme = resolved;
+    root.dataset.themeMode = mode;
+    applyThemePreset(preset, resolved);
+    return resolved;
+}
+
+
+// ============================================
+// BRAND PRESETS
+// ============================================
+/**
+ * A preset names CSS custom properties without the leading "--":
+ *
+ *   {
+ *       "name": "Garden Kitchen",
+ *       "tokens": { "font-heading": "'Lora', serif", "radius-md": "4px" },
+ *       "light": { "primary-color": "#14532d", "accent-color": "#65a30d" },
+ *       "dark": { "primary-color": "#bbf7d0", "accent-color": "#a3e635" }
+ *   }
+ *
+ * `tokens` apply to both themes; `light` and `dark` override them per theme.
+ */
+function getThemePresetTokens(preset, resolved) {
+    if (!preset || typeof preset !== 'object') return {};
+    return { ...(preset.tokens || {}), ...(preset[resolved] || {}) };
+}
+
+function applyThemePreset(preset, resolved) {
+    const style = document.documentElement.style;
+    appliedThemeTokens.forEach(name => style.removeProperty(name));
+    appliedThemeTokens = [];
+
+    Object.entries(getThemePresetTokens(preset, resolved)).forEach(([name, value]) => {
+        // Custom property names only; the browser drops values it can't parse
+        if (!/^[a-z][a-z0-9-]*$/.test(name) || typeof value !== 'string') return;
+        style.setProperty(`--${name}`, value);
+        appliedThemeTokens.push(`--${name}`);
+    });
+}
+
+
+// Before the first paint
+if (typeof document !== 'undefined') {
+    applyTheme(getThemeMode());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THEME_CONFIG,
+        resolveThemeMode,
+        getThemePresetTokens
+    };
+}
@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Duplicate Post Audit
+ * Finds posts that are the same recipe under another headline by comparing
+ * their titles, ingredient lists, excerpts and body text, groups them and
+ * suggests which one to keep. Editors record their decisions in
+ * data/duplicates.json. build-site.js then points the canonical link of each
+ * duplicate at the post that was kept, or replaces the duplicate with a
+ * redirect page.
+ *
+ * Titles and ingredients are compared as term sets (the same features as the
+ * related recipes in js/recipe.js). Excerpts are compared as word-pair
+ * shingles. Body text is compared with MinHash signatures of its 3-word
+ * shingles, so long posts cost the same to compare as short ones.
+ *
+ * Usage:
+ *   node scripts/audit-duplicates.js                     Report groups of near-duplicate posts
+ *   node scripts/audit-duplicates.js --json              The same report as JSON
+ *   node scripts/audit-duplicates.js --threshold 0.4     Only pairs at least this similar (0-1, overrides
+ *                                                        "threshold" in data/duplicates.json, default 0.5)
+ *   node scripts/audit-duplicates.js --write             Record the suggestions in data/duplicates.json
+ *   node scripts/audit-duplicates.js --write --redirect  ...and redirect the duplicates instead of keeping them
+ *   node scripts/audit-duplicates.js --check             Exit 1 if a group has no decision yet
+ *
+ * Output (data/duplicates.json):
+ *   { "threshold": 0.31,
+ *     "duplicates": { "<slug>": { "canonical": "<slug of the post kept>", "redirect": false } } }
+ *   "threshold" is optional and tunes the audit for this site. Entries already
+ *   in the file are never changed; edit them by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, jaccard, getRelatedFeatures, scoreRelated } = require('../js/recipe.js');
+const { collectPosts, serialize } = require('./build-index.js');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG = {
+    duplicatesPath: path.join(ROOT_DIR, 'data', 'duplicates.json'),
+    popularPath: path.join(ROOT_DIR, 'data', 'popular.json'),
+    // The score is a weighted average of the four similarities, so 0.5 needs at
+    // least half of the evidence to agree: a shared main ingredient or a stock
+    // headline alone can't reach it. Sites whose re-posts are reworded more
+    // heavily set a lower "threshold" in data/duplicates.json.
+    threshold: 0.5,
+    weights: { title: 0.25, ingredients: 0.35, excerpt: 0.1, body: 0.3 },
+    shingleSize: { excerpt: 2, body: 3 },
+    minHashes: 128
+};
+
+
+// ============================================
+// SHINGLES & MINHASH
+// ============================================
+// Every run of `size` consecutive words; shorter texts are one shingle
+function shingles(text, size) {
+    const words = tokenize(text);
+    const result = new Set();
+    for (let i = 0; i + size <= words.length; i++) {
+        result.add(words.slice(i, i + size).join(' '));
+    }
+    if (result.size === 0 && words.length > 0) result.add(words.join(' '));
+    return result;
+}
+
+// 32-bit FNV-1a
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3 finalizer: spreads nearby inputs over the whole 32-bit range
+function mixHash(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * The smallest value of each of `size` hash functions over the shingles, or
+ * null for no shingles. The functions are derived from two hashes per shingle
+ * (h1 + i * h2), so signatures are the same on every run and machine.
+ */
+function minHashSignature(shingleSet, size = CONFIG.minHashes) {
+    if (shingleSet.size === 0) return null;
+    const signature = new Uint32Array(size).fill(0xffffffff);
+    shingleSet.forEach(shingle => {
+        const first = hashString(shingle);
+        const second = mixHash(first) | 1;
+        for (let i = 0; i < size; i++) {
+            const value = mixHash((first + Math.imul(i, second)) >>> 0);
+            if (value < signature[i]) signature[i] = value;
+        }
+    });
+    return signature;
+}
+
+// Share of matching minimums: an estimate of the Jaccard similarity of the shingle sets
+function estimateSimilarity(a, b) {
+    if (!a || !b) return 0;
+    let same = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / a.length;
+}
+
+
+// ============================================
+// SIMILARITY
+// ============================================
+function getBodyText(post) {
+    const content = post.content || {};
+    return [...(content.paragraphs || []), ...(content.steps || [])].join(' ');
+}
+
+function getDuplicateFeatures(post) {
+    const bodyText = getBodyText(post);
+    return {
+        related: getRelatedFeatures(post),
+        excerpt: shingles(post.excerpt, CONFIG.shingleSize.excerpt),
+        body: minHashSignature(shingles(bodyText, CONFIG.shingleSize.body)),
+        words: tokenize(bodyText).length
+    };
+}
+
+// { score, title, ingredients, excerpt, body }, each 0-1
+function compareFeatures(a, b, weights = CONFIG.weights) {
+    const { title, ingredients } = scoreRelated(a.related, b.related);
+    const parts = {
+        title,
+        ingredients,
+        excerpt: jaccard(a.excerpt, b.excerpt),
+        body: estimateSimilarity(a.body, b.body)
+    };
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const score = Object.keys(parts).reduce((sum, key) => sum + (weights[key] || 0) * parts[key], 0) / total;
+    return { score, ...parts };
+}
+
+// Every pair of posts at or above the threshold, most similar first
+function findDuplicatePairs(entries, threshold = CONFIG.threshold) {
+    const pairs = [];
+    entries.forEach((a, i) => {
+        entries.slice(i + 1).forEach(b => {
+            const similarity = compareFeatures(a.features, b.features);
+            if (similarity.score >= threshold) pairs.push({ a: a.post.slug, b: b.post.slug, ...similarity });
+        });
+    });
+    return pairs.sort((x, y) => y.score - x.score || x.a.localeCompare(y.a) || x.b.localeCompare(y.b));
+}
+
+// Connected groups of slugs (union-find), each sorted, the largest group first
+function clusterPairs(pairs) {
+    const parent = new Map();
+    const find = (slug) => {
+        if (!parent.has(slug)) parent.set(slug, slug);
+        while (parent.get(slug) !== slug) {
+            parent.set(slug, parent.get(parent.get(slug)));
+            slug = parent.get(slug);
+        }
+        return slug;
+    };
+    pairs.forEach(({ a, b }) => parent.set(find(a), find(b)));
+
+    const groups = new Map();
+    [...parent.keys()].forEach(slug => {
+        const root = find(slug);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(slug);
+    });
+    return [...groups.values()]
+        .map(group => group.sort())
+        .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+
+// ============================================
+// CANONICAL CHOICE
+// ============================================
+// Compared in order; the first one that separates the two best candidates is the reason
+const CANONICAL_CRITERIA = [
+    ['already kept for other duplicates', (entry, context) => context.keptFor.get(entry.post.slug) || 0],
+    ['most popular', (entry, context) => context.popularity.get(entry.post.slug) || 0],
+    ['published first', (entry) => -(Date.parse(entry.post.date) || 0)],
+    ['most complete', (entry) => entry.features.words],
+    ['shortest URL', (entry) => -entry.post.slug.length]
+];
+
+/**
+ * The post to keep out of a group: { slug, reason }. Posts already recorded
+ * as someone's duplicate can't be kept (that would make a chain).
+ */
+function chooseCanonical(entries, context) {
+    const candidates = entries.filter(entry => !context.duplicates[entry.post.slug]);
+    if (candidates.length === 0) return null;
+
+    const ranked = candidates
+        .map(entry => ({ entry, values: CANONICAL_CRITERIA.map(([, value]) => value(entry, context)) }))
+        .sort((a, b) => {
+            const index = a.values.findIndex((value, i) => value !== b.values[i]);
+            return index === -1 ? a.entry.post.slug.localeCompare(b.entry.post.slug) : b.values[index] - a.values[index];
+        });
+
+    const [best, next] = ranked;
+    if (!next) {
+        return { slug: best.entry.post.slug, reason: best.values[0] > 0 ? CANONICAL_CRITERIA[0][0] : 'the others are already duplicates' };
+    }
+    const decisive = best.values.findIndex((value, i) => value !== next.values[i]);
+    return {
+        slug: best.entry.post.slug,
+        reason: decisive === -1 ? 'first alphabetically' : CANONICAL_CRITERIA[decisive][0]
+    };
+}
+
+function loadPopularity(filePath = CONFIG.popularPath) {
+    if (!fs.existsSync(filePath)) return new Map();
+    const { posts } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new Map((posts || []).map(post => [post.slug, post.score || 0]));
+}
+
+
+// ============================================
+// DECISIONS (data/duplicates.json)
+// ============================================
+function readDuplicatesFile(filePath) {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.relative(ROOT_DIR, filePath)} is not valid JSON (${error.message})`);
+    }
+}
+
+function loadDuplicates(filePath = CONFIG.duplicatesPath) {
+    return readDuplicatesFile(filePath).duplicates || {};
+}
+
+// This site's "threshold", or the default when the file doesn't set one
+function loadThreshold(filePath = CONFIG.duplicatesPath) {
+    const { threshold } = readDuplicatesFile(filePath);
+    if (threshold === undefined) return CONFIG.threshold;
+    if (!(typeof threshold === 'number' && threshold > 0 && threshold <= 1)) {
+        throw new Error(`${path.relative(ROOT_DIR, filePath)}: "threshold" must be a number above 0 and at most 1`);
+    }
+    return threshold;
+}
+
+/**
+ * Problems with the recorded decisions, given the slugs of the published
+ * posts. A redirected duplicate may be gone from the posts; everything else
+ * must exist, and canonicals must be posts that are kept (no chains).
+ */
+function validateDuplicates(duplicates, slugs) {
+    const known = new Set(slugs);
+    const errors = [];
+
+    Object.entries(duplicates).forEach(([slug, entry]) => {
+        const file = `data/duplicates.json: "${slug}"`;
+        if (!entry || typeof entry.canonical !== 'string') {
+            errors.push(`${file} has no "canonical" slug`);
+            return;
+        }
+        if (!entry.redirect && !known.has(slug)) errors.push(`${file} is not a post`);
+        if (entry.canonical === slug || !known.has(entry.canonical)) {
+            errors.push(`${file} points to unknown post "${entry.canonical}"`);
+        } else if (duplicates[entry.canonical]) {
+            errors.push(`${file} points to "${entry.canonical}", which is itself a duplicate of "${duplicates[entry.canonical].canonical}"`);
+        }
+    });
+
+    return errors;
+}
+
+
+// ============================================
+// AUDIT
+// ============================================
+/**
+ * Group near-duplicate posts and pick one post to keep per group:
+ * { threshold, postCount, clusters: [{ canonical, reason, posts: [{ slug, title,
+ *   date, similarity: { score, title, ingredients, excerpt, body }, decision }] }] }
+ * `decision` is the post's entry in data/duplicates.json, if any.
+ */
+function auditDuplicates(posts, options = {}) {
+    const threshold = options.threshold ?? CONFIG.threshold;
+    const duplicates = options.duplicates || {};
+    const entries = posts.map(post => ({ post, features: getDuplicateFeatures(post) }));
+    const bySlug = new Map(entries.map(entry => [entry.post.slug, entry]));
+
+    const keptFor = new Map();
+    Object.values(duplicates).forEach(({ canonical }) => keptFor.set(canonical, (keptFor.get(canonical) || 0) + 1));
+    const context = { duplicates, keptFor, popularity: options.popularity || new Map() };
+
+    const clusters = clusterPairs(findDuplicatePairs(entries, threshold)).map(slugs => {
+        const members = slugs.map(slug => bySlug.get(slug));
+        const choice = chooseCanonical(members, context);
+        const kept = choice && bySlug.get(choice.slug);
+
+        return {
+            canonical: choice ? choice.slug : null,
+            reason: choice ? choice.reason : null,
+            posts: members
+                .filter(entry => entry !== kept)
+                .map(entry => ({
+                    slug: entry.post.slug,
+                    title: entry.post.title,
+                    date: entry.post.date,
+                    similarity: kept ? compareFeatures(kept.features, entry.features) : null,
+                    decision: duplicates[entry.post.slug] || null
+                }))
+                .sort((a, b) => (b.similarity ? b.similarity.score : 0) - (a.similarity ? a.similarity.score : 0))
+        };
+    });
+
+    return { threshold, postCount: posts.length, clusters };
+}
+
+// Groups with a post that is neither kept nor recorded as a duplicate
+function findUndecided(report) {
+    return report.clusters.filter(cluster => cluster.posts.some(post => !post.decision));
+}
+
+/**
+ * Add the suggested decisions to `duplicates` (a new object). Posts that
+ * already have an entry, or that other posts point to, are left alone.
+ * Returns { duplicates, added }.
+ */
+function recordDecisions(report, duplicates, { redirect = false } = {}) {
+    const next = { ...duplicates };
+    const kept = new Set(Object.values(duplicates).map(entry => entry.canonical));
+    const added = [];
+
+    report.clusters.forEach(cluster => {
+        if (!cluster.canonical) return;
+        cluster.posts
+            .filter(post => !next[post.slug] && !kept.has(post.slug))
+            .forEach(post => {
+                next[post.slug] = { canonical: cluster.canonical, redirect };
+                added.push(post.slug);
+            });
+    });
+
+    return { duplicates: next, added };
+}
+
+
+// ============================================
+// CLI
+// ============================================
+function formatScore(value) {
+    return value.toFixed(2);
+}
+
+function printReport(report, posts) {
+    const titles = new Map(posts.map(post => [post.slug, post.title]));
+    const { clusters, threshold, postCount } = report;
+    if (clusters.length === 0) {
+        console.log(`✅ No near-duplicate posts among ${postCount} (similarity ≥ ${formatScore(threshold)})`);
+        return;
+    }
+
+    console.log(`🔍 ${clusters.length} group(s) of near-duplicate posts among ${postCount} (similarity ≥ ${formatScore(threshold)})`);
+    clusters.forEach((cluster, index) => {
+        console.log('');
+        if (cluster.canonical) {
+            console.log(`${index + 1}. Keep ${cluster.canonical} (${cluster.reason})`);
+            console.log(`   "${titles.get(cluster.canonical)}"`);
+        } else {
+            console.log(`${index + 1}. Every post in this group is already recorded as a duplicate`);
+        }
+        cluster.posts.forEach(post => {
+            const { similarity, decision } = post;
+            const status = !decision ? ''
+                : decision.canonical === cluster.canonical ? ` ✓ ${decision.redirect ? 'redirects' : 'points'} here`
+                : ` ⚠️  recorded as a duplicate of ${decision.canonical}`;
+            console.log(`   ${similarity ? formatScore(similarity.score) : '    '}  ${post.slug}${status}`);
+            if (similarity) {
+                console.log(`         title ${formatScore(similarity.title)} · ingredients ${formatScore(similarity.ingredients)}` +
+                    ` · excerpt ${formatScore(similarity.excerpt)} · body ${formatScore(similarity.body)}`);
+            }
+        });
+    });
+}
+
+function parseArgs(argv) {
+    const valueOf = (flag) => {
+        const index = argv.indexOf(flag);
+        return index === -1 ? null : argv[index + 1];
+    };
+    const threshold = valueOf('--threshold');
+    return {
+        json: argv.includes('--json'),
+        write: argv.includes('--write'),
+        redirect: argv.includes('--redirect'),
+        check: argv.includes('--check'),
+        threshold: threshold === null ? null : Number(threshold)
+    };
+}
+
+function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    if ((options.threshold !== null && !(options.threshold > 0 && options.threshold <= 1)) || (options.redirect && !options.write)) {
+        console.error('Usage: node scripts/audit-duplicates.js [--json] [--threshold 0.4] [--write [--redirect]] [--check]');
+        process.exit(1);
+    }
+
+    let posts;
+    let duplicates;
+    let threshold;
+    try {
+        posts = collectPosts();
+        duplicates = loadDuplicates();
+        threshold = options.threshold ?? loadThreshold();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const report = auditDuplicates(posts, {
+        threshold,
+        duplicates,
+        popularity: loadPopularity()
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 4));
+    } else {
+        printReport(report, posts);
+    }
+
+    if (options.write) {
+        const { duplicates: next, added } = recordDecisions(report, duplicates, { redirect: options.redirect });
+        if (added.length > 0) {
+            fs.writeFileSync(CONFIG.duplicatesPath, serialize({ ...readDuplicatesFile(CONFIG.duplicatesPath), duplicates: next }));
+        }
+        // Keep --json output parseable
+        const log = options.json ? console.error : console.log;
+        log(`✅ Recorded ${added.length} duplicate(s) in ${path.relative(ROOT_DIR, CONFIG.duplicatesPath)}`);
+        if (added.length > 0) log('   Run node scripts/build-site.js to update their pages.');
+        return;
+    }
+
+    const undecided = findUndecided(report);
+    if (options.check && undecided.length > 0) {
+        console.error(`❌ ${undecided.length} group(s) have posts with no decision in ${path.relative(ROOT_DIR, CONFIG.duplicatesPath)}`);
+        console.error('   Run: node scripts/audit-duplicates.js --write (or edit the file by hand)');
+        process.exit(1);
+    }
+    if (!options.json && undecided.length > 0) {
+        console.log('');
+        console.log('   Record these with --write (canonical links) or --write --redirect (redirect pages),');
+        console.log(`   or edit ${path.relative(ROOT_DIR, CONFIG.duplicatesPath)} by hand.`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    shingles,
+    minHashSignature,
+    estimateSimilarity,
+    getDuplicateFeatures,
+    compareFeatures,
+    findDuplicatePairs,
+    clusterPairs,
+    chooseCanonical,
+    loadDuplicates,
+    loadThreshold,
+    validateDuplicates,
+    auditDuplicates,
+    recordDecisions
+};
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Feeds & Sitemap Generator
+ * Builds RSS 2.0, Atom and JSON Feed 1.1 files for the whole site and for each
+ * category, plus sitemap.xml and robots.txt, from data/posts-index.json.
+ * build-site.js runs this after every build.
+ *
+ * Usage:
+ *   node scripts/build-feeds.js          Write feeds/, sitemap.xml and robots.txt
+ *   node scripts/build-feeds.js --check  Exit 1 if any of them are out of date
+ *
+ * Output:
+ *   feeds/rss.xml, feeds/atom.xml, feeds/feed.json              Whole site
+ *   feeds/<category-slug>/rss.xml, atom.xml, feed.json          One category
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { slugify } = require('../js/recipe.js');
+const { I18N_CONFIG } = require('../js/i18n.js');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG = {
+    indexPath: path.join(ROOT_DIR, 'data', 'posts-index.json'),
+    sitePath: path.join(ROOT_DIR, 'data', 'site.json'),
+    feedsDir: path.join(ROOT_DIR, 'feeds'),
+    sitemapPath: path.join(ROOT_DIR, 'sitemap.xml'),
+    robotsPath: path.join(ROOT_DIR, 'robots.txt'),
+    feedLimit: 20,
+    // Static pages listed in the sitemap next to the posts
+    sitemapPages: ['', 'shopping-list.html', 'about.html', 'contact.html', 'privacy.html', 'terms.html']
+};
+
+const FEED_FORMATS = [
+    { file: 'rss.xml', type: 'application/rss+xml', label: 'RSS' },
+    { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+    { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' }
+];
+
+
+// ============================================
+// HELPERS
+// ============================================
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Same slugs main.js uses for index.html#<category>
+function categorySlug(category) {
+    return slugify(category);
+}
+
+function absoluteUrl(site, relativePath) {
+    return new URL(relativePath, site.url).href;
+}
+
+// Reserved names (RFC 2606 / 6761) that can't be the live site: example.com,
+// *.example, *.test, *.invalid, localhost...
+function isPlaceholderUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return true;
+    }
+    return /(^|\.)example\.(com|net|org)$/.test(hostname) ||
+        /(^|\.)(example|test|invalid|localhost)$/.test(hostname);
+}
+
+function postUrl(site, post) {
+    return absoluteUrl(site, `posts/${encodeURIComponent(post.slug)}.html`);
+}
+
+function imageInfo(site, post) {
+    if (!post.image) return null;
+    const isRemote = /^(https?:)?\/\//.test(post.image);
+    const localPath = path.join(ROOT_DIR, post.image);
+    const extension = path.extname(post.image).toLowerCase();
+
+    return {
+        url: isRemote ? post.image : absoluteUrl(site, post.image),
+        type: { '.png': 'image/png', '.webp': 'image/webp', '.avif': 'image/avif', '.gif': 'image/gif' }[extension] || 'image/jpeg',
+        // RSS enclosures require a length; 0 is the accepted "unknown"
+        length: !isRemote && fs.existsSync(localPath) ? fs.statSync(localPath).size : 0
+    };
+}
+
+// Newest post date, so unchanged content produces byte-identical feeds
+function latestDate(posts) {
+    return posts.reduce((latest, post) => (post.date > latest ? post.date : latest), '1970-01-01');
+}
+
+function toRfc822(isoDate) {
+    return new Date(isoDate).toUTCString();
+}
+
+function toRfc3339(isoDate) {
+    return new Date(isoDate).toISOString().replace('.000Z', 'Z');
+}
+
+
+// ============================================
+// FEEDS
+// ============================================
+/**
+ * One feed's worth of data, shared by the three formats:
+ * { title, description, homeUrl, feedPath, posts }
+ */
+function describeFeeds(site, posts) {
+    const feeds = [{
+        title: site.name,
+        description: site.description,
+        homeUrl: site.url,
+        feedPath: 'feeds/',
+        posts
+    }];
+
+    const categories = [...new Set(posts.map(post => post.category))];
+    categories.forEach(category => {
+        const slug = categorySlug(category);
+        feeds.push({
+            title: `${site.name} - ${category}`,
+            description: `New ${category} from ${site.name}`,
+            homeUrl: absoluteUrl(site, `index.html#${slug}`),
+            feedPath: `feeds/${slug}/`,
+            posts: posts.filter(post => post.category === category)
+        });
+    });
+
+    return feeds.map(feed => ({ ...feed, posts: feed.posts.slice(0, CONFIG.feedLimit) }));
+}
+
+function renderRss(site, feed) {
+    const selfUrl = absoluteUrl(site, `${feed.feedPath}rss.xml`);
+    const items = feed.posts.map(post => {
+        const url = postUrl(site, post);
+        const image = imageInfo(site, post);
+        return [
+            '        <item>',
+            `            <title>${escapeXml(post.title)}</title>`,
+            `            <link>${escapeXml(url)}</link>`,
+            `            <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+            `            <pubDate>${toRfc822(post.date)}</pubDate>`,
+            `            <category>${escapeXml(post.category)}</category>`,
+            `            <description>${escapeXml(post.excerpt)}</description>`,
+            image ? `            <enclosure url="${escapeXml(image.url)}" type="${image.type}" length="${image.length}"/>` : null,
+            '        </item>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '    <channel>',
+        `        <title>${escapeXml(feed.title)}</title>`,
+        `        <link>${escapeXml(feed.homeUrl)}</link>`,
+        `        <description>${escapeXml(feed.description)}</description>`,
+        `        <language>${escapeXml(I18N_CONFIG.defaultLocale)}</language>`,
+        `        <lastBuildDate>${toRfc822(latestDate(feed.posts))}</lastBuildDate>`,
+        `        <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+        ...items,
+        '    </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+function renderAtom(site, feed) {
+    const selfUrl = absoluteUrl(site, `${feed.feedPath}atom.xml`);
+    const entries = feed.posts.map(post => {
+        const url = postUrl(site, post);
+        const image = imageInfo(site, post);
+        return [
+            post.lang ? `    <entry xml:lang="${escapeXml(post.lang)}">` : '    <entry>',
+            `        <title>${escapeXml(post.title)}</title>`,
+            `        <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+            image ? `        <link rel="enclosure" type="${image.type}" length="${image.length}" href="${escapeXml(image.url)}"/>` : null,
+            `        <id>${escapeXml(url)}</id>`,
+            `        <published>${toRfc3339(post.date)}</published>`,
+            `        <updated>${toRfc3339(post.date)}</updated>`,
+            `        <category term="${escapeXml(categorySlug(post.category))}" label="${escapeXml(post.category)}"/>`,
+            `        <summary>${escapeXml(post.excerpt)}</summary>`,
+            '    </entry>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(I18N_CONFIG.defaultLocale)}">`,
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `    <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+        `    <id>${escapeXml(selfUrl)}</id>`,
+        `    <updated>${toRfc3339(latestDate(feed.posts))}</updated>`,
+        `    <author><name>${escapeXml(site.name)}</name></author>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+function renderJsonFeed(site, feed) {
+    const json = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: absoluteUrl(site, `${feed.feedPath}feed.json`),
+        description: feed.description,
+        language: I18N_CONFIG.defaultLocale,
+        icon: absoluteUrl(site, 'images/logo.png'),
+        authors: [{ name: site.name }],
+        items: feed.posts.map(post => {
+            const url = postUrl(site, post);
+            const image = imageInfo(site, post);
+            const item = {
+                id: url,
+                url,
+                title: post.title,
+                summary: post.excerpt,
+                content_text: post.excerpt,
+                date_published: toRfc3339(post.date),
+                tags: [post.category, ...(post.tags || [])]
+            };
+            if (image) item.image = image.url;
+            if (post.lang) item.language = post.lang;
+            return item;
+        })
+    };
+    return JSON.stringify(json, null, 4) + '\n';
+}
+
+
+// ============================================
+// SITEMAP & ROBOTS
+// ============================================
+function renderSitemap(site, posts) {
+    const pages = CONFIG.sitemapPages.map(page => ({
+        loc: absoluteUrl(site, page),
+        lastmod: page === '' ? latestDate(posts) : null
+    }));
+    const entries = [
+        ...pages,
+        // Duplicates point their canonical link elsewhere (data/duplicates.json)
+        ...posts.filter(post => !post.canonical).map(post => ({ loc: postUrl(site, post), lastmod: post.date }))
+    ].map(({ loc, lastmod }) => [
+        '    <url>',
+        `        <loc>${escapeXml(loc)}</loc>`,
+        lastmod ? `        <lastmod>${lastmod}</lastmod>` : null,
+        '    </url>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...entries,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function renderRobots(site) {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        '',
+        `Sitemap: ${absoluteUrl(site, 'sitemap.xml')}`,
+        ''
+    ].join('\n');
+}
+
+
+// ============================================
+// OUTPUT
+// ============================================
+// Map of absolute file path -> contents
+function buildFeedFiles(site, posts) {
+    const files = new Map();
+    const renderers = { 'rss.xml': renderRss, 'atom.xml': renderAtom, 'feed.json': renderJsonFeed };
+
+    describeFeeds(site, posts).forEach(feed => {
+        FEED_FORMATS.forEach(({ file }) => {
+            files.set(path.join(ROOT_DIR, feed.feedPath, file), renderers[file](site, feed));
+        });
+    });
+    files.set(CONFIG.sitemapPath, renderSitemap(site, posts));
+    files.set(CONFIG.robotsPath, renderRobots(site));
+    return files;
+}
+
+// <link rel="alternate"> tags for a page `depth` directories below the root
+function renderFeedLinks(site, category = null, depth = 0) {
+    const prefix = '../'.repeat(depth);
+    const feeds = [{ title: site.name, dir: 'feeds/' }];
+    if (category) feeds.push({ title: `${site.name} - ${category}`, dir: `feeds/${categorySlug(category)}/` });
+
+    return feeds.flatMap(feed => FEED_FORMATS.map(format =>
+        `    <link rel="alternate" type="${format.type}" title="${escapeXml(`${feed.title} (${format.label})`)}" href="${prefix}${feed.dir}${format.file}">`
+    )).join('\n');
+}
+
+function loadSources() {
+    const site = JSON.parse(fs.readFileSync(CONFIG.sitePath, 'utf8'));
+    const { posts } = JSON.parse(fs.readFileSync(CONFIG.indexPath, 'utf8'));
+    return { site, posts };
+}
+
+// Returns the paths (relative to the root) that were written
+function writeFeeds() {
+    const { site, posts } = loadSources();
+    const written = [];
+    if (isPlaceholderUrl(site.url)) {
+        console.warn(`⚠️  data/site.json: "${site.url}" is a placeholder; feed and sitemap links won't work until url is the live site`);
+    }
+    const files = buildFeedFiles(site, posts);
+
+    files.forEach((contents, filePath) => {
+        if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === contents) return;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, contents);
+        written.push(path.relative(ROOT_DIR, filePath));
+    });
+
+    // Drop the feeds of categories that no longer have posts
+    fs.readdirSync(CONFIG.feedsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !files.has(path.join(CONFIG.feedsDir, entry.name, 'rss.xml')))
+        .forEach(entry => {
+            fs.rmSync(path.join(CONFIG.feedsDir, entry.name), { recursive: true });
+            written.push(`feeds/${entry.name}/ (removed)`);
+        });
+
+    return written;
+}
+
+function main(argv = process.argv.slice(2)) {
+    if (argv.includes('--check')) {
+        const { site, posts } = loadSources();
+        if (isPlaceholderUrl(site.url)) {
+            console.error(`❌ data/site.json: "${site.url}" is a placeholder, not the live site's address`);
+            process.exit(1);
+        }
+        const stale = [...buildFeedFiles(site, posts)]
+            .filter(([filePath, contents]) => !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== contents);
+        if (stale.length > 0) {
+            stale.forEach(([filePath]) => console.error(`❌ Out of date: ${path.relative(ROOT_DIR, filePath)}`));
+            console.error('   Run: node scripts/build-feeds.js');
+            process.exit(1);
+        }
+        console.log(`✅ Feeds and sitemap are up to date (${posts.length} posts)`);
+        return;
+    }
+
+    const written = writeFeeds();
+    console.log(`✅ Feeds and sitemap: ${written.length} file(s) updated`);
+    written.forEach(file => console.log(`   ${file}`));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    categorySlug,
+    isPlaceholderUrl,
+    describeFeeds,
+    renderRss,
+    renderAtom,
+    renderJsonFeed,
+    renderSitemap,
+    renderFeedLinks,
+    buildFeedFiles,
+    writeFeeds
+};
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Responsive Images
+ * Encodes AVIF and WebP copies of images/posts/*.jpg at several widths, plus a
+ * tiny blurred placeholder, and records them with each photo's size in
+ * data/images.json. build-index.js copies that into the posts index, and
+ * main.js / build-site.js turn it into srcset, sizes, width and height.
+ *
+ * Encoding needs sharp, a devDependency in package.json (npm install). Sizes
+ * don't: they are read from the image files themselves, so pages get width and
+ * height even before this script has run. They just have no variants or
+ * placeholder yet.
+ *
+ * Usage:
+ *   node scripts/build-images.js          Encode new and changed images, update data/images.json
+ *   node scripts/build-images.js --force  Encode every image again
+ *
+ * Output:
+ *   images/posts/variants/<name>-<width>.avif, .webp    Build output, not committed
+ *   data/images.json: { images: { "images/posts/<name>.jpg": { width, height, hash,
+ *                       placeholder, variants, widths, formats } } }
+ *   `variants` is a path pattern with {width} and {format} placeholders.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG = {
+    sourceDir: path.join(ROOT_DIR, 'images', 'posts'),
+    variantsDir: path.join(ROOT_DIR, 'images', 'posts', 'variants'),
+    manifestPath: path.join(ROOT_DIR, 'data', 'images.json'),
+    // 160 covers the related-recipe thumbnails on high-density screens;
+    // nothing is made wider than the original
+    widths: [160, 400, 800, 1200, 1600],
+    // Best first: <picture> lists the sources in this order
+    formats: {
+        avif: { quality: 50 },
+        webp: { quality: 72 }
+    },
+    placeholderWidth: 16
+};
+
+
+// ============================================
+// IMAGE SIZES (no dependencies)
+// ============================================
+// { width, height } from the file header of a JPEG, PNG or WebP, or null
+function readImageSize(buffer) {
+    // PNG: the IHDR chunk follows the 8-byte signature
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // JPEG: walk the segments up to the first start-of-frame marker
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            if (marker === 0xff) {
+                offset++; // fill byte
+                continue;
+            }
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+    }
+
+    // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8X') {
+            return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+    }
+
+    return null;
+}
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 16);
+}
+
+
+// ============================================
+// MANIFEST
+// ============================================
+let manifestCache = null; // { mtimeMs, images }
+
+function loadManifest() {
+    if (!fs.existsSync(CONFIG.manifestPath)) return {};
+    const { mtimeMs } = fs.statSync(CONFIG.manifestPath);
+    if (!manifestCache || manifestCache.mtimeMs !== mtimeMs) {
+        try {
+            const json = JSON.parse(fs.readFileSync(CONFIG.manifestPath, 'utf8'));
+            manifestCache = { mtimeMs, images: json.images || {} };
+        } catch (error) {
+            console.warn(`⚠️  Ignoring unreadable ${path.relative(ROOT_DIR, CONFIG.manifestPath)}: ${error.message}`);
+            manifestCache = { mtimeMs, images: {} };
+        }
+    }
+    return manifestCache.images;
+}
+
+/**
+ * What the pages need to know about a post image (a root-relative path such
+ * as "images/posts/x.jpg"): { width, height } at least, plus placeholder,
+ * variants, widths and formats once build-images.js has encoded the current
+ * version of the file. Null for remote, missing or unreadable images.
+ */
+function describeImage(imagePath, manifest = loadManifest()) {
+    if (!imagePath || /^(https?:)?\/\//.test(imagePath)) return null;
+    const filePath = path.join(ROOT_DIR, imagePath);
+    if (!fs.existsSync(filePath)) return null;
+
+    const buffer = fs.readFileSync(filePath);
+    const size = readImageSize(buffer);
+    if (!size) return null;
+
+    // Variants of an older version of the photo would show the wrong picture
+    const entry = manifest[imagePath];
+    if (!entry || entry.hash !== hashBuffer(buffer)) return size;
+
+    const { hash, ...info } = entry;
+    return info;
+}
+
+function getVariantPattern(imagePath) {
+    const name = path.basename(imagePath, path.extname(imagePath));
+    return path.relative(ROOT_DIR, path.join(CONFIG.variantsDir, `${name}-{width}.{format}`)).split(path.sep).join('/');
+}
+
+function getVariantPath(pattern, width, format) {
+    return path.join(ROOT_DIR, pattern.replace('{width}', width).replace('{format}', format));
+}
+
+// The configured widths below the original, then the original (or the largest
+// configured width, whichever is smaller)
+function pickWidths(originalWidth) {
+    const largest = Math.min(originalWidth, Math.max(...CONFIG.widths));
+    return [...CONFIG.widths.filter(width => width < largest), largest];
+}
+
+
+// ============================================
+// ENCODING (sharp)
+// ============================================
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        return null;
+    }
+}
+
+async function encodeImage(sharp, imagePath, buffer) {
+    const size = readImageSize(buffer);
+    if (!size) throw new Error('not a JPEG, PNG or WebP file');
+
+    const variants = getVariantPattern(imagePath);
+    const widths = pickWidths(size.width);
+    const formats = Object.keys(CONFIG.formats);
+    fs.mkdirSync(CONFIG.variantsDir, { recursive: true });
+
+    // One at a time: a few large photos at once can take a lot of memory
+    for (const width of widths) {
+        for (const format of formats) {
+            await sharp(buffer)
+                .resize({ width, withoutEnlargement: true })[format](CONFIG.formats[format])
+                .toFile(getVariantPath(variants, width, format));
+        }
+    }
+
+    const tiny = await sharp(buffer)
+        .resize({ width: CONFIG.placeholderWidth })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        ...size,
+        hash: hashBuffer(buffer),
+        placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+        variants,
+        widths,
+        formats
+    };
+}
+
+function isEncoded(entry, buffer) {
+    return Boolean(entry) && entry.hash === hashBuffer(buffer) &&
+        entry.widths.every(width => entry.formats.every(format => fs.existsSync(getVariantPath(entry.variants, width, format))));
+}
+
+/**
+ * Encode every image in CONFIG.sourceDir that is new, changed or missing
+ * variants, then rewrite data/images.json and delete variants nobody uses.
+ * Returns { encoded, unchanged, failed, removed }.
+ */
+async function buildImages(options = {}) {
+    const sharp = options.sharp || loadSharp();
+    if (!sharp) throw new Error('sharp is not installed. Run: npm install');
+
+    const previous = options.force ? {} : loadManifest();
+    const images = {};
+    const result = { encoded: [], unchanged: [], failed: [], removed: [] };
+
+    const files = fs.readdirSync(CONFIG.sourceDir)
+        .filter(file => /\.(jpe?g|png)$/i.test(file))
+        .sort();
+
+    for (const file of files) {
+        const imagePath = path.relative(ROOT_DIR, path.join(CONFIG.sourceDir, file)).split(path.sep).join('/');
+        const buffer = fs.readFileSync(path.join(CONFIG.sourceDir, file));
+
+        if (isEncoded(previous[imagePath], buffer)) {
+            images[imagePath] = previous[imagePath];
+            result.unchanged.push(imagePath);
+            continue;
+        }
+        try {
+            images[imagePath] = await encodeImage(sharp, imagePath, buffer);
+            result.encoded.push(imagePath);
+        } catch (error) {
+            result.failed.push(`${imagePath}: ${error.message}`);
+        }
+    }
+
+    fs.mkdirSync(path.dirname(CONFIG.manifestPath), { recursive: true });
+    fs.writeFileSync(CONFIG.manifestPath, JSON.stringify({ images }, null, 4) + '\n');
+
+    // Variants of deleted or re-encoded photos at widths no longer made
+    const kept = new Set(Object.values(images).flatMap(entry =>
+        entry.widths.flatMap(width => entry.formats.map(format => getVariantPath(entry.variants, width, format)))
+    ));
+    if (fs.existsSync(CONFIG.variantsDir)) {
+        fs.readdirSync(CONFIG.variantsDir)
+            .map(file => path.join(CONFIG.variantsDir, file))
+            .filter(filePath => !kept.has(filePath))
+            .forEach(filePath => {
+                fs.unlinkSync(filePath);
+                result.removed.push(path.relative(ROOT_DIR, filePath));
+            });
+    }
+
+    return result;
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const started = Date.now();
+    let result;
+    try {
+        result = await buildImages({ force: argv.includes('--force') });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const { encoded, unchanged, failed, removed } = result;
+    console.log(`✅ Encoded ${encoded.length} image(s), ${unchanged.length} unchanged` +
+        `${removed.length ? `, removed ${removed.length} old variant(s)` : ''} in ${Date.now() - started} ms`);
+    encoded.forEach(imagePath => console.log(`   ${imagePath}`));
+    if (failed.length > 0) {
+        console.error(`❌ ${failed.length} image(s) could not be encoded:`);
+        failed.forEach(message => console.error(`   - ${message}`));
+        process.exit(1);
+    }
+    if (encoded.length > 0) console.log('   Run node scripts/build-site.js to use them in the pages and the index.');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    readImageSize,
+    describeImage,
+    pickWidths,
+    buildImages
+};
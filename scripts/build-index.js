@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Posts Index Generator
+ * Scans posts/*.html and rebuilds data/posts-index.json (lightweight, for the
+ * homepage grid, carousel and sidebar), its paged shards
+ * data/posts-index-1.json, -2.json... (fetched one at a time by the homepage)
+ * and data/posts.json (full content, for the legacy loadPostsData path).
+ * Post images get their size, and the variants and placeholder from
+ * data/images.json (see build-images.js), as `imageMeta`. Redirect pages for
+ * duplicates (see audit-duplicates.js) are skipped.
+ *
+ * Usage:
+ *   node scripts/build-index.js          Write the JSON files
+ *   node scripts/build-index.js --check  Exit 1 if the files are out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseIngredient, getRecipeData, getPostFacets, countFacets } = require('../js/recipe.js');
+const { flattenContentBlocks, validateContentBlocks } = require('../js/content.js');
+const { describeImage } = require('./build-images.js');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG = {
+    postsDir: path.join(ROOT_DIR, 'posts'),
+    indexPath: path.join(ROOT_DIR, 'data', 'posts-index.json'),
+    dataPath: path.join(ROOT_DIR, 'data', 'posts.json'),
+    shardsDir: path.join(ROOT_DIR, 'data'),
+    shardSize: 24,
+    excerptLength: 200,
+    requiredFields: ['slug', 'title', 'category', 'date', 'image', 'excerpt']
+};
+
+
+// ============================================
+// HTML HELPERS
+// ============================================
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x'
+                ? parseInt(code.slice(2), 16)
+                : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(value);
+        }
+        return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// First element matching `<tag ... class="className" ...>...</tag>` (no nesting of the same tag)
+function findByClass(html, tag, className) {
+    const pattern = new RegExp(
+        `<${tag}\\b[^>]*class="[^"]*\\b${className}\\b[^"]*"[^>]*>([\\s\\S]*?)</${tag}>`,
+        'i'
+    );
+    const match = html.match(pattern);
+    return match ? match[1] : null;
+}
+
+function getAttribute(tagHtml, name) {
+    const match = tagHtml.match(new RegExp(`\\b${name}="([^"]*)"`, 'i'));
+    return match ? decodeEntities(match[1]) : null;
+}
+
+function listItems(listHtml) {
+    if (!listHtml) return [];
+    return [...listHtml.matchAll(/<li\b[^>]*>([\s\S]*?)<\/li>/gi)]
+        .map(match => stripTags(match[1]))
+        .filter(Boolean);
+}
+
+// The <ul>/<ol> that directly follows a heading such as <h3>Ingredients</h3>
+function listAfterHeading(html, headingText, listTag) {
+    const pattern = new RegExp(
+        `<h[2-4][^>]*>\\s*${headingText}\\s*</h[2-4]>\\s*<${listTag}\\b[^>]*>([\\s\\S]*?)</${listTag}>`,
+        'i'
+    );
+    const match = html.match(pattern);
+    return match ? listItems(match[1]) : [];
+}
+
+
+// ============================================
+// POST PARSING
+// ============================================
+function extractPreloadedPost(html) {
+    const match = html.match(/window\.preloadedPost\s*=\s*(\{[\s\S]*?\});\s*<\/script>/);
+    if (!match) return {};
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        throw new Error(`window.preloadedPost is not valid JSON (${error.message})`);
+    }
+}
+
+// "1/17/2026" (M/D/YYYY, as written by the generator) -> "2026-01-17"
+function normalizeDate(text) {
+    if (!text) return null;
+    const usDate = text.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (usDate) {
+        const [, month, day, year] = usDate;
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+    const parsed = new Date(text);
+    return isNaN(parsed) ? null : parsed.toISOString().slice(0, 10);
+}
+
+// Images are stored relative to the site root ("images/posts/x.jpg");
+// main.js adds "../" back when rendering inside /posts/.
+function normalizeImagePath(src) {
+    if (!src) return null;
+    if (/^(https?:)?\/\//.test(src)) return src;
+    return src.replace(/^(\.\.\/)+/, '').replace(/^\//, '');
+}
+
+function makeExcerpt(text, maxLength) {
+    if (!text || text.length <= maxLength) return text || '';
+    const cut = text.substring(0, maxLength);
+    return cut.substring(0, cut.lastIndexOf(' ')).replace(/[,;:.!?-]+$/, '') + '...';
+}
+
+function parsePostHtml(html, fileName) {
+    const preloaded = extractPreloadedPost(html);
+    const body = findByClass(html, 'div', 'post-body') || '';
+    const imageTag = (html.match(/<img\b[^>]*class="[^"]*\bpost-image\b[^"]*"[^>]*>/i) || [''])[0];
+
+    const paragraphs = [...body.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+        .map(match => stripTags(match[1]))
+        .filter(Boolean);
+
+    // Pages built from content blocks carry them in preloadedPost; their plain
+    // arrays come from the blocks rather than the richer markup
+    const blocks = preloaded.content && preloaded.content.blocks;
+    // build-site.js marks its lists, whatever language the headings are in;
+    // hand-written pages have them after an English heading
+    const markedList = (tag, className) => {
+        const listHtml = findByClass(body, tag, className);
+        return listHtml === null ? null : listItems(listHtml);
+    };
+    const content = blocks
+        ? { blocks, ...flattenContentBlocks(blocks) }
+        : {
+            paragraphs,
+            ingredients: markedList('ul', 'ingredients-list') || listAfterHeading(body, 'Ingredients', 'ul'),
+            steps: markedList('ol', 'steps-list') || listAfterHeading(body, '(?:Instructions|Steps|Method)', 'ol')
+        };
+
+    const titleHtml = findByClass(html, 'h1', 'post-title');
+    const categoryHtml = findByClass(html, 'span', 'category');
+    const dateHtml = findByClass(html, 'span', 'date');
+
+    return {
+        slug: preloaded.slug || path.basename(fileName, '.html'),
+        fileSlug: path.basename(fileName, '.html'),
+        title: preloaded.title || (titleHtml && stripTags(titleHtml)) || null,
+        category: preloaded.category || (categoryHtml && stripTags(categoryHtml)) || null,
+        date: normalizeDate(preloaded.date || (dateHtml && stripTags(dateHtml))),
+        image: normalizeImagePath(preloaded.image || getAttribute(imageTag, 'src')),
+        excerpt: makeExcerpt(content.paragraphs[0], CONFIG.excerptLength),
+        content,
+        ...(preloaded.lang ? { lang: preloaded.lang } : {}),
+        ...(preloaded.translations ? { translations: preloaded.translations } : {}),
+        ...(preloaded.tags ? { tags: preloaded.tags } : {}),
+        ...(preloaded.featured ? { featured: true } : {}),
+        ...(preloaded.canonical ? { canonical: preloaded.canonical } : {}),
+        // Optional times/yield/cuisine/nutrition (see js/recipe.js)
+        recipe: preloaded.recipe || {}
+    };
+}
+
+// Redirect pages build-site.js writes for duplicates (see audit-duplicates.js)
+function isRedirectPage(html) {
+    return /<meta\s+http-equiv="refresh"/i.test(html);
+}
+
+function collectPosts(postsDir = CONFIG.postsDir) {
+    return fs.readdirSync(postsDir)
+        .filter(file => file.endsWith('.html'))
+        .sort()
+        .map(file => [file, fs.readFileSync(path.join(postsDir, file), 'utf8')])
+        .filter(([, html]) => !isRedirectPage(html))
+        .map(([file, html]) => {
+            try {
+                return parsePostHtml(html, file);
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+        });
+}
+
+
+// ============================================
+// VALIDATION
+// ============================================
+function validatePosts(posts) {
+    const errors = [];
+    const seen = { slug: new Map(), title: new Map() };
+    const slugs = new Set(posts.map(post => post.slug));
+
+    posts.forEach(post => {
+        const file = `posts/${post.fileSlug}.html`;
+
+        CONFIG.requiredFields.forEach(field => {
+            if (!post[field]) errors.push(`${file}: missing "${field}"`);
+        });
+
+        if (post.slug !== post.fileSlug) {
+            errors.push(`${file}: preloadedPost.slug "${post.slug}" does not match the file name`);
+        }
+
+        if (post.content.ingredients.length === 0) errors.push(`${file}: no ingredients list found`);
+        if (post.content.steps.length === 0) errors.push(`${file}: no instructions list found`);
+        if (post.content.blocks) {
+            validateContentBlocks(post.content.blocks).forEach(error => errors.push(`${file}: ${error}`));
+        }
+
+        // { locale: slug } pointing at other posts
+        Object.entries(post.translations || {}).forEach(([lang, slug]) => {
+            if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(lang)) errors.push(`${file}: "${lang}" is not a language tag`);
+            if (slug === post.slug || !slugs.has(slug)) errors.push(`${file}: translation "${lang}" points to unknown post "${slug}"`);
+        });
+        if (post.canonical && (post.canonical === post.slug || !slugs.has(post.canonical))) {
+            errors.push(`${file}: canonical points to unknown post "${post.canonical}"`);
+        }
+
+        ['slug', 'title'].forEach(field => {
+            const key = String(post[field] || '').toLowerCase();
+            if (!key) return;
+            if (seen[field].has(key)) {
+                errors.push(`${file}: duplicate ${field} "${post[field]}" (also in ${seen[field].get(key)})`);
+            } else {
+                seen[field].set(key, file);
+            }
+        });
+    });
+
+    return errors;
+}
+
+
+// ============================================
+// OUTPUT
+// ============================================
+function sortPosts(posts) {
+    return [...posts].sort((a, b) =>
+        b.date.localeCompare(a.date) || a.title.localeCompare(b.title)
+    );
+}
+
+function toIndexEntry(post) {
+    const entry = {
+        slug: post.slug,
+        title: post.title,
+        excerpt: post.excerpt,
+        category: post.category,
+        date: post.date,
+        image: post.image,
+        ingredients: post.content.ingredients
+    };
+    const imageMeta = describeImage(post.image);
+    if (imageMeta) entry.imageMeta = imageMeta;
+    if (post.lang) entry.lang = post.lang;
+    if (post.tags) entry.tags = post.tags;
+    if (post.featured) entry.featured = true;
+    if (post.canonical) entry.canonical = post.canonical;
+
+    const { totalTime } = getRecipeData(post);
+    if (totalTime) entry.totalTime = totalTime;
+
+    // Homepage filter panel (see RECIPE_FACETS in js/recipe.js)
+    const facets = Object.entries(getPostFacets(post)).filter(([, values]) => values.length > 0);
+    if (facets.length > 0) entry.facets = Object.fromEntries(facets);
+    return entry;
+}
+
+// posts.json carries the structured recipe: { quantity, unit, name, note } per ingredient
+function toFullEntry(post) {
+    const { fileSlug, recipe, ...entry } = post;
+    const imageMeta = describeImage(post.image);
+    return {
+        ...entry,
+        ...(imageMeta ? { imageMeta } : {}),
+        recipe: {
+            ...recipe,
+            ingredients: recipe.ingredients && recipe.ingredients.length
+                ? recipe.ingredients
+                : post.content.ingredients.map(toStoredIngredient)
+        }
+    };
+}
+
+// `rest` is a parsing aid for the scaler, not part of the stored model
+function toStoredIngredient(line) {
+    const { rest, ...ingredient } = parseIngredient(line);
+    return ingredient;
+}
+
+function buildOutputs(posts, generatedAt = new Date().toISOString()) {
+    const sorted = sortPosts(posts);
+    const entries = sorted.map(toIndexEntry);
+    return {
+        index: { posts: entries, generatedAt, count: sorted.length },
+        shards: buildShards(entries, generatedAt),
+        data: { posts: sorted.map(toFullEntry), generatedAt, count: sorted.length }
+    };
+}
+
+// The first shard also lists every category with its count, every featured
+// post and the facet counts, so the sidebar, #category links, hero carousel
+// and filter panel work before the other shards are fetched
+function buildShards(entries, generatedAt, shardSize = CONFIG.shardSize) {
+    const pages = Math.max(1, Math.ceil(entries.length / shardSize));
+    const categories = [];
+    entries.forEach(entry => {
+        const known = categories.find(c => c.name === entry.category);
+        if (known) known.count++;
+        else categories.push({ name: entry.category, count: 1 });
+    });
+
+    return Array.from({ length: pages }, (_, i) => ({
+        page: i + 1,
+        pages,
+        pageSize: shardSize,
+        count: entries.length,
+        ...(i === 0 ? { categories, featured: entries.filter(entry => entry.featured), facets: countFacets(entries) } : {}),
+        posts: entries.slice(i * shardSize, (i + 1) * shardSize),
+        generatedAt
+    }));
+}
+
+function getShardPath(page) {
+    return path.join(CONFIG.shardsDir, `posts-index-${page}.json`);
+}
+
+// [filePath, json] pairs for everything buildOutputs produced
+function getOutputTargets({ index, shards, data }) {
+    return [
+        [CONFIG.indexPath, index],
+        ...shards.map(shard => [getShardPath(shard.page), shard]),
+        [CONFIG.dataPath, data]
+    ];
+}
+
+// Shards left over from a time when there were more posts
+function findStaleShards(pages) {
+    if (!fs.existsSync(CONFIG.shardsDir)) return [];
+    return fs.readdirSync(CONFIG.shardsDir)
+        .map(file => file.match(/^posts-index-(\d+)\.json$/))
+        .filter(match => match && Number(match[1]) > pages)
+        .map(match => path.join(CONFIG.shardsDir, match[0]));
+}
+
+function serialize(json) {
+    return JSON.stringify(json, null, 4) + '\n';
+}
+
+// Compare ignoring generatedAt so --check is stable between runs
+function isUpToDate(filePath, expected) {
+    if (!fs.existsSync(filePath)) return false;
+    try {
+        const current = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return serialize({ ...current, generatedAt: null }) === serialize({ ...expected, generatedAt: null });
+    } catch (error) {
+        return false;
+    }
+}
+
+function main(argv = process.argv.slice(2)) {
+    const checkOnly = argv.includes('--check');
+
+    const posts = collectPosts();
+    const errors = validatePosts(posts);
+    if (errors.length > 0) {
+        console.error(`❌ ${errors.length} problem(s) found in posts/:`);
+        errors.forEach(error => console.error(`   - ${error}`));
+        process.exit(1);
+    }
+
+    const outputs = buildOutputs(posts);
+    const targets = getOutputTargets(outputs);
+    const staleShards = findStaleShards(outputs.shards.length);
+
+    if (checkOnly) {
+        const stale = targets
+            .filter(([filePath, json]) => !isUpToDate(filePath, json))
+            .map(([filePath]) => filePath)
+            .concat(staleShards);
+        if (stale.length > 0) {
+            stale.forEach(filePath => console.error(`❌ Out of date: ${path.relative(ROOT_DIR, filePath)}`));
+            console.error('   Run: node scripts/build-index.js');
+            process.exit(1);
+        }
+        console.log(`✅ Posts index is up to date (${posts.length} posts)`);
+        return;
+    }
+
+    targets.forEach(([filePath, json]) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, serialize(json));
+        console.log(`✅ Wrote ${path.relative(ROOT_DIR, filePath)} (${json.posts.length} posts)`);
+    });
+    staleShards.forEach(filePath => {
+        fs.unlinkSync(filePath);
+        console.log(`🗑️  Removed ${path.relative(ROOT_DIR, filePath)}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    decodeEntities,
+    stripTags,
+    parsePostHtml,
+    collectPosts,
+    validatePosts,
+    buildOutputs,
+    buildShards,
+    getOutputTargets,
+    findStaleShards,
+    serialize,
+    isUpToDate,
+    sortPosts,
+    makeExcerpt,
+    normalizeDate,
+    normalizeImagePath
+};
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Popular Recipes
+ * Turns reading analytics (the events js/main.js sends through its 'http'
+ * analytics sink) into data/popular.json, which fills the "Popular Recipes"
+ * sidebar widget.
+ *
+ * Usage:
+ *   node scripts/build-popular.js <events-file> [--days 30]
+ *
+ * The events file is a JSON array, an object with an `events` array (what
+ * GET /api/events on scripts/mock-api.js answers) or one JSON event per line.
+ * Only events from the last --days days count, and only for posts that are
+ * in data/posts-index.json.
+ *
+ * Output:
+ *   { "generatedAt", "days", "posts": [{ slug, title, views, reads, cooks, prints, score }] }
+ *   with the highest score first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG = {
+    indexPath: path.join(ROOT_DIR, 'data', 'posts-index.json'),
+    outputPath: path.join(ROOT_DIR, 'data', 'popular.json'),
+    days: 30,
+    limit: 20,
+    // A finished read or a cooked recipe says more than a page view
+    weights: { views: 1, reads: 3, cooks: 5, prints: 5 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+// ============================================
+// EVENTS
+// ============================================
+function parseEvents(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            const data = JSON.parse(trimmed);
+            if (Array.isArray(data)) return data;
+            if (Array.isArray(data.events)) return data.events;
+        } catch (error) {
+            // Not a single JSON document; try one event per line
+        }
+    }
+
+    return trimmed.split(/\r?\n/)
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${index + 1} is not valid JSON`);
+            }
+        });
+}
+
+// Map<slug, { views, reads, cooks, prints }> for events at or after `since` (ms)
+function countEvents(events, since = 0) {
+    const counts = new Map();
+    const countsFor = (slug) => {
+        if (!counts.has(slug)) counts.set(slug, { views: 0, reads: 0, cooks: 0, prints: 0 });
+        return counts.get(slug);
+    };
+
+    events.forEach(event => {
+        if (!event || typeof event.slug !== 'string' || !event.slug) return;
+        if (!(Date.parse(event.time) >= since)) return;
+
+        if (event.type === 'page_view') {
+            countsFor(event.slug).views++;
+        } else if (event.type === 'scroll_depth' && event.depth >= 100) {
+            countsFor(event.slug).reads++;
+        } else if (event.type === 'cook_mode' && event.action === 'start') {
+            countsFor(event.slug).cooks++;
+        } else if (event.type === 'print') {
+            countsFor(event.slug).prints++;
+        }
+    });
+
+    return counts;
+}
+
+function scoreCounts(counts, weights = CONFIG.weights) {
+    return Object.keys(weights).reduce((score, key) => score + (counts[key] || 0) * weights[key], 0);
+}
+
+// Posts that are still published, best score first (ties: most views, then title)
+function rankPopular(counts, posts, limit = CONFIG.limit) {
+    return posts
+        .filter(post => counts.has(post.slug))
+        .map(post => {
+            const postCounts = counts.get(post.slug);
+            return { slug: post.slug, title: post.title, ...postCounts, score: scoreCounts(postCounts) };
+        })
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || b.views - a.views || a.title.localeCompare(b.title))
+        .slice(0, limit);
+}
+
+function buildPopular(events, posts, { days = CONFIG.days, now = new Date() } = {}) {
+    const since = now.getTime() - days * DAY_MS;
+    return {
+        generatedAt: now.toISOString(),
+        days,
+        posts: rankPopular(countEvents(events, since), posts)
+    };
+}
+
+
+// ============================================
+// CLI
+// ============================================
+function parseArgs(argv) {
+    const valueOf = (flag) => {
+        const index = argv.indexOf(flag);
+        return index === -1 ? null : argv[index + 1];
+    };
+    const days = valueOf('--days');
+    return {
+        file: argv.find((arg, index) => !arg.startsWith('--') && argv[index - 1] !== '--days') || null,
+        days: days === null ? CONFIG.days : Number(days)
+    };
+}
+
+function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    if (!options.file || !(options.days > 0)) {
+        console.error('Usage: node scripts/build-popular.js <events-file> [--days 30]');
+        process.exit(1);
+    }
+
+    let events;
+    try {
+        events = parseEvents(fs.readFileSync(options.file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${options.file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    const { posts } = JSON.parse(fs.readFileSync(CONFIG.indexPath, 'utf8'));
+    const popular = buildPopular(events, posts, { days: options.days });
+    fs.writeFileSync(CONFIG.outputPath, JSON.stringify(popular, null, 4) + '\n');
+
+    console.log(`✅ Popular recipes: ${popular.posts.length} post(s) from ${events.length} event(s) in the last ${options.days} days`);
+    popular.posts.slice(0, 5).forEach((post, index) => console.log(`   ${index + 1}. ${post.title} (${post.score})`));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    parseEvents,
+    countEvents,
+    scoreCounts,
+    rankPopular,
+    buildPopular
+};
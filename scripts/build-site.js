@@ -0,0 +1,886 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Static Site Generator
+ * Renders every posts/<slug>.html from templates/post.html with the meta,
+ * Open Graph and Twitter tags, hreflang links to translations,
+ * window.preloadedPost, Recipe JSON-LD, responsive images (see build-images.js)
+ * and the sidebar / related-posts HTML
+ * filled in, in the site locale (I18N_CONFIG in js/i18n.js), then refreshes the posts index
+ * (see build-index.js), the feeds and sitemap (see build-feeds.js) and the
+ * service worker's cache version (see build-sw.js).
+ * Posts recorded as duplicates in data/duplicates.json (see audit-duplicates.js)
+ * get a canonical link to the post that was kept, or a redirect page instead.
+ *
+ * Usage:
+ *   node scripts/build-site.js                         Build from data/posts.json
+ *   node scripts/build-site.js --markdown content/posts Build from Markdown files with front matter
+ *   node scripts/build-site.js --force                 Ignore the build cache and render every page
+ *   node scripts/build-site.js --watch [--port 8080]   Rebuild on change and serve the site locally
+ *
+ * Pages whose inputs haven't changed since the last build are skipped
+ * (hashes live in .cache/build-site.json).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+    CONFIG: INDEX_CONFIG,
+    collectPosts,
+    validatePosts,
+    buildOutputs,
+    getOutputTargets,
+    findStaleShards,
+    serialize,
+    isUpToDate,
+    sortPosts,
+    makeExcerpt,
+    normalizeDate,
+    normalizeImagePath
+} = require('./build-index.js');
+const { describeImage } = require('./build-images.js');
+const { CONFIG: DUPLICATES_CONFIG, loadDuplicates, validateDuplicates } = require('./audit-duplicates.js');
+const {
+    normalizeIngredient,
+    getRecipeData,
+    buildRecipeJsonLd,
+    serializeJsonLd,
+    rankRelatedPosts
+} = require('../js/recipe.js');
+const {
+    renderContentBlocks,
+    flattenContentBlocks,
+    stripInlineMarkdown,
+    parseVideoUrl,
+    CONTENT_CALLOUTS
+} = require('../js/content.js');
+const {
+    I18N_CONFIG,
+    createTranslator,
+    translateMarkup,
+    formatLocaleDate,
+    getLocaleDir
+} = require('../js/i18n.js');
+const { categorySlug, renderFeedLinks, writeFeeds } = require('./build-feeds.js');
+const { writeServiceWorker } = require('./build-sw.js');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG = {
+    templatePath: path.join(ROOT_DIR, 'templates', 'post.html'),
+    sitePath: path.join(ROOT_DIR, 'data', 'site.json'),
+    catalogDir: path.join(ROOT_DIR, 'data', 'i18n'),
+    dataPath: INDEX_CONFIG.dataPath,
+    postsDir: INDEX_CONFIG.postsDir,
+    duplicatesPath: DUPLICATES_CONFIG.duplicatesPath,
+    cachePath: path.join(ROOT_DIR, '.cache', 'build-site.json'),
+    recentPostsCount: 5,
+    relatedPostsCount: 4,
+    // Same as CONFIG.images in main.js
+    fallbackImage: 'images/placeholder.svg',
+    imageSizes: {
+        post: '(max-width: 968px) 100vw, 860px',
+        related: '80px'
+    },
+    // Pages are written with CRLF, like the rest of the site (see .gitattributes)
+    lineEnding: '\r\n',
+    port: 8080
+};
+
+
+// ============================================
+// SOURCES
+// ============================================
+// Same shape as data/posts.json entries. Posts written as content blocks
+// (js/content.js) get the plain arrays as well.
+function normalizePost(post) {
+    const content = post.content || {};
+    const blocks = Array.isArray(content.blocks) ? content.blocks : null;
+    const plain = blocks ? flattenContentBlocks(blocks) : content;
+    return {
+        ...post,
+        date: normalizeDate(post.date),
+        image: normalizeImagePath(post.image),
+        // Size, variants and placeholder (build-images.js); never taken from the source
+        imageMeta: describeImage(normalizeImagePath(post.image)),
+        excerpt: post.excerpt || makeExcerpt((plain.paragraphs || [])[0], INDEX_CONFIG.excerptLength),
+        content: {
+            ...(blocks ? { blocks } : {}),
+            paragraphs: plain.paragraphs || [],
+            ingredients: plain.ingredients || [],
+            steps: plain.steps || []
+        },
+        recipe: post.recipe || {}
+    };
+}
+
+function loadJsonPosts(filePath = CONFIG.dataPath) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return (json.posts || []).map(normalizePost);
+}
+
+function loadMarkdownPosts(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.md'))
+        .sort()
+        .map(file => {
+            try {
+                return parseMarkdownPost(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * A Markdown post is front matter plus a body:
+ *
+ *   ---
+ *   title: Garlic Egg Noodles
+ *   category: Noodle Recipes
+ *   date: 2026-01-17
+ *   image: images/posts/garlic-egg-noodles.jpg
+ *   tags: [noodles, garlic]
+ *   featured: true
+ *   lang: en                  (defaults to the site locale)
+ *   translations:             (the same recipe in other languages, by slug)
+ *     es: fideos-al-ajo
+ *   recipe:
+ *     prepTime: 5
+ *     cookTime: 10
+ *     servings: 2
+ *     cuisine: Chinese
+ *     diet: [vegetarian]
+ *     mainIngredient: egg
+ *   ---
+ *   Intro paragraphs with **bold**, _italic_ and [links](https://example.com)...
+ *
+ *   ![Noodles in the wok](images/posts/wok.jpg "Toss them fast")
+ *
+ *   > [!TIP] Make ahead
+ *   > The sauce keeps for a week in the fridge.
+ *
+ *   https://www.youtube.com/watch?v=...
+ *
+ *   ## Ingredients
+ *   ### For the noodles
+ *   - 8 oz egg noodles
+ *   ### For the sauce
+ *   - 2 tbsp soy sauce
+ *
+ *   ## Instructions
+ *   1. Cook the noodles.
+ *   ![Draining the noodles](images/posts/drain.jpg)
+ */
+function parseMarkdownPost(source, fileName) {
+    const { data, body } = parseFrontMatter(source);
+    const { recipe, ...fields } = data;
+
+    return normalizePost({
+        ...fields,
+        slug: data.slug || path.basename(fileName, '.md'),
+        content: parseMarkdownBody(body),
+        recipe: recipe || {}
+    });
+}
+
+function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { data: {}, body: source };
+    return { data: parseYamlLite(match[1]), body: source.slice(match[0].length) };
+}
+
+// Enough YAML for front matter: `key: value`, inline [a, b] lists, `- item`
+// block lists and one level of nested keys (e.g. under `recipe:`)
+function parseYamlLite(text) {
+    const data = {};
+    let parentKey = null;
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const indented = /^\s/.test(line);
+        const pair = trimmed.match(/^([\w-]+):(?:\s+(.*))?$/);
+
+        if (indented && parentKey) {
+            if (trimmed.startsWith('- ')) {
+                if (!Array.isArray(data[parentKey])) data[parentKey] = [];
+                data[parentKey].push(parseYamlValue(trimmed.slice(2)));
+                return;
+            }
+            if (pair) {
+                if (!data[parentKey] || Array.isArray(data[parentKey])) data[parentKey] = {};
+                data[parentKey][pair[1]] = parseYamlValue(pair[2] || '');
+                return;
+            }
+        }
+
+        if (!pair || indented) {
+            throw new Error(`front matter line ${index + 1}: cannot parse "${trimmed}"`);
+        }
+        const value = (pair[2] || '').trim();
+        data[pair[1]] = value ? parseYamlValue(value) : null;
+        parentKey = value ? null : pair[1];
+    });
+
+    return data;
+}
+
+function parseYamlValue(text) {
+    const value = text.trim();
+    if (/^".*"$/.test(value)) return JSON.parse(value);
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    if (/^\[.*\]$/.test(value)) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? inner.split(',').map(parseYamlValue) : [];
+    }
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null' || value === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// Body -> content blocks (js/content.js). "Ingredients" and "Instructions/
+// Steps/Method" headings start the recipe lists, and ### headings inside the
+// ingredients start groups. An image on its own line becomes a figure (or the
+// photo of the step above it), a YouTube/Vimeo link on its own line a video,
+// and "> [!TIP] Title" quotes a callout (also [!NOTE] and [!WARNING]).
+function parseMarkdownBody(body) {
+    const blocks = [];
+    let list = null;     // the ingredients or steps block being filled
+    let paragraph = [];
+    let callout = null;
+
+    const flush = () => {
+        if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+        paragraph = [];
+        if (callout) blocks.push({ ...callout, text: callout.text.trim() });
+        callout = null;
+    };
+
+    body.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+        const image = line.match(/^\s*!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)\s*$/);
+        const quote = line.match(/^\s*>\s?(.*)$/);
+        const video = parseVideoUrl(line.trim().replace(/^<(.*)>$/, '$1'));
+
+        if (quote) {
+            if (paragraph.length > 0 || !callout) flush();
+            const marker = !callout && quote[1].match(/^\[!(\w+)\]\s*(.*)$/);
+            if (!callout) {
+                const variant = marker && CONTENT_CALLOUTS[marker[1].toLowerCase()] ? marker[1].toLowerCase() : 'note';
+                callout = { type: 'callout', variant, text: '' };
+                if (marker && marker[2]) callout.title = marker[2];
+                if (marker) return;
+            }
+            callout.text += quote[1].trim() ? `${quote[1].trim()} ` : '\n\n';
+        } else if (heading) {
+            flush();
+            const level = heading[1].length;
+            if (/ingredient/i.test(heading[2])) {
+                list = { type: 'ingredients', groups: [] };
+                blocks.push(list);
+            } else if (/instruction|step|method|direction/i.test(heading[2])) {
+                list = { type: 'steps', items: [] };
+                blocks.push(list);
+            } else if (list && list.type === 'ingredients' && level >= 3) {
+                list.groups.push({ title: stripInlineMarkdown(heading[2]), items: [] });
+            } else {
+                list = null;
+                blocks.push({ type: 'heading', text: heading[2].trim(), level: Math.min(4, Math.max(2, level)) });
+            }
+        } else if (image) {
+            flush();
+            const [, alt, src, caption] = image;
+            const lastStep = list && list.type === 'steps' ? list.items.length - 1 : -1;
+            if (lastStep >= 0 && typeof list.items[lastStep] === 'string') {
+                list.items[lastStep] = { text: list.items[lastStep], image: src, alt };
+            } else {
+                blocks.push({ type: 'image', src, alt, ...(caption ? { caption } : {}) });
+            }
+        } else if (video) {
+            flush();
+            blocks.push({ type: 'video', url: line.trim().replace(/^<(.*)>$/, '$1') });
+        } else if (item && list) {
+            flush();
+            if (list.type === 'steps') {
+                list.items.push(item[1].trim());
+            } else {
+                if (list.groups.length === 0) list.groups.push({ title: null, items: [] });
+                list.groups[list.groups.length - 1].items.push(item[1].trim());
+            }
+        } else if (line.trim()) {
+            if (callout) flush();
+            paragraph.push(line.trim());
+        } else {
+            flush();
+        }
+    });
+    flush();
+
+    // A list without subheadings is one plain list
+    blocks.forEach(block => {
+        if (block.type !== 'ingredients') return;
+        block.groups = block.groups.filter(group => group.items.length > 0);
+        if (block.groups.length === 1 && !block.groups[0].title) {
+            block.items = block.groups[0].items;
+            delete block.groups;
+        }
+    });
+    return { blocks };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Messages for the site locale; English is built into js/i18n.js
+function loadCatalog(locale) {
+    const settings = I18N_CONFIG.locales[locale] || {};
+    const filePath = path.join(CONFIG.catalogDir, `${locale}.json`);
+    if (settings.catalog === false || !fs.existsSync(filePath)) return {};
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Same date format main.js uses, but never relative: the page outlives the build
+function formatDate(isoDate, locale) {
+    return formatLocaleDate(isoDate, locale);
+}
+
+// Pages live in posts/, images are stored relative to the site root
+function pageAssetPath(assetPath) {
+    if (!assetPath || /^(https?:)?\/\//.test(assetPath)) return assetPath || '';
+    return `../${assetPath}`;
+}
+
+// Same markup as renderPostImage() in main.js: <picture> with the AVIF/WebP
+// variants when build-images.js has made them, and width/height either way so
+// nothing moves when the photo arrives
+function renderImage(post, { className = '', sizes = '100vw', loading = '', fetchPriority = '' } = {}) {
+    const meta = post.imageMeta || {};
+    const attributes = [
+        `src="${escapeHtml(pageAssetPath(post.image || CONFIG.fallbackImage))}"`,
+        `alt="${escapeHtml(post.title)}"`,
+        className && `class="${className}"`,
+        meta.width && meta.height && `width="${meta.width}" height="${meta.height}"`,
+        loading && `loading="${loading}"`,
+        fetchPriority && `fetchpriority="${fetchPriority}"`,
+        meta.placeholder && `style="background: center / cover no-repeat url('${escapeHtml(meta.placeholder)}')"`,
+        'onerror="handleImageError(this)"'
+    ].filter(Boolean).join(' ');
+    const image = `<img ${attributes}>`;
+    if (!post.image || !meta.variants) return image;
+
+    const sources = meta.formats.map(format => {
+        const srcset = meta.widths
+            .map(width => `${pageAssetPath(meta.variants.replace('{width}', width).replace('{format}', format))} ${width}w`)
+            .join(', ');
+        return `<source type="image/${format}" srcset="${escapeHtml(srcset)}" sizes="${escapeHtml(sizes)}">`;
+    });
+    return `<picture>${sources.join('')}${image}</picture>`;
+}
+
+function renderArticle(post, context) {
+    const { locale, t } = context;
+    const { paragraphs, ingredients, steps } = post.content;
+    const lines = [
+        `<h1 class="post-title">${escapeHtml(post.title)}</h1>`,
+        '<div class="post-meta">',
+        `    <span class="category">${escapeHtml(post.category)}</span>`,
+        `    <span class="date"><time datetime="${escapeHtml(post.date)}">${escapeHtml(formatDate(post.date, locale))}</time></span>`,
+        '</div>'
+    ];
+    // Same list as renderTranslationLinks() in main.js
+    const translations = Object.entries(post.translations || {});
+    if (translations.length > 0) {
+        const links = translations.map(([lang, slug]) => {
+            const name = (I18N_CONFIG.locales[lang] || {}).name || lang;
+            return `<a href="${encodeURIComponent(slug)}.html" hreflang="${escapeHtml(lang)}" lang="${escapeHtml(lang)}">${escapeHtml(name)}</a>`;
+        });
+        lines.push(`<p class="post-translations">${escapeHtml(t('post.translations'))} ${links.join(', ')}</p>`);
+    }
+    if (post.image) {
+        lines.push(renderImage(post, { className: 'post-image', sizes: CONFIG.imageSizes.post, fetchPriority: 'high' }));
+    }
+
+    lines.push('<div class="post-body">');
+    if (post.content.blocks) {
+        // build-index.js takes these pages' lists from preloadedPost.content.blocks
+        renderContentBlocks(post.content.blocks, { assetPath: pageAssetPath, headingLevel: 3, t })
+            .split('\n')
+            .forEach(line => lines.push(`    ${line}`));
+    } else {
+        // Flat markup: build-index.js finds the lists by class, whatever the headings say
+        paragraphs.forEach(paragraph => lines.push(`    <p>${escapeHtml(paragraph)}</p>`));
+        if (ingredients.length > 0) {
+            lines.push(`    <h3>${escapeHtml(t('post.ingredients'))}</h3>`, '    <ul class="ingredients-list">');
+            ingredients.forEach(ingredient => lines.push(`        <li>${escapeHtml(ingredient)}</li>`));
+            lines.push('    </ul>');
+        }
+        if (steps.length > 0) {
+            lines.push(`    <h3>${escapeHtml(t('post.instructions'))}</h3>`, '    <ol class="steps-list">');
+            steps.forEach(step => lines.push(`        <li>${escapeHtml(step)}</li>`));
+            lines.push('    </ol>');
+        }
+    }
+    lines.push('</div>');
+
+    return indent(lines, 20);
+}
+
+function renderCategoryList(posts) {
+    const categories = [...new Set(posts.map(post => post.category))];
+    return indent(categories.map(category => {
+        const count = posts.filter(post => post.category === category).length;
+        return `<li><a href="../index.html#${categorySlug(category)}">${escapeHtml(category)} (${count})</a></li>`;
+    }), 28);
+}
+
+function renderRecentPosts(posts) {
+    return indent(posts.slice(0, CONFIG.recentPostsCount).map(post =>
+        `<li><a href="${encodeURIComponent(post.slug)}.html">${escapeHtml(post.title)}</a></li>`
+    ), 28);
+}
+
+// Same card markup as renderRelatedPosts() in main.js, which adds the save buttons
+function renderRelatedCards(related, locale) {
+    return indent(related.flatMap(post => [
+        `<div class="related-post-card" data-slug="${escapeHtml(post.slug)}">`,
+        '    <div class="related-post-image">',
+        `        ${renderImage(post, { sizes: CONFIG.imageSizes.related, loading: 'lazy' })}`,
+        '    </div>',
+        '    <div class="related-post-content">',
+        `        <span class="related-post-category">${escapeHtml(post.category)}</span>`,
+        `        <h4 class="related-post-title"><a href="${encodeURIComponent(post.slug)}.html">${escapeHtml(post.title)}</a></h4>`,
+        `        <span class="related-post-date"><time datetime="${escapeHtml(post.date)}">${escapeHtml(formatDate(post.date, locale))}</time></span>`,
+        '    </div>',
+        '</div>'
+    ]), 24);
+}
+
+function indent(lines, spaces) {
+    const pad = ' '.repeat(spaces);
+    return lines.map(line => pad + line).join('\n');
+}
+
+// What main.js needs before the posts index arrives. Ingredient objects are
+// left out when they only restate the list in the page (build-index re-parses it).
+function toPreloadedPost(post) {
+    const { ingredients, ...recipe } = post.recipe;
+    const restatesList = Array.isArray(ingredients) &&
+        ingredients.map(ingredient => normalizeIngredient(ingredient).text).join('\n') === post.content.ingredients.join('\n');
+    if (ingredients && ingredients.length && !restatesList) recipe.ingredients = ingredients;
+
+    const preloaded = {
+        slug: post.slug,
+        title: post.title,
+        category: post.category,
+        date: post.date,
+        image: post.image,
+        excerpt: post.excerpt
+    };
+    if (post.lang) preloaded.lang = post.lang;
+    if (post.translations && Object.keys(post.translations).length) preloaded.translations = post.translations;
+    if (post.tags && post.tags.length) preloaded.tags = post.tags;
+    if (post.featured) preloaded.featured = true;
+    if (post.canonical) preloaded.canonical = post.canonical;
+    if (Object.keys(recipe).length > 0) preloaded.recipe = recipe;
+    if (post.content.blocks) preloaded.content = { blocks: post.content.blocks };
+    return preloaded;
+}
+
+function pageUrl(site, slug) {
+    return new URL(`posts/${encodeURIComponent(slug)}.html`, site.url).href;
+}
+
+// One <link rel="alternate" hreflang> per language version, this page included
+function renderAlternateLinks(post, site, lang) {
+    const translations = Object.entries(post.translations || {});
+    if (translations.length === 0) return '';
+    return [[lang, post.slug], ...translations]
+        .map(([hreflang, slug]) => {
+            const href = pageUrl(site, slug);
+            return `\n    <link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${escapeHtml(href)}">`;
+        })
+        .join('');
+}
+
+function renderPage(template, post, context) {
+    const { site, posts, related, locale = I18N_CONFIG.defaultLocale } = context;
+    const t = context.t || createTranslator(locale, loadCatalog(locale));
+    const lang = post.lang || locale;
+    const url = pageUrl(site, post.slug);
+    // A duplicate sends search engines to the post that was kept
+    const canonicalUrl = post.canonical ? pageUrl(site, post.canonical) : url;
+    const imageUrl = post.image ? new URL(post.image, site.url).href : '';
+
+    const recipe = getRecipeData(post);
+    const jsonLdScript = recipe.ingredients.length || recipe.steps.length
+        ? `    <script type="application/ld+json" id="recipeJsonLd">${serializeJsonLd(buildRecipeJsonLd({ ...post, image: imageUrl }, url))}</script>`
+        : '';
+
+    const values = {
+        lang: escapeHtml(lang),
+        dir: getLocaleDir(lang),
+        alternateLinks: renderAlternateLinks(post, site, lang),
+        siteName: escapeHtml(site.name),
+        title: escapeHtml(post.title),
+        description: escapeHtml(post.excerpt),
+        url: escapeHtml(canonicalUrl),
+        imageUrl: escapeHtml(imageUrl),
+        date: escapeHtml(post.date),
+        category: escapeHtml(post.category),
+        feedLinks: renderFeedLinks(site, post.category, 1),
+        jsonLdScript,
+        article: renderArticle(post, { locale, t }),
+        relatedStyle: related.length ? '' : ' style="display: none;"',
+        relatedPosts: renderRelatedCards(related, locale),
+        categoryList: renderCategoryList(posts),
+        recentPosts: renderRecentPosts(posts),
+        preloadedPost: serializeJsonLd(toPreloadedPost(post))
+    };
+
+    // Interface strings (data-i18n) first, so post content is never touched
+    return translateMarkup(template, t).replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+        if (!(key in values)) throw new Error(`Unknown template placeholder ${placeholder}`);
+        return values[key];
+    });
+}
+
+// Stands in for a duplicate that was redirected to `target` (a post). Crawlers
+// follow the refresh and the canonical link; browsers leave through the script,
+// keeping any #fragment.
+function renderRedirectPage(target, context) {
+    const { site, locale = I18N_CONFIG.defaultLocale } = context;
+    const t = context.t || createTranslator(locale, loadCatalog(locale));
+    const href = escapeHtml(`${encodeURIComponent(target.slug)}.html`);
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}" dir="${getLocaleDir(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <meta http-equiv="refresh" content="0; url=${href}">
+    <link rel="canonical" href="${escapeHtml(pageUrl(site, target.slug))}">
+    <title>${escapeHtml(target.title)} - ${escapeHtml(site.name)}</title>
+    <script>location.replace(${serializeJsonLd(`${encodeURIComponent(target.slug)}.html`)} + location.hash);</script>
+</head>
+<body>
+    <p>${escapeHtml(t('redirect.moved'))} <a href="${href}">${escapeHtml(target.title)}</a></p>
+</body>
+</html>
+`;
+}
+
+
+// ============================================
+// BUILD (incremental)
+// ============================================
+function hash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+function loadCache() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG.cachePath, 'utf8'));
+    } catch (error) {
+        return { pages: {} };
+    }
+}
+
+function saveCache(cache) {
+    fs.mkdirSync(path.dirname(CONFIG.cachePath), { recursive: true });
+    fs.writeFileSync(CONFIG.cachePath, serialize(cache));
+}
+
+// Published posts, sorted, and the duplicates (data/duplicates.json) that are
+// redirected: { posts, redirects: [{ slug, target }] }. A redirected post is
+// not published, even if it is still in the sources.
+function loadPosts(options) {
+    const sources = options.markdown
+        ? loadMarkdownPosts(path.resolve(options.markdown))
+        : loadJsonPosts();
+    const duplicates = loadDuplicates(CONFIG.duplicatesPath);
+
+    // data/duplicates.json is the only place a canonical comes from
+    const posts = sources
+        .filter(post => !(duplicates[post.slug] && duplicates[post.slug].redirect))
+        .map(({ canonical, ...post }) => duplicates[post.slug] ? { ...post, canonical: duplicates[post.slug].canonical } : post);
+
+    const errors = [
+        ...validateDuplicates(duplicates, posts.map(post => post.slug)),
+        ...validatePosts(posts.map(post => ({ ...post, fileSlug: post.slug })))
+            .map(error => error.replace(/^posts\/(.+)\.html:/, '$1:'))
+    ];
+    if (errors.length > 0) {
+        throw new Error(`${errors.length} problem(s) in the source posts:\n   - ${errors.join('\n   - ')}`);
+    }
+
+    const redirects = Object.entries(duplicates)
+        .filter(([, entry]) => entry.redirect)
+        .map(([slug, entry]) => ({ slug, target: posts.find(post => post.slug === entry.canonical) }));
+    return { posts: sortPosts(posts), redirects };
+}
+
+/**
+ * Render posts/<slug>.html for every post, and a redirect page for every
+ * redirected duplicate. A page is only rendered when the hash of everything
+ * that goes into it (template, site settings, the post, its related posts, the
+ * sidebar and the scripts that render them) differs from the last build.
+ * Returns { written, skipped, removed }.
+ */
+function buildSite(options = {}) {
+    const { posts, redirects } = loadPosts(options);
+    const template = fs.readFileSync(CONFIG.templatePath, 'utf8');
+    const site = JSON.parse(fs.readFileSync(CONFIG.sitePath, 'utf8'));
+    const locale = I18N_CONFIG.defaultLocale;
+    const messages = loadCatalog(locale);
+    const t = createTranslator(locale, messages);
+    const cache = options.force ? { pages: {} } : loadCache();
+    const nextCache = { pages: {} };
+
+    const sidebarKey = JSON.stringify(posts.map(({ slug, title, category }) => [slug, title, category]));
+    const renderers = [
+        __filename,
+        require.resolve('../js/content.js'),
+        require.resolve('../js/i18n.js'),
+        require.resolve('../js/recipe.js'),
+        require.resolve('./build-index.js'),
+        require.resolve('./build-feeds.js')
+    ].map(file => fs.readFileSync(file, 'utf8')).join('');
+    const sharedKey = hash(template + JSON.stringify(site) + sidebarKey + renderers + JSON.stringify(messages));
+    const result = { written: [], skipped: [], removed: [] };
+
+    const writePage = (slug, key, render) => {
+        const filePath = path.join(CONFIG.postsDir, `${slug}.html`);
+        nextCache.pages[slug] = key;
+        if (cache.pages[slug] === key && fs.existsSync(filePath)) {
+            result.skipped.push(slug);
+            return;
+        }
+
+        fs.mkdirSync(CONFIG.postsDir, { recursive: true });
+        fs.writeFileSync(filePath, render().replace(/\r?\n/g, CONFIG.lineEnding));
+        result.written.push(slug);
+    };
+
+    posts.forEach(post => {
+        const related = rankRelatedPosts(post, posts, { limit: CONFIG.relatedPostsCount }).map(match => match.post);
+        const relatedKey = related.map(({ slug, title, category, date, image, imageMeta }) => [slug, title, category, date, image, imageMeta]);
+        const key = hash(sharedKey + JSON.stringify(post) + JSON.stringify(relatedKey));
+        writePage(post.slug, key, () => renderPage(template, post, { site, posts, related, locale, t }));
+    });
+
+    redirects.forEach(({ slug, target }) => {
+        const key = hash(sharedKey + JSON.stringify(['redirect', target.slug, target.title]));
+        writePage(slug, key, () => renderRedirectPage(target, { site, locale, t }));
+    });
+
+    // Only remove pages this generator wrote earlier
+    Object.keys(cache.pages)
+        .filter(slug => !nextCache.pages[slug])
+        .forEach(slug => {
+            const filePath = path.join(CONFIG.postsDir, `${slug}.html`);
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+            result.removed.push(slug);
+        });
+
+    saveCache(nextCache);
+    refreshIndex(options);
+    result.feeds = writeFeeds();
+    result.cacheVersion = writeServiceWorker();
+    return result;
+}
+
+// Rebuild the JSON index from the pages just written. data/posts.json is left
+// alone when it is the source, so --watch doesn't trigger itself.
+function refreshIndex(options) {
+    const pages = collectPosts();
+    const errors = validatePosts(pages);
+    if (errors.length > 0) {
+        throw new Error(`Generated pages failed validation:\n   - ${errors.join('\n   - ')}`);
+    }
+
+    const outputs = buildOutputs(pages);
+    const targets = getOutputTargets(outputs)
+        .filter(([filePath]) => options.markdown || filePath !== INDEX_CONFIG.dataPath);
+
+    targets
+        .filter(([filePath, json]) => !isUpToDate(filePath, json))
+        .forEach(([filePath, json]) => {
+            fs.writeFileSync(filePath, serialize(json));
+            console.log(`✅ Wrote ${path.relative(ROOT_DIR, filePath)} (${json.posts.length} posts)`);
+        });
+    findStaleShards(outputs.shards.length).forEach(filePath => fs.unlinkSync(filePath));
+}
+
+function runBuild(options) {
+    const started = Date.now();
+    const { written, skipped, removed, feeds, cacheVersion } = buildSite(options);
+    console.log(`✅ Built ${written.length} page(s), ${skipped.length} unchanged` +
+        `${removed.length ? `, removed ${removed.length}` : ''} in ${Date.now() - started} ms`);
+    written.forEach(slug => console.log(`   posts/${slug}.html`));
+    if (feeds.length > 0) console.log(`✅ Updated ${feeds.length} feed/sitemap file(s)`);
+    if (cacheVersion) console.log(`✅ sw.js: CACHE_VERSION is now ${cacheVersion}`);
+}
+
+
+// ============================================
+// DEV SERVER (--watch)
+// ============================================
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Injected into served HTML only; the files on disk stay untouched
+const RELOAD_SNIPPET = "<script>new EventSource('/__reload').onmessage = () => location.reload();</script>";
+
+function startDevServer(port, reloadClients) {
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === '/__reload') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            res.write(': connected\n\n');
+            reloadClients.add(res);
+            req.on('close', () => reloadClients.delete(res));
+            return;
+        }
+
+        let filePath;
+        try {
+            filePath = path.join(ROOT_DIR, decodeURIComponent(pathname));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Bad request');
+            return;
+        }
+        // Inside the site only (not a sibling such as ../tree-other)
+        const relative = path.relative(ROOT_DIR, filePath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            res.writeHead(403).end('Forbidden');
+            return;
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (error, body) => {
+            if (error) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+                return;
+            }
+            const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+            if (type.startsWith('text/html')) {
+                body = body.toString('utf8').replace('</body>', `${RELOAD_SNIPPET}\n</body>`);
+            }
+            res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+            res.end(body);
+        });
+    });
+
+    server.listen(port, () => console.log(`👀 Serving http://localhost:${port}/ (Ctrl+C to stop)`));
+    return server;
+}
+
+function watch(options) {
+    const reloadClients = new Set();
+    const sources = [
+        options.markdown ? path.resolve(options.markdown) : CONFIG.dataPath,
+        CONFIG.templatePath,
+        CONFIG.sitePath,
+        CONFIG.duplicatesPath
+    ].filter(source => fs.existsSync(source));
+
+    let timer = null;
+    const rebuild = (changed) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            console.log(`🔄 ${path.relative(ROOT_DIR, changed)} changed`);
+            try {
+                runBuild(options);
+                reloadClients.forEach(client => client.write('data: reload\n\n'));
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+            }
+        }, 100);
+    };
+
+    sources.forEach(source => {
+        fs.watch(source, (eventType, fileName) => {
+            rebuild(fileName && fs.statSync(source).isDirectory() ? path.join(source, fileName) : source);
+        });
+    });
+
+    startDevServer(options.port, reloadClients);
+}
+
+
+// ============================================
+// CLI
+// ============================================
+function parseArgs(argv) {
+    const valueOf = (flag) => {
+        const index = argv.indexOf(flag);
+        return index === -1 ? null : argv[index + 1];
+    };
+    return {
+        markdown: valueOf('--markdown'),
+        force: argv.includes('--force'),
+        watch: argv.includes('--watch'),
+        port: Number(valueOf('--port')) || CONFIG.port
+    };
+}
+
+function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+
+    try {
+        runBuild(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (!options.watch) process.exit(1);
+    }
+
+    if (options.watch) watch(options);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    parseFrontMatter,
+    parseMarkdownBody,
+    parseMarkdownPost,
+    renderPage,
+    buildSite
+};
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Service Worker Version
+ * Sets CACHE_VERSION in sw.js to a hash of the files in its SHELL_ASSETS
+ * list, so returning visitors get a fresh shell cache whenever one of them
+ * changes. build-site.js runs this after every build.
+ *
+ * Usage:
+ *   node scripts/build-sw.js          Update CACHE_VERSION in sw.js
+ *   node scripts/build-sw.js --check  Exit 1 if CACHE_VERSION is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG = {
+    swPath: path.join(ROOT_DIR, 'sw.js'),
+    versionLength: 12
+};
+
+
+// ============================================
+// CACHE VERSION
+// ============================================
+// The quoted entries of `const SHELL_ASSETS = [...]`, relative to the site root
+function readShellAssets(source) {
+    const match = source.match(/const SHELL_ASSETS = \[([\s\S]*?)\];/);
+    if (!match) throw new Error('sw.js has no SHELL_ASSETS list');
+    return [...match[1].matchAll(/'([^']*)'/g)].map(([, asset]) => asset);
+}
+
+// Hash of each asset's path and bytes. './' is the site root, served as index.html.
+function computeCacheVersion(assets) {
+    const hash = crypto.createHash('sha1');
+    assets.forEach(asset => {
+        const filePath = path.join(ROOT_DIR, asset === './' ? 'index.html' : asset);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`sw.js precaches ${asset}, which doesn't exist`);
+        }
+        hash.update(`${asset}\0`).update(fs.readFileSync(filePath)).update('\0');
+    });
+    return hash.digest('hex').slice(0, CONFIG.versionLength);
+}
+
+// sw.js with CACHE_VERSION set for its current SHELL_ASSETS
+function renderServiceWorker(source) {
+    const version = computeCacheVersion(readShellAssets(source));
+    if (!/const CACHE_VERSION = '[^']*';/.test(source)) throw new Error('sw.js has no CACHE_VERSION');
+    return source.replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`);
+}
+
+// Returns the new version, or null when sw.js was already up to date
+function writeServiceWorker() {
+    const source = fs.readFileSync(CONFIG.swPath, 'utf8');
+    const next = renderServiceWorker(source);
+    if (next === source) return null;
+    fs.writeFileSync(CONFIG.swPath, next);
+    return next.match(/const CACHE_VERSION = '([^']*)';/)[1];
+}
+
+function main(argv = process.argv.slice(2)) {
+    try {
+        if (argv.includes('--check')) {
+            const source = fs.readFileSync(CONFIG.swPath, 'utf8');
+            if (renderServiceWorker(source) !== source) {
+                console.error('❌ Out of date: CACHE_VERSION in sw.js');
+                console.error('   Run: node scripts/build-sw.js');
+                process.exit(1);
+            }
+            console.log('✅ Service worker cache version is up to date');
+            return;
+        }
+
+        const version = writeServiceWorker();
+        console.log(version ? `✅ sw.js: CACHE_VERSION is now ${version}` : '✅ sw.js is up to date');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    readShellAssets,
+    computeCacheVersion,
+    renderServiceWorker,
+    writeServiceWorker
+};
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/**
+ * Universal Blog Theme - Local Mock API
+ * A stand-in backend for developing and testing the parts of js/main.js that
+ * talk to a server (the contact form's 'mock' provider, the 'rest' comment
+ * store, the 'http' analytics sink). Everything is kept in memory and lost when the process stops.
+ *
+ * Usage:
+ *   node scripts/mock-api.js [--port 8787] [--delay 300] [--fail-rate 0.2] [--moderate]
+ *
+ * Routes:
+ *   POST  /api/contact                Accept a contact message (400 with `fields` when invalid)
+ *   GET   /api/contact                List the messages received so far
+ *   GET   /api/posts/:slug/comments   { comments, rating } for a post (pending comments left out)
+ *   POST  /api/posts/:slug/comments   Add a comment or reply: { parentId, author, body, rating }
+ *   POST  /api/comments/:id/flags     Report a comment; enough reports hide it
+ *   PATCH /api/comments/:id           Moderate: { status: 'published' | 'pending' | 'hidden' }
+ *   POST  /api/events                 Accept a batch of analytics events: { events: [...] }
+ *   GET   /api/events                 List the events received so far (input for build-popular.js)
+ *
+ * With --moderate, new comments start as 'pending' until PATCHed to 'published'.
+ */
+
+const http = require('http');
+const { summarizeRatings } = require('../js/recipe.js');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const CONFIG = {
+    port: 8787,
+    delay: 300,          // ms before every response, to exercise loading states
+    failRate: 0,         // share of write requests answered with 503
+    moderate: false,     // hold new comments for review
+    flagThreshold: 3,    // reports before a comment is hidden
+    maxEventsPerBatch: 50,
+    maxBodyBytes: 64 * 1024
+};
+
+const COMMENT_STATUSES = ['published', 'pending', 'hidden'];
+// The event types js/main.js records (see the ANALYTICS section there)
+const ANALYTICS_EVENT_TYPES = ['page_view', 'scroll_depth', 'related_click', 'carousel_click', 'search', 'print', 'cook_mode'];
+
+
+// ============================================
+// VALIDATION
+// ============================================
+// Mirrors validateContactForm() in js/main.js; the server must not trust the browser
+function validateContactMessage(message) {
+    const fields = {};
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    if (!text(message.name)) fields.name = 'Please enter your name.';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text(message.email))) fields.email = 'Please enter a valid email address.';
+    if (text(message.message).length < 10) fields.message = 'Please write at least 10 characters.';
+    if (text(message.message).length > 5000) fields.message = 'Please keep your message under 5000 characters.';
+
+    return fields;
+}
+
+// Mirrors validateCommentInput() in js/main.js
+function validateComment(input, parent) {
+    const fields = {};
+    const author = typeof input.author === 'string' ? input.author.trim() : '';
+    const body = typeof input.body === 'string' ? input.body.trim() : '';
+    const rating = input.rating === null || input.rating === undefined ? null : input.rating;
+
+    if (!author) fields.author = 'Please enter your name.';
+    if (author.length > 60) fields.author = 'Please keep your name under 60 characters.';
+    if (body.length > 2000) fields.body = 'Please keep your comment under 2000 characters.';
+    if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+        fields.rating = 'Ratings are whole stars from 1 to 5.';
+    }
+    if (parent && rating !== null) fields.rating = 'Replies cannot carry a rating.';
+    if (parent && !body) fields.body = 'Please write a reply.';
+    if (!parent && !body && rating === null) fields.body = 'Please add a rating or a comment.';
+
+    return fields;
+}
+
+// Returns an error message for the batch, or null when every event is usable
+function validateEventBatch(body, maxEvents) {
+    const events = body && body.events;
+    if (!Array.isArray(events) || events.length === 0) return 'events must be a non-empty array';
+    if (events.length > maxEvents) return `Send at most ${maxEvents} events per batch`;
+
+    const invalid = events.findIndex(event => !event || !ANALYTICS_EVENT_TYPES.includes(event.type) ||
+        typeof event.time !== 'string' || isNaN(Date.parse(event.time)));
+    return invalid === -1 ? null : `Event ${invalid} needs a known type and an ISO time`;
+}
+
+// What readers may see: no pending comments, and no text for hidden ones
+// (they stay as placeholders so replies keep their thread)
+function publicComments(comments, slug) {
+    return comments
+        .filter(comment => comment.postSlug === slug && comment.status !== 'pending')
+        .map(comment => (comment.status === 'hidden' ? { ...comment, author: '', body: '', rating: null } : comment));
+}
+
+function ratingFor(comments, slug) {
+    return summarizeRatings(comments
+        .filter(comment => comment.postSlug === slug && comment.status === 'published')
+        .map(comment => comment.rating));
+}
+
+
+// ============================================
+// ROUTES
+// ============================================
+// Handlers get (request, store, settings) with request.body already parsed and
+// return { status, body }. Throwing an Error with `status` sends that status instead.
+function createRoutes() {
+    const findComment = (store, id) => {
+        const comment = store.comments.find(c => c.id === id);
+        if (!comment) throw Object.assign(new Error(`No comment ${id}`), { status: 404 });
+        return comment;
+    };
+
+    return {
+        'POST /api/contact': (request, store) => {
+            const fields = validateContactMessage(request.body || {});
+            if (Object.keys(fields).length > 0) {
+                return { status: 400, body: { error: 'Some fields need attention.', fields } };
+            }
+            const { name, email, topic, recipe, message, page } = request.body;
+            const entry = {
+                id: `msg-${store.contact.length + 1}`,
+                name, email, topic, recipe, message, page,
+                receivedAt: new Date().toISOString()
+            };
+            store.contact.push(entry);
+            console.log(`📨 Message from ${name} <${email}>: ${message.slice(0, 60)}`);
+            return { status: 201, body: { ok: true, id: entry.id } };
+        },
+        'GET /api/contact': (request, store) => ({ status: 200, body: { messages: store.contact } }),
+
+        'GET /api/posts/:slug/comments': (request, store) => {
+            const { slug } = request.params;
+            return {
+                status: 200,
+                body: { comments: publicComments(store.comments, slug), rating: ratingFor(store.comments, slug) }
+            };
+        },
+        'POST /api/posts/:slug/comments': (request, store, settings) => {
+            const { slug } = request.params;
+            const input = request.body || {};
+            const parent = input.parentId
+                ? store.comments.find(c => c.id === input.parentId && c.postSlug === slug)
+                : null;
+            if (input.parentId && !parent) {
+                return { status: 400, body: { error: 'The comment you replied to no longer exists.' } };
+            }
+
+            const fields = validateComment(input, parent);
+            if (Object.keys(fields).length > 0) {
+                return { status: 400, body: { error: 'Some fields need attention.', fields } };
+            }
+
+            const comment = {
+                id: `c${store.comments.length + 1}`,
+                postSlug: slug,
+                parentId: parent ? parent.id : null,
+                author: input.author.trim(),
+                body: (input.body || '').trim(),
+                rating: parent ? null : (input.rating ?? null),
+                createdAt: new Date().toISOString(),
+                status: settings.moderate ? 'pending' : 'published',
+                flags: 0
+            };
+            store.comments.push(comment);
+            console.log(`💬 ${comment.status} comment ${comment.id} on ${slug} by ${comment.author}`);
+            return { status: 201, body: { comment, rating: ratingFor(store.comments, slug) } };
+        },
+        'POST /api/comments/:id/flags': (request, store, settings) => {
+            const comment = findComment(store, request.params.id);
+            comment.flags++;
+            if (comment.flags >= settings.flagThreshold && comment.status === 'published') {
+                comment.status = 'hidden';
+                console.log(`🚩 Comment ${comment.id} hidden after ${comment.flags} reports`);
+            }
+            return { status: 200, body: { comment: publicComments([comment], comment.postSlug)[0] || null } };
+        },
+        'PATCH /api/comments/:id': (request, store) => {
+            const comment = findComment(store, request.params.id);
+            const status = request.body && request.body.status;
+            if (!COMMENT_STATUSES.includes(status)) {
+                return { status: 400, body: { error: `status must be one of ${COMMENT_STATUSES.join(', ')}` } };
+            }
+            comment.status = status;
+            if (status === 'published') comment.flags = 0;
+            return { status: 200, body: { comment } };
+        },
+
+        // Beacons can't read the answer, so there is nothing to return but a status
+        'POST /api/events': (request, store, settings) => {
+            const error = validateEventBatch(request.body, settings.maxEventsPerBatch);
+            if (error) return { status: 400, body: { error } };
+
+            const receivedAt = new Date().toISOString();
+            request.body.events.forEach(event => store.events.push({ ...event, receivedAt }));
+            console.log(`📊 ${request.body.events.length} event(s): ${[...new Set(request.body.events.map(e => e.type))].join(', ')}`);
+            return { status: 202, body: { accepted: request.body.events.length } };
+        },
+        'GET /api/events': (request, store) => ({ status: 200, body: { events: store.events } })
+    };
+}
+
+
+// ============================================
+// SERVER
+// ============================================
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept'
+};
+
+function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve(null);
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function matchRoute(routes, method, pathname) {
+    for (const [key, handler] of Object.entries(routes)) {
+        const [routeMethod, pattern] = key.split(' ');
+        if (routeMethod !== method) continue;
+
+        // ":name" segments become request.params.name
+        const names = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        }) + '$');
+        const match = pathname.match(regex);
+        if (match) {
+            const params = {};
+            names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+            return { handler, params };
+        }
+    }
+    return null;
+}
+
+function createMockApi(options = {}) {
+    const settings = { ...CONFIG, ...options };
+    const store = { contact: [], comments: [], events: [] };
+    const routes = createRoutes();
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (status, body) => {
+            res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(body === undefined ? '' : JSON.stringify(body));
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS).end();
+            return;
+        }
+
+        const route = matchRoute(routes, req.method, url.pathname);
+        if (!route) {
+            send(404, { error: `No route for ${req.method} ${url.pathname}` });
+            return;
+        }
+
+        try {
+            const body = await readJsonBody(req, settings.maxBodyBytes);
+            if (settings.delay) await new Promise(resolve => setTimeout(resolve, settings.delay));
+
+            if (req.method !== 'GET' && Math.random() < settings.failRate) {
+                send(503, { error: 'The mock server failed on purpose (--fail-rate).' });
+                return;
+            }
+
+            const request = { method: req.method, params: route.params, query: url.searchParams, body };
+            const { status, body: responseBody } = route.handler(request, store, settings);
+            send(status, responseBody);
+        } catch (error) {
+            send(error.status || 500, { error: error.message });
+        }
+    });
+
+    return { server, store };
+}
+
+
+// ============================================
+// CLI
+// ============================================
+function parseArgs(argv) {
+    const valueOf = (flag) => {
+        const index = argv.indexOf(flag);
+        return index === -1 ? null : argv[index + 1];
+    };
+    return {
+        port: Number(valueOf('--port')) || CONFIG.port,
+        delay: valueOf('--delay') === null ? CONFIG.delay : Number(valueOf('--delay')),
+        failRate: Number(valueOf('--fail-rate')) || CONFIG.failRate,
+        moderate: argv.includes('--moderate')
+    };
+}
+
+function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    const { server } = createMockApi(options);
+    server.listen(options.port, () => {
+        console.log(`🧪 Mock API on http://localhost:${options.port}/api/ (Ctrl+C to stop)`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG,
+    validateContactMessage,
+    validateComment,
+    validateEventBatch,
+    matchRoute,
+    createMockApi
+};
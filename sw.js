@@ -0,0 +1,232 @@
+/**
+ * Universal Blog Theme - Service Worker
+ * Offline support: precached shell, stale-while-revalidate posts index,
+ * and runtime caching of visited/saved recipe pages and images.
+ *
+ * CACHE_VERSION is a hash of the SHELL_ASSETS files, written by
+ * scripts/build-sw.js on every build; don't edit it by hand.
+ */
+
+// I18N_CONFIG and the English messages, for the offline page
+importScripts('js/i18n.js');
+
+const CACHE_VERSION = '60a6253e0812';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const PAGES_CACHE = `pages-${CACHE_VERSION}`;
+const IMAGES_CACHE = `images-${CACHE_VERSION}`;
+
+// Where the reader's language is kept (this worker can't read localStorage)
+const LOCALE_RECORD = '__locale';
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'post.html',
+    'shopping-list.html',
+    'theme.css',
+    'print.css',
+    'js/theme.js',
+    'js/i18n.js',
+    'js/recipe.js',
+    'js/content.js',
+    'js/qrcode.js',
+    'js/pdf.js',
+    'js/main.js',
+    'images/logo.png',
+    'images/placeholder.svg',
+    'favicon.ico',
+    'manifest.webmanifest'
+];
+
+// Keep the runtime caches from growing without bound
+const MAX_CACHED_PAGES = 60;
+const MAX_CACHED_IMAGES = 120;
+
+
+// ============================================
+// LIFECYCLE
+// ============================================
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, PAGES_CACHE, IMAGES_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !current.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+
+// ============================================
+// FETCH ROUTING
+// ============================================
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith('.json') && url.pathname.includes('/data/')) {
+        event.respondWith(staleWhileRevalidate(request, DATA_CACHE));
+    } else if (request.destination === 'image' || url.pathname.includes('/images/')) {
+        event.respondWith(cacheFirst(request, IMAGES_CACHE, MAX_CACHED_IMAGES));
+    } else if (request.mode === 'navigate' || url.pathname.endsWith('.html')) {
+        event.respondWith(networkFirst(request, url.pathname.includes('/posts/') ? PAGES_CACHE : SHELL_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+// main.js asks us to keep saved recipes available offline, and reports the
+// reader's language for the offline page
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type === 'CACHE_URLS' && Array.isArray(data.urls)) {
+        event.waitUntil(cacheUrls(data.urls));
+    } else if (data.type === 'SET_LOCALE' && I18N_CONFIG.locales[data.locale]) {
+        event.waitUntil(caches.open(SHELL_CACHE)
+            .then(cache => cache.put(getScopeUrl(LOCALE_RECORD), new Response(data.locale))));
+    }
+});
+
+
+// ============================================
+// STRATEGIES
+// ============================================
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    return cached || (await network) || offlineResponse(request);
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (cacheName === PAGES_CACHE) trimCache(PAGES_CACHE, MAX_CACHED_PAGES);
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: cacheName !== PAGES_CACHE });
+        return cached || offlineResponse(request);
+    }
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cacheName, maxEntries);
+        }
+        return response;
+    } catch (error) {
+        return offlineResponse(request);
+    }
+}
+
+async function cacheUrls(urls) {
+    const sameOrigin = urls
+        .map(url => new URL(url, self.location.href))
+        .filter(url => url.origin === self.location.origin);
+
+    await Promise.all(sameOrigin.map(async (url) => {
+        const cacheName = url.pathname.includes('/images/') ? IMAGES_CACHE : PAGES_CACHE;
+        try {
+            const cache = await caches.open(cacheName);
+            if (!(await cache.match(url.href))) await cache.add(url.href);
+        } catch (error) {
+            console.warn('Unable to cache for offline use:', url.href);
+        }
+    }));
+}
+
+// Oldest entries first (Cache keys keep insertion order)
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function offlineResponse(request) {
+    if (request.mode === 'navigate') {
+        return new Response(await renderOfflinePage(), {
+            status: 503,
+            statusText: 'Offline',
+            headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+    return new Response('', { status: 503, statusText: 'Offline' });
+}
+
+function getScopeUrl(relativePath) {
+    return new URL(relativePath, self.registration.scope).href;
+}
+
+// The reader's language with the catalog main.js last fetched for it, or
+// English when either is missing from the caches
+async function getOfflineTranslator() {
+    const record = await caches.match(getScopeUrl(LOCALE_RECORD));
+    const locale = record ? await record.text() : I18N_CONFIG.defaultLocale;
+    const settings = I18N_CONFIG.locales[locale];
+    if (!settings) return { locale: 'en', t: createTranslator('en') };
+    if (settings.catalog === false) return { locale, t: createTranslator(locale) };
+
+    const catalog = await caches.match(getScopeUrl(I18N_CONFIG.catalogPath.replace('{locale}', encodeURIComponent(locale))));
+    const messages = catalog ? await catalog.json().catch(() => null) : null;
+    return messages
+        ? { locale, t: createTranslator(locale, messages) }
+        : { locale: 'en', t: createTranslator('en') };
+}
+
+// Self-contained so it renders correctly at any path
+async function renderOfflinePage() {
+    const home = self.registration.scope;
+    const { locale, t } = await getOfflineTranslator();
+    return `<!DOCTYPE html>
+<html lang="${escapeI18nHtml(locale)}" dir="${getLocaleDir(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeI18nHtml(t('offline.title'))}</title>
+    <link rel="stylesheet" href="${home}theme.css">
+</head>
+<body>
+    <main class="main-content">
+        <div class="container">
+            <div class="offline-notice">
+                <h3>${escapeI18nHtml(t('offline.title'))}</h3>
+                <p>${escapeI18nHtml(t('offline.notSaved'))}</p>
+                <p>${escapeI18nHtml(t('offline.available'))}</p>
+                <p><a href="${home}index.html#my-recipes">${escapeI18nHtml(t('offline.openSaved'))}</a></p>
+            </div>
+        </div>
+    </main>
+</body>
+</html>`;
+}
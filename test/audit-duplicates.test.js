@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    CONFIG,
+    getDuplicateFeatures,
+    compareFeatures,
+    auditDuplicates,
+    recordDecisions,
+    validateDuplicates,
+    loadThreshold
+} = require('../scripts/audit-duplicates.js');
+
+function post(slug, title, ingredients, excerpt, body, date) {
+    return { slug, title, date, excerpt, category: 'Dinner', content: { ingredients, paragraphs: [body], steps: [] } };
+}
+
+const original = post('garlic-rice', 'Chicken Garlic Rice',
+    ['2 chicken thighs', '1 cup jasmine rice', '6 cloves garlic', '2 cups chicken stock'],
+    'A one-pan chicken and garlic rice for busy nights.',
+    'Rinse the rice until the water runs clear, then toast it in the garlic butter for two minutes ' +
+    'before adding the stock and letting it simmer gently under a lid.',
+    '2024-01-01');
+// The same recipe under a new headline, with the text rewritten
+const repost = post('garlic-rice-again', 'The Best Chicken Garlic Rice',
+    ['2 chicken thighs', '1 cup jasmine rice', '5 cloves garlic', '2 cups chicken stock'],
+    'Weeknight chicken with garlicky rice in one pan.',
+    'Wash the rice well. Brown the chicken, then cook the garlic and rice in the fat before the stock goes in.',
+    '2024-03-01');
+// Another dish with the same main ingredient
+const soup = post('chicken-noodle-soup', 'Chicken Noodle Soup',
+    ['2 chicken thighs', '200 g egg noodles', '2 carrots', '6 cups chicken stock'],
+    'A warming soup for cold days.',
+    'Simmer the chicken in the stock with carrots, then add the noodles.',
+    '2024-02-01');
+
+const compare = (a, b) => compareFeatures(getDuplicateFeatures(a), getDuplicateFeatures(b));
+
+test('an exact copy scores 1 on every feature', () => {
+    assert.deepEqual(compare(original, { ...original, slug: 'garlic-rice-copy' }),
+        { score: 1, title: 1, ingredients: 1, excerpt: 1, body: 1 });
+});
+
+test('a reworded re-post scores well above a different dish with the same main ingredient', () => {
+    const reworded = compare(original, repost);
+    const different = compare(original, soup);
+    assert.equal(reworded.ingredients, 1);
+    assert.ok(reworded.score >= CONFIG.threshold, `re-post scored ${reworded.score}`);
+    assert.ok(different.score < 0.3, `different dish scored ${different.score}`);
+});
+
+test('auditDuplicates groups the re-post with the post published first', () => {
+    const { clusters } = auditDuplicates([original, repost, soup], { threshold: 0.31 });
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].canonical, 'garlic-rice');
+    assert.equal(clusters[0].reason, 'published first');
+    assert.deepEqual(clusters[0].posts.map(p => p.slug), ['garlic-rice-again']);
+});
+
+test('auditDuplicates keeps the post that recorded decisions already point to', () => {
+    const duplicates = { 'garlic-rice': { canonical: 'garlic-rice-again', redirect: false } };
+    const { clusters } = auditDuplicates([original, repost, soup], { threshold: 0.31, duplicates });
+    assert.equal(clusters[0].canonical, 'garlic-rice-again');
+    assert.equal(clusters[0].reason, 'already kept for other duplicates');
+});
+
+test('recordDecisions adds the suggestions without touching recorded entries', () => {
+    const report = auditDuplicates([original, repost, soup], { threshold: 0.31 });
+    const { duplicates, added } = recordDecisions(report, {}, { redirect: true });
+    assert.deepEqual(added, ['garlic-rice-again']);
+    assert.deepEqual(duplicates, { 'garlic-rice-again': { canonical: 'garlic-rice', redirect: true } });
+    assert.deepEqual(recordDecisions(report, duplicates).added, []);
+});
+
+test('validateDuplicates reports unknown posts and chains', () => {
+    const slugs = ['garlic-rice', 'garlic-rice-again', 'chicken-noodle-soup'];
+    assert.deepEqual(validateDuplicates({ 'garlic-rice-again': { canonical: 'garlic-rice', redirect: false } }, slugs), []);
+    assert.equal(validateDuplicates({ 'garlic-rice-again': { canonical: 'missing', redirect: false } }, slugs).length, 1);
+    assert.equal(validateDuplicates({
+        'garlic-rice-again': { canonical: 'garlic-rice', redirect: false },
+        'garlic-rice': { canonical: 'chicken-noodle-soup', redirect: false }
+    }, slugs).length, 1);
+});
+
+test('loadThreshold reads the site threshold and falls back to the default', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'duplicates.json');
+
+    assert.equal(loadThreshold(file), CONFIG.threshold);
+    fs.writeFileSync(file, JSON.stringify({ threshold: 0.31, duplicates: {} }));
+    assert.equal(loadThreshold(file), 0.31);
+    fs.writeFileSync(file, JSON.stringify({ threshold: 2, duplicates: {} }));
+    assert.throws(() => loadThreshold(file), /"threshold" must be a number/);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml, isSafeContentUrl } = require('../js/content.js');
+
+test('sanitizeHtml removes javascript: URLs, however they are spelled', () => {
+    assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHtml('<a href="java&#x09;script:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHtml('<a href=" JaVaScRiPt:alert(1)" title="t">x</a>'), '<a title="t">x</a>');
+    assert.equal(sanitizeHtml('<img src="data:image/png;base64,AAAA" alt="a">'), '');
+    assert.equal(isSafeContentUrl('https://example.com/'), true);
+    assert.equal(isSafeContentUrl('/posts/rice.html'), true);
+});
+
+test('sanitizeHtml drops scripts and styles with their content', () => {
+    assert.equal(sanitizeHtml('<p>Hi<script>alert(1)</script> there</p>'), '<p>Hi there</p>');
+    assert.equal(sanitizeHtml('<p>a<!-- c --> <style>p { color: red }</style>b</p>'), '<p>a b</p>');
+});
+
+test('sanitizeHtml unwraps unknown tags and keeps only allowed attributes', () => {
+    assert.equal(sanitizeHtml('<div class="x" onclick="y()"><p style="color:red" onclick="z()">ok</p></div>'), '<p>ok</p>');
+    assert.equal(sanitizeHtml('<a href="https://e.com" target="_blank">e</a>'), '<a href="https://e.com">e</a>');
+    assert.equal(
+        sanitizeHtml('<img src="a.jpg" width="100px" height="50" onerror="x()">'),
+        '<img src="a.jpg" height="50" loading="lazy">'
+    );
+});
+
+test('sanitizeHtml balances the markup it returns', () => {
+    assert.equal(sanitizeHtml('<p>unclosed <strong>bold'), '<p>unclosed <strong>bold</strong></p>');
+    assert.equal(sanitizeHtml('</em><p>a</p>'), '<p>a</p>');
+    assert.equal(sanitizeHtml('<ol start="3"><li>a<li>b</ol>'), '<ol start="3"><li>a</li><li>b</li></ol>');
+});
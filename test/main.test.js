@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { createMockApi } = require('../scripts/mock-api.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// The scripts a post page loads, in order (js/main.js uses the others as globals)
+const PAGE_SCRIPTS = ['js/i18n.js', 'js/recipe.js', 'js/content.js', 'js/main.js'];
+
+// A window with the site's scripts loaded as <script> tags would load them.
+// They run once the document has loaded, so main.js's DOMContentLoaded setup
+// doesn't: tests call what they need. The window closes when the test ends.
+async function loadPage(t) {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+    t.after(() => window.close());
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    // Requests go to the mock API through Node's fetch
+    window.fetch = fetch;
+    window.AbortController = AbortController;
+    const context = dom.getInternalVMContext();
+    PAGE_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+    });
+    return { window, run: (code) => vm.runInContext(code, context) };
+}
+
+// scripts/mock-api.js on a free port; stopped when the test ends
+async function startMockApi(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const { server, store } = createMockApi({ delay: 0, ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { baseUrl: `http://127.0.0.1:${server.address().port}/api`, store };
+}
+
+const message = {
+    name: 'Ada',
+    email: 'ada@example.com',
+    topic: 'question',
+    topicLabel: 'A question',
+    recipe: '',
+    message: 'How long does the rice keep in the fridge?',
+    page: 'http://localhost/contact.html',
+    sentAt: '2026-01-13T12:00:00.000Z'
+};
+
+test('contact providers', async (t) => {
+    const page = await loadPage(t);
+    const providers = page.run('CONTACT_PROVIDERS');
+
+    for (const name of ['json', 'mock']) {
+        await t.test(`${name} delivers the message to the server`, async (t) => {
+            const { baseUrl, store } = await startMockApi(t);
+            const result = await providers[name].send(message, { endpoint: `${baseUrl}/contact` });
+            assert.equal(result.delivered, true);
+            assert.equal(store.contact.length, 1);
+            assert.equal(store.contact[0].email, 'ada@example.com');
+        });
+    }
+
+    await t.test('server validation errors come back with their fields', async (t) => {
+        const { baseUrl, store } = await startMockApi(t);
+        await assert.rejects(
+            providers.mock.send({ ...message, email: 'not an address' }, { endpoint: `${baseUrl}/contact` }),
+            error => error.status === 400 && typeof error.fields.email === 'string'
+        );
+        assert.equal(store.contact.length, 0);
+    });
+
+    await t.test('a failing server rejects with its status', async (t) => {
+        const { baseUrl } = await startMockApi(t, { failRate: 1 });
+        await assert.rejects(
+            providers.json.send(message, { endpoint: `${baseUrl}/contact` }),
+            error => error.status === 503
+        );
+    });
+});
+
+// What the memory sink received, as plain objects of this realm
+const sentEvents = (page) => Array.from(page.run('analyticsSink.events'), event => ({ ...event }));
+
+test('analytics', async (t) => {
+    await t.test('is off while the default http sink has no endpoint', async (t) => {
+        const page = await loadPage(t);
+        assert.equal(page.run('CONFIG.analytics.sink'), 'http');
+        assert.equal(page.run('CONFIG.analytics.http.endpoint'), '');
+        page.run('setupAnalytics()');
+        assert.equal(page.run('analyticsSink'), null);
+        assert.equal(page.run('canTrack()'), false);
+    });
+
+    await t.test('the memory sink records page views and events in batches', async (t) => {
+        const page = await loadPage(t);
+        page.run(`CONFIG.analytics.sink = 'memory'; setupAnalytics()`);
+        page.run(`trackEvent('search', { query: 'rice', results: 3 })`);
+        assert.deepEqual(sentEvents(page), [], 'nothing is sent before the batch is full');
+
+        page.run('flushAnalytics()');
+        const events = sentEvents(page);
+        assert.deepEqual(events.map(event => event.type), ['page_view', 'search']);
+        assert.equal(events[0].path, '/');
+        assert.equal(events[1].query, 'rice');
+        assert.ok(!isNaN(Date.parse(events[1].time)));
+    });
+
+    await t.test('nothing is recorded after the reader declines', async (t) => {
+        const page = await loadPage(t);
+        page.run(`CONFIG.analytics.sink = 'memory'; setupAnalytics(); setConsent('denied')`);
+        page.run(`trackEvent('print', { slug: 'garlic-rice', format: 'card' }); flushAnalytics()`);
+        assert.deepEqual(sentEvents(page), []);
+    });
+
+    await t.test('nothing is recorded under Do-Not-Track', async (t) => {
+        const page = await loadPage(t);
+        page.window.doNotTrack = '1';
+        page.run(`CONFIG.analytics.sink = 'memory'; setupAnalytics(); flushAnalytics()`);
+        assert.deepEqual(sentEvents(page), []);
+    });
+});
+
+test('comments', async (t) => {
+    const post = { slug: 'garlic-rice', title: 'Chicken Garlic Rice' };
+    const plain = (value) => JSON.parse(JSON.stringify(value));
+
+    await t.test('stay hidden while the default rest store has no baseUrl', async (t) => {
+        const page = await loadPage(t);
+        page.window.document.body.innerHTML = '<div class="post-body"></div>';
+        assert.equal(page.run('CONFIG.comments.provider'), 'rest');
+        assert.equal(page.run(`COMMENT_STORES.rest(CONFIG.comments.rest)`), null);
+
+        page.window.post = post;
+        page.run('setupComments(post)');
+        assert.equal(page.window.document.getElementById('comments'), null);
+    });
+
+    await t.test('the rest store adds, lists and reports comments on the mock API', async (t) => {
+        const { baseUrl } = await startMockApi(t);
+        const page = await loadPage(t);
+        const store = page.run(`COMMENT_STORES.rest({ baseUrl: '${baseUrl}', timeout: 5000 })`);
+        assert.equal(store.shared, true);
+
+        const { comment, rating } = plain(await store.add(post.slug, { parentId: null, author: 'Ada', body: 'Lovely.', rating: 5 }));
+        assert.equal(comment.status, 'published');
+        assert.deepEqual(rating, { ratingValue: 5, ratingCount: 1 });
+        await store.add(post.slug, { parentId: comment.id, author: 'Bo', body: 'Agreed!', rating: null });
+
+        const listed = plain(await store.list(post.slug));
+        assert.deepEqual(listed.comments.map(c => [c.author, c.parentId]), [['Ada', null], ['Bo', comment.id]]);
+
+        // The mock API hides a comment after 3 reports
+        let flagged;
+        for (let i = 0; i < 3; i++) flagged = plain(await store.flag(post.slug, comment.id));
+        assert.equal(flagged.comment.status, 'hidden');
+        assert.equal(flagged.comment.body, '');
+    });
+
+    await t.test('the rest store passes on the server\'s field errors', async (t) => {
+        const { baseUrl } = await startMockApi(t);
+        const page = await loadPage(t);
+        const store = page.run(`COMMENT_STORES.rest({ baseUrl: '${baseUrl}', timeout: 5000 })`);
+        await assert.rejects(
+            store.add(post.slug, { parentId: null, author: 'Ada', body: '', rating: 7 }),
+            error => error.status === 400 && typeof error.fields.rating === 'string'
+        );
+    });
+
+    await t.test('held comments stay out of the list until they are approved', async (t) => {
+        const { baseUrl, store: server } = await startMockApi(t, { moderate: true });
+        const page = await loadPage(t);
+        const store = page.run(`COMMENT_STORES.rest({ baseUrl: '${baseUrl}', timeout: 5000 })`);
+
+        const { comment } = await store.add(post.slug, { parentId: null, author: 'Ada', body: 'First!', rating: 4 });
+        assert.equal(comment.status, 'pending');
+        assert.equal((await store.list(post.slug)).comments.length, 0);
+
+        server.comments[0].status = 'published';
+        assert.equal((await store.list(post.slug)).comments.length, 1);
+    });
+
+    await t.test('the local store keeps comments in this browser', async (t) => {
+        const page = await loadPage(t);
+        const store = page.run('COMMENT_STORES.local()');
+        assert.equal(store.shared, false);
+
+        const { comment } = plain(await store.add(post.slug, { parentId: null, author: 'Ada', body: 'Lovely.', rating: 4 }));
+        const { comment: reply } = plain(await store.add(post.slug, { parentId: comment.id, author: 'Bo', body: 'Agreed!', rating: null }));
+        assert.notEqual(reply.id, comment.id);
+
+        const listed = plain(await store.list(post.slug));
+        assert.equal(listed.comments.length, 2);
+        assert.deepEqual(listed.rating, { ratingValue: 4, ratingCount: 1 });
+        assert.deepEqual(plain(await store.list('another-post')).comments, []);
+
+        // One report hides it: this reader is the only one who can report it
+        const { comment: hidden } = plain(await store.flag(post.slug, comment.id));
+        assert.equal(hidden.status, 'hidden');
+        assert.equal(plain(await store.list(post.slug)).rating, null);
+
+        await assert.rejects(
+            store.add(post.slug, { parentId: comment.id, author: 'Bo', body: '', rating: null }),
+            error => typeof error.fields.body === 'string'
+        );
+    });
+});
+
+test('ads', async (t) => {
+    await t.test('adsense skips slots without a numeric ad unit ID', async (t) => {
+        const page = await loadPage(t);
+        const warn = t.mock.method(page.window.console, 'warn', () => {});
+        page.window.document.body.innerHTML = `
+            <div class="ad-container"><div class="ad-slot" data-ad-slot="header"><div class="ad-unit"></div></div></div>
+            <div class="ad-widget"><div class="ad-slot" data-ad-slot="sidebar"><div class="ad-unit"></div></div></div>
+        `;
+        page.run(`
+            CONFIG.ads.enabled = true;
+            CONFIG.ads.requireConsent = false;
+            CONFIG.ads.adsense.client = 'ca-pub-1234567890';
+            CONFIG.ads.slots.header.unit = '1234567890';
+            CONFIG.ads.slots.sidebar.unit = 'sidebar';
+            setupAds();
+        `);
+
+        const slot = (name) => page.window.document.querySelector(`[data-ad-slot="${name}"]`);
+        assert.equal(slot('header').dataset.adState, 'loading');
+        assert.equal(slot('header').closest('.ad-container').hidden, false);
+        assert.equal(slot('sidebar').dataset.adState, 'empty');
+        assert.equal(slot('sidebar').closest('.ad-widget').hidden, true);
+        assert.equal(page.run(`renderAdSlot('endContent')`), '');
+
+        const warnings = warn.mock.calls.map(call => call.arguments[0]);
+        assert.ok(warnings.some(message => message.includes('"sidebar" skipped')));
+        assert.ok(!warnings.some(message => message.includes('"header"')));
+    });
+});
+
+test('related cards link to the posts without inline handlers', async (t) => {
+    const page = await loadPage(t);
+    const { document } = page.window;
+    document.body.innerHTML = `
+        <section id="relatedPosts" style="display: none;"><div id="relatedPostsGrid"></div></section>
+    `;
+    const posts = [
+        { slug: 'garlic-rice', title: 'Chicken Garlic Rice', category: 'Dinner', date: '2024-01-01', excerpt: '' },
+        { slug: 'garlic-rice-bowls', title: 'Garlic Rice Bowls', category: 'Dinner', date: '2024-02-01', excerpt: '' },
+        { slug: 'chicken-noodles', title: 'Chicken Garlic Noodles', category: 'Dinner', date: '2024-03-01', excerpt: '' }
+    ];
+    page.window.posts = posts;
+    page.run('renderRelatedPosts(posts[0], posts)');
+
+    const cards = [...document.querySelectorAll('.related-post-card')];
+    assert.equal(cards.length, 2);
+    cards.forEach(card => {
+        assert.equal(card.getAttribute('onclick'), null);
+        assert.equal(card.querySelector('.related-post-title a').getAttribute('href'), `posts/${card.dataset.slug}.html`);
+    });
+    assert.equal(document.getElementById('relatedPostsGrid').dataset.linksReady, 'true');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredient, scaleIngredient, formatFraction, formatScaledIngredient, slugify } = require('../js/recipe.js');
+
+const scaled = (line, factor, system = 'us') => formatScaledIngredient(parseIngredient(line), factor, system);
+
+test('parseIngredient splits the amount, unit, name and note', () => {
+    assert.deepEqual(parseIngredient('4-6 cloves garlic, minced'), {
+        text: '4-6 cloves garlic, minced',
+        quantity: 4,
+        quantityMax: 6,
+        unit: 'clove',
+        name: 'garlic',
+        note: 'minced',
+        rest: 'garlic, minced'
+    });
+    assert.equal(parseIngredient('1 1/2 tbsp soy sauce').quantity, 1.5);
+    assert.equal(parseIngredient('½ cup frozen peas').quantity, 0.5);
+    assert.equal(parseIngredient('2 cups cooked jasmine rice').unit, 'cup');
+});
+
+test('parseIngredient leaves lines without an amount unmeasured', () => {
+    const salt = parseIngredient('Salt to taste');
+    assert.equal(salt.quantity, null);
+    assert.equal(salt.unit, null);
+    assert.equal(salt.note, 'to taste');
+});
+
+test('scaleIngredient scales both ends of a range', () => {
+    const garlic = scaleIngredient(parseIngredient('4-6 cloves garlic'), 0.5);
+    assert.equal(garlic.quantity, 2);
+    assert.equal(garlic.quantityMax, 3);
+});
+
+test('formatFraction snaps to a kitchen fraction only within tolerance', () => {
+    assert.equal(formatFraction(0.5), '1/2');
+    assert.equal(formatFraction(0.33), '1/3');
+    assert.equal(formatFraction(1.25), '1 1/4');
+    assert.equal(formatFraction(0.1), '0.1');
+    assert.equal(formatFraction(0.04), '0.04');
+});
+
+test('formatScaledIngredient matches counted nouns to the amount', () => {
+    assert.equal(scaled('2 eggs', 0.5), '1 egg');
+    assert.equal(scaled('1 egg', 2), '2 eggs');
+    assert.equal(scaled('3 cloves garlic', 1 / 3), '1 clove garlic');
+    assert.equal(scaled('2 cups cooked jasmine rice', 1.5), '3 cups cooked jasmine rice');
+});
+
+test('formatScaledIngredient converts units and keeps seasoning lines as written', () => {
+    assert.equal(scaled('1 cup flour', 1, 'metric'), '125 g flour');
+    assert.equal(scaled('1 pinch salt', 4), '1 pinch salt');
+    assert.equal(scaled('1 tsp salt, to taste', 2, 'metric'), '2 tsp salt, to taste');
+    assert.equal(scaled('Salt to taste', 2), 'Salt to taste');
+});
+
+test('slugify keeps letters and digits in any script', () => {
+    assert.equal(slugify('Quick & Easy'), 'quick-easy');
+    assert.equal(slugify('Cocina Española'), 'cocina-espanola');
+    assert.equal(slugify('家常菜'), '家常菜');
+    assert.equal(slugify('चावल के व्यंजन'), 'चावल-के-व्यंजन');
+    assert.equal(slugify('أطباق الأرز'), 'أطباق-الأرز');
+    assert.equal(slugify('한식'), '한식');
+});
+
+test('slugify falls back to code points for labels without letters or digits', () => {
+    assert.equal(slugify('🍜'), '1f35c');
+    assert.equal(slugify('🍜 🍣'), '1f35c-1f363');
+    assert.equal(slugify(''), '');
+});